@@ -0,0 +1,388 @@
+/**
+ * Calendar Handler Module
+ *
+ * Reads upcoming events for a display, modeled on the email providers:
+ * - Google Calendar through the OAuth client of a linked Gmail account
+ * - ICS calendars from a URL or a local file, with recurring events expanded
+ * - Polling on its own schedule and change detection against the last events
+ */
+
+import { google } from 'googleapis';
+import ical from 'node-ical';
+import logger from '../utils/logger.js';
+
+/**
+ * Check whether a Google API error means the calendar scope was not granted
+ * @param {Error} error - Error thrown by the Google API client
+ * @returns {boolean} True if the user has to sign in again to grant calendar access
+ */
+function isMissingScope(error) {
+  const status = error.code || (error.response && error.response.status);
+  return status === 403 || /insufficient.*scope/i.test(error.message || '');
+}
+
+/**
+ * Convert a Google Calendar event to the display event shape
+ * @param {object} event - Event resource from the Calendar API
+ * @returns {object} `{ id, summary, location, start, end, allDay }`
+ */
+function fromGoogleEvent(event) {
+  const allDay = !event.start.dateTime;
+
+  return {
+    id: event.id,
+    summary: event.summary || 'Busy',
+    location: event.location || null,
+    start: (allDay ? parseLocalDate(event.start.date) : new Date(event.start.dateTime)).toISOString(),
+    end: (allDay ? parseLocalDate(event.end.date) : new Date(event.end.dateTime)).toISOString(),
+    allDay
+  };
+}
+
+/**
+ * Parse a `YYYY-MM-DD` date as local midnight
+ *
+ * `new Date('2026-10-20')` is UTC midnight, which is the evening before
+ * in time zones west of UTC.
+ * @param {string} date - Calendar date
+ * @returns {Date} Midnight of that date in the local time zone
+ */
+function parseLocalDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format the local calendar date of a time as `YYYY-MM-DD`
+ * @param {Date} date - Time
+ * @returns {string} The local date
+ */
+function toLocalDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the offset of a time zone from UTC at a point in time
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {number} Offset in milliseconds, positive east of UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the point in time it denotes
+ * @param {Date} wallClock - Date whose UTC fields hold the wall-clock time
+ * @param {string} timeZone - IANA time zone of the wall-clock time
+ * @returns {Date} The point in time
+ */
+function fromZonedTime(wallClock, timeZone) {
+  // The offset at the guess is wrong when a DST change lies in between, so correct it once
+  const guess = wallClock.getTime() - getTimeZoneOffset(wallClock, timeZone);
+  return new Date(wallClock.getTime() - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * List the start times of a recurring ICS event within a window
+ *
+ * rrule shifts the occurrences of a rule with a TZID by the offset of the
+ * process time zone, so they are only right when the process runs in UTC.
+ * Expanding the rule without its TZID yields the wall-clock times, which are
+ * then placed in the event's time zone.
+ * @param {object} event - VEVENT with an rrule, parsed by node-ical
+ * @param {Date} from - Earliest start
+ * @param {Date} to - Latest start
+ * @returns {Array<Date>} Occurrence starts, with up to a day of margin; the UTC date of an
+ *   all-day occurrence is its calendar date
+ */
+function getRecurrenceStarts(event, from, to) {
+  // A day of margin covers any time zone offset; callers filter by the exact window
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const after = new Date(from.getTime() - DAY_MS);
+  const before = new Date(to.getTime() + DAY_MS);
+
+  const { tzid } = event.rrule.origOptions;
+  if (!tzid) {
+    return event.rrule.between(after, before, true);
+  }
+
+  const wallClockRule = new event.rrule.constructor({ ...event.rrule.origOptions, tzid: null });
+  return wallClockRule.between(after, before, true).map(wallClock => fromZonedTime(wallClock, tzid));
+}
+
+/**
+ * Find the entry of an exception map (EXDATE or RECURRENCE-ID) for an occurrence
+ *
+ * node-ical keys both maps by the UTC date of the time. All-day dates are
+ * local midnight, whose UTC date is the day before east of UTC, so those are
+ * matched by their local date instead.
+ * @param {object} [exceptions] - `event.exdate` or `event.recurrences`
+ * @param {string} dateKey - Date of the occurrence, `YYYY-MM-DD`
+ * @param {boolean} allDay - Whether the event is an all-day event
+ * @returns {*} The matching entry, or undefined
+ */
+function findException(exceptions, dateKey, allDay) {
+  if (!exceptions) {
+    return undefined;
+  }
+  if (!allDay) {
+    return exceptions[dateKey];
+  }
+  return Object.values(exceptions).find(exception => {
+    const date = exception instanceof Date ? exception : exception.recurrenceid;
+    return date && toLocalDateKey(date) === dateKey;
+  });
+}
+
+/**
+ * Expand the VEVENTs of a parsed ICS calendar into occurrences within a window
+ * @param {object} calendar - Calendar parsed by node-ical
+ * @param {Date} from - Window start; occurrences ending before it are skipped
+ * @param {Date} to - Window end; occurrences starting after it are skipped
+ * @returns {Array} Events in the display event shape
+ */
+function expandIcsEvents(calendar, from, to) {
+  const events = [];
+
+  for (const event of Object.values(calendar)) {
+    if (event.type !== 'VEVENT' || event.status === 'CANCELLED' || !event.start) {
+      continue;
+    }
+
+    const allDay = event.datetype === 'date';
+    const durationMs = (event.end || event.start).getTime() - event.start.getTime();
+    const occurrences = [];
+
+    if (event.rrule) {
+      // Include occurrences that started before the window but are still running
+      const starts = getRecurrenceStarts(event, new Date(from.getTime() - durationMs), to);
+      // Count all-day events in days, which are not always 24 hours long
+      const durationDays = Math.round(durationMs / (24 * 60 * 60 * 1000));
+
+      for (const recurrenceStart of starts) {
+        const dateKey = recurrenceStart.toISOString().slice(0, 10);
+        if (findException(event.exdate, dateKey, allDay)) {
+          continue;
+        }
+
+        const override = findException(event.recurrences, dateKey, allDay);
+        if (override) {
+          if (override.status !== 'CANCELLED') {
+            occurrences.push({ ...override, id: `${event.uid}:${dateKey}` });
+          }
+          continue;
+        }
+
+        const start = allDay ? parseLocalDate(dateKey) : recurrenceStart;
+        const end = allDay
+          ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + durationDays)
+          : new Date(start.getTime() + durationMs);
+        occurrences.push({ ...event, id: `${event.uid}:${dateKey}`, start, end });
+      }
+    } else {
+      occurrences.push({ ...event, id: event.uid });
+    }
+
+    for (const occurrence of occurrences) {
+      const start = occurrence.start;
+      const end = occurrence.end || new Date(start.getTime() + durationMs);
+
+      if (end > from && start <= to) {
+        events.push({
+          id: occurrence.id,
+          summary: occurrence.summary || 'Busy',
+          location: occurrence.location || null,
+          start: start.toISOString(),
+          end: end.toISOString(),
+          allDay
+        });
+      }
+    }
+  }
+
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Calendar source for one display
+ */
+class CalendarHandler {
+  /**
+   * @param {object} options - Calendar options
+   * @param {string} options.id - ID of the calendar source (account ID or 'ics')
+   * @param {string} options.source - 'google' or 'ics'
+   * @param {object} [options.authClient] - OAuth2 client of the Google account
+   * @param {string} [options.calendarId] - Google calendar to read (default 'primary')
+   * @param {string} [options.icsUrl] - URL or file path of the ICS calendar
+   * @param {number} [options.lookaheadMs] - How far ahead events are read (default 24h)
+   * @param {number} [options.maxEvents] - Maximum number of events kept (default 10)
+   */
+  constructor(options) {
+    this.id = options.id;
+    this.source = options.source;
+    this.authClient = options.authClient || null;
+    this.calendarId = options.calendarId || 'primary';
+    this.icsUrl = options.icsUrl || '';
+    this.lookaheadMs = options.lookaheadMs || 24 * 60 * 60 * 1000;
+    this.maxEvents = options.maxEvents || 10;
+
+    // Polling state
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.lastFetchFailed = false;
+    this.lastSignature = null;
+  }
+
+  /**
+   * Read events from Google Calendar
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<Array>} Events in the display event shape
+   * @private
+   */
+  async _fetchGoogleEvents(from, to) {
+    const calendar = google.calendar({ version: 'v3', auth: this.authClient });
+    const response = await calendar.events.list({
+      calendarId: this.calendarId,
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: this.maxEvents
+    });
+
+    // Skip events the user declined
+    return (response.data.items || [])
+      .filter(event => event.status !== 'cancelled')
+      .filter(event => !(event.attendees || []).some(attendee => attendee.self && attendee.responseStatus === 'declined'))
+      .map(fromGoogleEvent);
+  }
+
+  /**
+   * Read events from the ICS URL or file
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<Array>} Events in the display event shape
+   * @private
+   */
+  async _fetchIcsEvents(from, to) {
+    const calendar = /^https?:\/\//i.test(this.icsUrl)
+      ? await ical.async.fromURL(this.icsUrl)
+      : await ical.async.parseFile(this.icsUrl);
+
+    return expandIcsEvents(calendar, from, to);
+  }
+
+  /**
+   * Fetch the events that are running now or start within the lookahead window
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<Array>} Events sorted by start, or [] if the fetch failed
+   */
+  async fetchUpcomingEvents(now = Date.now()) {
+    const from = new Date(now);
+    const to = new Date(now + this.lookaheadMs);
+
+    try {
+      const events = this.source === 'google'
+        ? await this._fetchGoogleEvents(from, to)
+        : await this._fetchIcsEvents(from, to);
+
+      this.lastFetchFailed = false;
+      logger.debug(`Fetched ${events.length} upcoming events for calendar ${this.id}`);
+      return events.slice(0, this.maxEvents);
+    } catch (error) {
+      this.lastFetchFailed = true;
+
+      if (this.source === 'google' && isMissingScope(error)) {
+        logger.warn(`Calendar access not granted for ${this.id} - sign in again through /auth/google to grant it`);
+        return [];
+      }
+
+      logger.error(`Error fetching calendar ${this.id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch upcoming events and check whether they differ from the last ones
+   * @returns {Promise<object>} `{ changed, events }`; never changed when the fetch failed
+   */
+  async checkForChanges() {
+    const events = await this.fetchUpcomingEvents();
+
+    // A failed fetch returns [] and must not look like an emptied calendar
+    if (this.lastFetchFailed) {
+      return { changed: false, events };
+    }
+
+    const signature = JSON.stringify(events.map(({ id, summary, start, end }) => [id, summary, start, end]));
+    const changed = signature !== this.lastSignature;
+    this.lastSignature = signature;
+
+    return { changed, events };
+  }
+
+  /**
+   * Poll for calendar changes on a fixed interval
+   * @param {number} intervalMs - Time between polls
+   * @param {function} onChange - Async function called with the events whenever they change
+   */
+  startPolling(intervalMs, onChange) {
+    this.stopPolling();
+
+    const poll = async () => {
+      // Skip this tick if the previous poll is still running
+      if (this.isPolling) {
+        return;
+      }
+
+      this.isPolling = true;
+      try {
+        const { changed, events } = await this.checkForChanges();
+        if (changed) {
+          logger.info(`Upcoming events of calendar ${this.id} changed (${events.length} events)`);
+          await onChange(events);
+        }
+      } catch (error) {
+        logger.error(`Error polling calendar ${this.id}:`, error);
+      } finally {
+        this.isPolling = false;
+      }
+    };
+
+    this.pollTimer = setInterval(poll, intervalMs);
+    logger.info(`Polling calendar ${this.id} every ${Math.round(intervalMs / 1000)}s`);
+    poll();
+  }
+
+  /**
+   * Stop polling for calendar changes
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+export { expandIcsEvents, fromGoogleEvent };
+export default CalendarHandler;
@@ -0,0 +1,283 @@
+/**
+ * Email Account Manager
+ *
+ * Keeps one email provider per linked account (Gmail or IMAP):
+ * - Accounts and their credentials are stored server-side in the token store
+ * - Each account is owned by one display, identified by its device ID
+ * - Re-emits the providers' 'authStateChange' events as (handler, state)
+ * - Emits 'accountRemoved' with the handler when an account is unlinked or replaced
+ */
+
+import { EventEmitter } from 'events';
+import EmailHandler from './emailHandler.js';
+import ImapHandler from './imapHandler.js';
+import logger from '../utils/logger.js';
+import { DEFAULT_ACCOUNT_ID } from '../utils/tokenStore.js';
+import { DEFAULT_DEVICE_ID } from '../utils/topics.js';
+
+class EmailAccountManager extends EventEmitter {
+  /**
+   * @param {object} config - Email configuration
+   * @param {object} config.gmail - Gmail configuration shared by all Gmail accounts
+   * @param {object} [config.imap] - IMAP account configured through the environment
+   * @param {TokenStore} tokenStore - Store holding the accounts and their credentials
+   */
+  constructor(config, tokenStore) {
+    super();
+    this.config = config;
+    this.tokenStore = tokenStore;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Create the handler of an account and forward its events
+   * @param {string} accountId - The account ID
+   * @param {string} [refreshToken] - Refresh token to seed an empty Gmail account with
+   * @returns {EmailProvider} The new handler
+   * @private
+   */
+  _createHandler(accountId, refreshToken = '') {
+    const account = this.tokenStore.getAccounts().find(entry => entry.accountId === accountId);
+    const handler = account && account.provider === 'imap'
+      ? new ImapHandler(this._getImapSettings(this.tokenStore.getSettings(accountId)), accountId)
+      : new EmailHandler({ ...this.config.gmail, refreshToken }, this.tokenStore, accountId);
+    
+    handler.on('authStateChange', state => this.emit('authStateChange', handler, state));
+    this.handlers.set(accountId, handler);
+    return handler;
+  }
+
+  /**
+   * Add the shared VIP and scan settings to IMAP account settings
+   * @param {object} settings - Stored IMAP settings
+   * @returns {object} Settings for an ImapHandler
+   * @private
+   */
+  _getImapSettings(settings) {
+    const { vipSenders, scanLimit } = this.config.gmail.filters || {};
+    return { ...settings, filters: { vipSenders, scanLimit } };
+  }
+
+  /**
+   * Stop a handler's timers and forget it
+   * @param {EmailProvider} handler - The handler to stop
+   * @private
+   */
+  _stopHandler(handler) {
+    handler.stop();
+    handler.removeAllListeners();
+    this.handlers.delete(handler.accountId);
+  }
+
+  /**
+   * Create handlers for all stored accounts
+   *
+   * A refresh token from the environment becomes the account of the default
+   * device, unless another account already owns that device. An IMAP account
+   * from the environment is stored (and updated) under its user name.
+   *
+   * @returns {Array<EmailProvider>} The loaded handlers
+   */
+  loadAccounts() {
+    const imap = this.config.imap;
+    if (imap && imap.host && imap.user) {
+      const { deviceId, ...settings } = imap;
+      const owner = this.tokenStore.getAccounts().find(entry => entry.deviceId === deviceId);
+      
+      if (owner && owner.accountId !== imap.user) {
+        logger.warn(`IMAP account ${imap.user} not linked - device ${deviceId} already has account ${owner.accountId}`);
+      } else {
+        this.tokenStore.saveSettings(imap.user, 'imap', settings);
+        this.tokenStore.setDevice(imap.user, deviceId);
+      }
+    }
+
+    for (const { accountId } of this.tokenStore.getAccounts()) {
+      this._createHandler(accountId);
+    }
+
+    const refreshToken = (this.config.gmail.refreshToken || '').trim();
+    if (refreshToken && !this.getHandlerForDevice(DEFAULT_DEVICE_ID) && !this.handlers.has(DEFAULT_ACCOUNT_ID)) {
+      this._createHandler(DEFAULT_ACCOUNT_ID, refreshToken);
+      this.tokenStore.setDevice(DEFAULT_ACCOUNT_ID, DEFAULT_DEVICE_ID);
+    }
+
+    logger.info(`Loaded ${this.handlers.size} email account(s)`);
+    return this.getHandlers();
+  }
+
+  /**
+   * Get the handlers of all accounts
+   * @returns {Array<EmailProvider>} Array of handlers
+   */
+  getHandlers() {
+    return [...this.handlers.values()];
+  }
+
+  /**
+   * Get the handler of an account
+   * @param {string} accountId - The account ID
+   * @returns {EmailProvider|null} The handler, or null if the account is unknown
+   */
+  getHandler(accountId) {
+    return this.handlers.get(accountId) || null;
+  }
+
+  /**
+   * Get the device that owns an account
+   * @param {string} accountId - The account ID
+   * @returns {string|null} The device ID, or null if the account is not assigned
+   */
+  getDeviceId(accountId) {
+    const account = this.tokenStore.getAccounts().find(entry => entry.accountId === accountId);
+    return account ? account.deviceId : null;
+  }
+
+  /**
+   * Get the handler of the account owned by a device
+   * @param {string} deviceId - The device ID
+   * @returns {EmailProvider|null} The handler, or null if the device has no account
+   */
+  getHandlerForDevice(deviceId) {
+    const account = this.tokenStore.getAccounts().find(entry => entry.deviceId === deviceId);
+    return account ? this.getHandler(account.accountId) : null;
+  }
+
+  /**
+   * Find the account a Gmail push notification belongs to
+   * @param {string} emailAddress - The mailbox address from the notification
+   * @returns {EmailHandler|null} The handler, or null if no account matches
+   */
+  findByEmailAddress(emailAddress) {
+    const address = (emailAddress || '').toLowerCase();
+
+    return this.getHandlers().find(handler => handler.provider === 'gmail' && (
+      handler.accountId.toLowerCase() === address ||
+      (handler.emailAddress && handler.emailAddress.toLowerCase() === address)
+    )) || null;
+  }
+
+  /**
+   * Link an account to a device with freshly authorized tokens
+   *
+   * A device has at most one account; an account previously linked to the
+   * same device is removed.
+   *
+   * @param {string} accountId - The account ID (the Google account's email address)
+   * @param {string} deviceId - The device that should receive the account's email
+   * @param {object} tokens - OAuth tokens including a refresh token
+   * @returns {EmailHandler} The account's handler
+   */
+  linkAccount(accountId, deviceId, tokens) {
+    this._releaseDevice(deviceId, accountId);
+
+    let handler = this.getHandler(accountId);
+    if (handler && handler.provider !== 'gmail') {
+      this.removeAccount(accountId);
+      handler = null;
+    }
+
+    handler = handler || this._createHandler(accountId);
+    this.tokenStore.setDevice(accountId, deviceId);
+    handler.setTokens(tokens);
+
+    logger.info(`Linked email account ${accountId} to device ${deviceId}`);
+    return handler;
+  }
+
+  /**
+   * Link an IMAP account to a device, or update its settings
+   *
+   * A device has at most one account; an account previously linked to the
+   * same device is removed.
+   *
+   * @param {string} accountId - The account ID
+   * @param {string} deviceId - The device that should receive the account's email
+   * @param {object} settings - IMAP settings (host, port, tls, user, password, folder)
+   * @returns {ImapHandler} The account's handler
+   */
+  linkImapAccount(accountId, deviceId, settings) {
+    this._releaseDevice(deviceId, accountId);
+
+    const existing = this.getHandler(accountId);
+    if (existing && existing.provider !== 'imap') {
+      this.removeAccount(accountId);
+    }
+
+    this.tokenStore.saveSettings(accountId, 'imap', settings);
+    this.tokenStore.setDevice(accountId, deviceId);
+
+    let handler = this.getHandler(accountId);
+    if (handler) {
+      handler.updateSettings(this._getImapSettings(settings));
+    } else {
+      handler = this._createHandler(accountId);
+    }
+
+    logger.info(`Linked IMAP account ${accountId} to device ${deviceId}`);
+    return handler;
+  }
+
+  /**
+   * Remove the account a device owns so another account can take its place
+   * @param {string} deviceId - The device ID
+   * @param {string} accountId - The account that is about to be linked
+   * @private
+   */
+  _releaseDevice(deviceId, accountId) {
+    const previous = this.getHandlerForDevice(deviceId);
+    if (previous && previous.accountId !== accountId) {
+      logger.info(`Replacing email account ${previous.accountId} on device ${deviceId}`);
+      this.removeAccount(previous.accountId);
+    }
+  }
+
+  /**
+   * Assign an existing account to another device
+   * @param {string} accountId - The account ID
+   * @param {string} deviceId - The new device
+   * @throws {Error} If the account is unknown or the device already has another account
+   */
+  setDevice(accountId, deviceId) {
+    if (!this.handlers.has(accountId)) {
+      throw new Error(`Unknown email account: ${accountId}`);
+    }
+
+    const owner = this.getHandlerForDevice(deviceId);
+    if (owner && owner.accountId !== accountId) {
+      throw new Error(`Device ${deviceId} already has email account ${owner.accountId}`);
+    }
+
+    this.tokenStore.setDevice(accountId, deviceId);
+    logger.info(`Moved email account ${accountId} to device ${deviceId}`);
+  }
+
+  /**
+   * Unlink an account and delete its tokens
+   * @param {string} accountId - The account ID
+   * @returns {boolean} True if the account existed
+   */
+  removeAccount(accountId) {
+    const handler = this.handlers.get(accountId);
+    if (!handler) {
+      return false;
+    }
+
+    this._stopHandler(handler);
+    this.tokenStore.remove(accountId);
+    logger.info(`Removed email account ${accountId}`);
+    this.emit('accountRemoved', handler);
+    return true;
+  }
+
+  /**
+   * Stop the timers of all accounts
+   */
+  stopAll() {
+    for (const handler of this.handlers.values()) {
+      handler.stop();
+    }
+  }
+}
+
+export default EmailAccountManager;
@@ -1,22 +1,114 @@
 /**
  * Email Handler Module
  * 
- * Manages Gmail API integration:
- * - OAuth2 authentication
- * - Fetching unread emails
+ * Gmail implementation of the email provider interface:
+ * - OAuth2 authentication with persisted, proactively refreshed tokens
+ * - Re-authentication alerts when the refresh token is revoked
+ * - Fetching unread emails with configurable queries, label filters and VIP senders
+ * - Gmail push notifications (Pub/Sub watch) with incremental history sync
  * - Email data processing
  */
 
+import crypto from 'crypto';
 import { google } from 'googleapis';
+import EmailProvider from './emailProvider.js';
 import logger from '../utils/logger.js';
+import { buildVipQuery, selectEmails } from '../utils/emailFilters.js';
+import { DEFAULT_ACCOUNT_ID } from '../utils/tokenStore.js';
 
-class EmailHandler {
-  constructor(config) {
+/**
+ * Check whether an OAuth error means the refresh token is invalid or revoked
+ * @param {Error} error - Error thrown by the Google API client
+ * @returns {boolean} True if the user has to authorize again
+ */
+function isInvalidGrant(error) {
+  return (error.message && error.message.includes('invalid_grant')) ||
+    (error.response && error.response.data && error.response.data.error === 'invalid_grant');
+}
+
+/**
+ * Decode the Gmail notification carried by a Pub/Sub push envelope
+ * @param {object} envelope - Pub/Sub push request body
+ * @returns {object} `{ emailAddress, historyId }`
+ * @throws {Error} If the envelope is malformed
+ */
+function parsePushEnvelope(envelope) {
+  const data = envelope && envelope.message && envelope.message.data;
+  if (typeof data !== 'string') {
+    throw new Error('Pub/Sub envelope has no message data');
+  }
+  
+  let notification;
+  try {
+    notification = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error('Pub/Sub message data is not base64 encoded JSON');
+  }
+  
+  if (!notification || !/^\d+$/.test(String(notification.historyId))) {
+    throw new Error('Gmail notification has no valid historyId');
+  }
+  
+  return {
+    emailAddress: notification.emailAddress,
+    historyId: String(notification.historyId)
+  };
+}
+
+/**
+ * Check the verification token of a push request
+ * @param {string} expected - Configured verification token; without one every request is rejected
+ * @param {*} token - The request's `token` query parameter
+ * @returns {boolean} True if the request may be processed
+ */
+function isValidPushToken(expected, token) {
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+  
+  const expectedBuffer = Buffer.from(expected);
+  const tokenBuffer = Buffer.from(token);
+  return expectedBuffer.length === tokenBuffer.length && crypto.timingSafeEqual(expectedBuffer, tokenBuffer);
+}
+
+/**
+ * Gmail email provider
+ */
+class EmailHandler extends EmailProvider {
+  /**
+   * @param {object} config - Gmail configuration
+   * @param {TokenStore} [tokenStore] - Store the OAuth tokens are read from and saved to
+   * @param {string} [accountId] - ID of the linked account in the token store
+   */
+  constructor(config, tokenStore = null, accountId = DEFAULT_ACCOUNT_ID) {
+    super('gmail', accountId);
+    this.emailAddress = null;
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
     this.redirectUri = config.redirectUri;
+    this.tokenStore = tokenStore;
     this.refreshToken = config.refreshToken;
     this.oauth2Client = null;
+    this.refreshTimer = null;
+    
+    // Which emails reach the display
+    this.filters = {
+      query: 'is:unread',
+      includeLabels: [],
+      excludeLabels: [],
+      vipSenders: [],
+      scanLimit: 25,
+      ...config.filters
+    };
+    
+    // Push notification state
+    this.historyId = null;
+    this.watchExpiration = null;
+    this.watchTimer = null;
+    this.pushOptions = null;
+    this.unreadEmails = new Map();
+    this.unreadComplete = false;
+    this.syncQueue = Promise.resolve();
     
     // Initialize OAuth2 client
     this._initializeOAuth();
@@ -33,10 +125,20 @@ class EmailHandler {
       this.redirectUri
     );
     
-    if (this.refreshToken && this.refreshToken.trim() !== '') {
-      this.oauth2Client.setCredentials({
-        refresh_token: this.refreshToken
-      });
+    // Persist tokens the client refreshes on its own during API calls
+    this.oauth2Client.on('tokens', tokens => this._persistTokens(tokens));
+    
+    let tokens = this.tokenStore ? this.tokenStore.get(this.accountId) : null;
+    if (!tokens?.refresh_token && this.refreshToken && this.refreshToken.trim() !== '') {
+      // Migrate a refresh token from the environment into the store
+      tokens = { refresh_token: this.refreshToken.trim() };
+      this._persistTokens(tokens);
+    }
+    
+    if (tokens?.refresh_token) {
+      this.refreshToken = tokens.refresh_token;
+      this.oauth2Client.setCredentials(tokens);
+      this.authState = 'authorized';
       logger.debug('OAuth2 client initialized with refresh token');
     } else {
       logger.warn('OAuth2 client initialized without refresh token - email features will be disabled');
@@ -44,11 +146,30 @@ class EmailHandler {
   }
   
   /**
-   * Check if email functionality is available (has valid refresh token)
-   * @returns {boolean} True if email features are available
+   * Save tokens to the token store, if one is configured
+   * @param {object} tokens - OAuth tokens
+   * @private
+   */
+  _persistTokens(tokens) {
+    if (this.tokenStore) {
+      this.tokenStore.save(this.accountId, tokens);
+    }
+  }
+  
+  /**
+   * Use newly authorized tokens, e.g. from the OAuth callback
+   * @param {object} tokens - OAuth tokens including a refresh token
    */
-  isEmailEnabled() {
-    return this.refreshToken && this.refreshToken.trim() !== '';
+  setTokens(tokens) {
+    if (!tokens.refresh_token) {
+      throw new Error('Tokens must include a refresh token');
+    }
+    
+    this.refreshToken = tokens.refresh_token;
+    this.oauth2Client.setCredentials(tokens);
+    this._persistTokens(tokens);
+    logger.info(`Stored new Gmail OAuth tokens for ${this.accountId}`);
+    this._setAuthState('authorized');
   }
   
   /**
@@ -83,6 +204,66 @@ class EmailHandler {
     }
   }
   
+  /**
+   * Create a Gmail API client for the authenticated user
+   * @returns {object} The Gmail API client
+   * @private
+   */
+  _getGmail() {
+    return google.gmail({version: 'v1', auth: this.oauth2Client});
+  }
+  
+  /**
+   * List the IDs of messages matching a search query, newest first
+   * @param {object} gmail - The Gmail API client
+   * @param {string} query - Gmail search query
+   * @param {number} maxResults - Maximum number of IDs to return
+   * @returns {Promise<Array<string>>} Array of message IDs
+   * @private
+   */
+  async _listMessageIds(gmail, query, maxResults) {
+    const res = await gmail.users.messages.list({
+      userId: 'me',
+      q: query,
+      maxResults
+    });
+    
+    return (res.data.messages || []).map(message => message.id);
+  }
+  
+  /**
+   * Fetch the headers and snippet of a single message
+   * @param {object} gmail - The Gmail API client
+   * @param {string} messageId - The message ID
+   * @returns {Promise<object>} The email object
+   * @private
+   */
+  async _getEmailDetails(gmail, messageId) {
+    const msg = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'metadata',
+      metadataHeaders: ['Subject', 'From', 'Date']
+    });
+    
+    // Extract headers
+    const headers = msg.data.payload.headers;
+    const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
+    const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
+    const date = headers.find(h => h.name === 'Date')?.value;
+    
+    return {
+      id: msg.data.id,
+      threadId: msg.data.threadId,
+      subject,
+      from,
+      date,
+      snippet: msg.data.snippet || '',
+      labelIds: msg.data.labelIds || [],
+      internalDate: Number(msg.data.internalDate) || 0
+    };
+  }
+  
   /**
    * Fetch the last N unread emails from the inbox
    * @param {number} maxResults - Maximum number of emails to fetch (default: 5)
@@ -92,63 +273,53 @@ class EmailHandler {
     // Skip if email functionality is not configured
     if (!this.isEmailEnabled()) {
       logger.warn('Email fetch skipped - no valid refresh token configured');
+      this.lastFetchFailed = true;
       return [];
     }
     
     try {
       // Create Gmail API client
-      const gmail = google.gmail({version: 'v1', auth: this.oauth2Client});
+      const gmail = this._getGmail();
+      const { query, vipSenders, scanLimit } = this.filters;
       
-      // Search for unread messages
-      const res = await gmail.users.messages.list({
-        userId: 'me',
-        q: 'is:unread',
-        maxResults: maxResults
-      });
+      // VIP mail is listed separately so newer mail can never push it off the display
+      const vipQuery = buildVipQuery(query, vipSenders);
+      const vipIds = vipQuery ? await this._listMessageIds(gmail, vipQuery, maxResults) : [];
+      const otherIds = (await this._listMessageIds(gmail, query, Math.max(scanLimit, maxResults)))
+        .filter(id => !vipIds.includes(id));
       
-      if (!res.data.messages || res.data.messages.length === 0) {
-        logger.info('No unread emails found');
+      if (vipIds.length === 0 && otherIds.length === 0) {
+        logger.info(`No unread emails found for ${this.accountId}`);
+        this.lastFetchFailed = false;
         return [];
       }
       
-      // Get details for each message
-      const emails = await Promise.all(
-        res.data.messages.map(async (message) => {
-          const msg = await gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'metadata',
-            metadataHeaders: ['Subject', 'From', 'Date']
-          });
-          
-          // Extract headers
-          const headers = msg.data.payload.headers;
-          const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-          const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-          const date = headers.find(h => h.name === 'Date')?.value;
-          
-          return {
-            id: message.id,
-            threadId: message.threadId,
-            subject,
-            from,
-            date,
-            snippet: msg.data.snippet || '',
-            labelIds: msg.data.labelIds || []
-          };
-        })
-      );
+      // Get details for VIP messages, then for other messages in batches until
+      // enough of them pass the label filters
+      const candidates = await Promise.all(vipIds.map(id => this._getEmailDetails(gmail, id)));
+      for (let i = 0; i < otherIds.length; i += maxResults) {
+        if (selectEmails(candidates, this.filters, maxResults).length >= maxResults) {
+          break;
+        }
+        
+        const batch = otherIds.slice(i, i + maxResults);
+        candidates.push(...await Promise.all(batch.map(id => this._getEmailDetails(gmail, id))));
+      }
+      
+      const emails = selectEmails(candidates, this.filters, maxResults);
       
-      logger.info(`Fetched ${emails.length} unread emails`);
+      logger.info(`Fetched ${emails.length} unread emails for ${this.accountId}`);
+      this.lastFetchFailed = false;
       return emails;
       
     } catch (error) {
       logger.error('Error fetching emails:', error);
+      this.lastFetchFailed = true;
       
       // Handle specific error cases
-      if (error.message && error.message.includes('invalid_grant')) {
+      if (isInvalidGrant(error)) {
         logger.warn('OAuth invalid_grant error - refresh token may be invalid or revoked');
-        logger.info('To fix: Visit the auth URL to get a new refresh token: ' + this.getAuthUrl());
+        this._setAuthState('needs_reauth');
         return []; // Return empty array instead of throwing to keep app running
       }
       
@@ -162,6 +333,284 @@ class EmailHandler {
     }
   }
   
+  /**
+   * Ask Gmail to publish mailbox changes to a Cloud Pub/Sub topic
+   * @param {string} topicName - Full topic name, e.g. projects/my-project/topics/gmail
+   * @returns {Promise<object>} The watch response with historyId and expiration
+   */
+  async watchMailbox(topicName) {
+    const gmail = this._getGmail();
+    const res = await gmail.users.watch({
+      userId: 'me',
+      requestBody: {
+        topicName,
+        labelIds: ['INBOX'],
+        labelFilterBehavior: 'include'
+      }
+    });
+    
+    this.watchExpiration = Number(res.data.expiration) || null;
+    logger.info(`Gmail watch registered on ${topicName} until ${new Date(this.watchExpiration).toISOString()}`);
+    return res.data;
+  }
+  
+  /**
+   * List the IDs of the messages a full fetch would consider: the newest
+   * matches of the search query plus the newest VIP matches
+   * @param {object} gmail - The Gmail API client
+   * @returns {Promise<Set<string>>} Set of message IDs
+   * @private
+   */
+  async _listCandidateIds(gmail) {
+    const { query, vipSenders, scanLimit } = this.filters;
+    const { maxResults } = this.pushOptions;
+    
+    const ids = await this._listMessageIds(gmail, query, Math.max(scanLimit, maxResults));
+    const vipQuery = buildVipQuery(query, vipSenders);
+    if (vipQuery) {
+      ids.push(...await this._listMessageIds(gmail, vipQuery, maxResults));
+    }
+    
+    return new Set(ids);
+  }
+  
+  /**
+   * Get the cached unread emails that should reach the display
+   * @returns {Array} Up to maxResults emails, VIP first, then newest first
+   * @private
+   */
+  _getCachedUnread() {
+    const emails = [...this.unreadEmails.values()].sort((a, b) => b.internalDate - a.internalDate);
+    return selectEmails(emails, this.filters, this.pushOptions.maxResults);
+  }
+  
+  /**
+   * Rebuild the unread cache with a full listing and record the mailbox history ID
+   * @returns {Promise<boolean>} True if the resync succeeded
+   * @private
+   */
+  async _resync() {
+    const gmail = this._getGmail();
+    
+    // Take the history ID first so changes during the listing are replayed, not lost
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    const emails = await this.fetchUnreadEmails(this.pushOptions.maxResults);
+    if (this.lastFetchFailed) {
+      return false;
+    }
+    
+    this.historyId = profile.data.historyId;
+    this.emailAddress = profile.data.emailAddress || this.emailAddress;
+    this.unreadEmails = new Map(emails.map(email => [email.id, email]));
+    this.unreadComplete = emails.length < this.pushOptions.maxResults;
+    logger.debug(`Unread cache resynced at history ID ${this.historyId}`);
+    return true;
+  }
+  
+  /**
+   * Apply mailbox changes since the stored history ID to the unread cache
+   * @returns {Promise<boolean>} True if the changes were applied, false if a full resync is needed
+   * @private
+   */
+  async _applyHistory() {
+    const gmail = this._getGmail();
+    
+    // Messages that arrived or changed labels are checked against the search
+    // query, so push mode shows the same mail as polling
+    const touched = new Set();
+    const deleted = new Set();
+    let latestHistoryId = this.historyId;
+    let pageToken;
+    
+    do {
+      const res = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId: this.historyId,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        pageToken
+      });
+      
+      for (const record of res.data.history || []) {
+        const changes = [...record.messagesAdded || [], ...record.labelsAdded || [], ...record.labelsRemoved || []];
+        for (const { message } of changes) {
+          touched.add(message.id);
+        }
+        for (const { message } of record.messagesDeleted || []) {
+          deleted.add(message.id);
+        }
+      }
+      
+      latestHistoryId = res.data.historyId || latestHistoryId;
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    
+    const candidates = [...touched].some(id => !deleted.has(id))
+      ? await this._listCandidateIds(gmail)
+      : new Set();
+    
+    for (const id of new Set([...touched, ...deleted])) {
+      if (deleted.has(id) || !candidates.has(id)) {
+        // The cache only holds the newest unread emails; a removal may expose older ones
+        if (this.unreadEmails.delete(id) && !this.unreadComplete) {
+          return false;
+        }
+        continue;
+      }
+      
+      // Cached messages are fetched again so the label filters see their current labels
+      try {
+        this.unreadEmails.set(id, await this._getEmailDetails(gmail, id));
+      } catch (error) {
+        // The message may have been deleted after the history record was written
+        logger.debug(`Skipping message ${id} from history: ${error.message}`);
+      }
+    }
+    
+    this.historyId = latestHistoryId;
+    return true;
+  }
+  
+  /**
+   * Bring the unread cache up to date and report a changed unread set
+   * @private
+   */
+  async _syncPush() {
+    let synced;
+    try {
+      synced = await this._applyHistory();
+    } catch (error) {
+      if (isInvalidGrant(error)) {
+        this._setAuthState('needs_reauth');
+        return { changed: false, emails: this._getCachedUnread() };
+      }
+      
+      // 404 means the stored history ID is too old to be replayed
+      if (error.code !== 404 && !(error.response && error.response.status === 404)) {
+        throw error;
+      }
+      logger.warn('Gmail history ID expired - resyncing unread emails');
+      synced = false;
+    }
+    
+    if (!synced && !await this._resync()) {
+      return { changed: false, emails: [] };
+    }
+    
+    const emails = this._getCachedUnread();
+    const ids = emails.map(email => email.id);
+    const changed = ids.length !== this.summarizedIds.size ||
+      ids.some(id => !this.summarizedIds.has(id));
+    
+    if (changed) {
+      await this._notifyChange(emails, this.pushOptions.onChange);
+    }
+    
+    return { changed, emails };
+  }
+  
+  /**
+   * Receive unread email changes through Gmail push notifications
+   *
+   * Registers a watch on the Pub/Sub topic, renews it periodically and
+   * loads the initial unread set. Notifications are delivered through
+   * handlePushNotification.
+   *
+   * @param {object} options - Push options
+   * @param {string} options.topicName - Full Pub/Sub topic name
+   * @param {number} options.renewIntervalMs - Time between watch renewals (watches expire after 7 days)
+   * @param {string} options.verificationToken - Token push requests must carry; push is not started without one
+   * @param {function} onChange - Async function called with the emails whenever the unread set changes
+   * @param {number} maxResults - Maximum number of emails passed to onChange
+   * @returns {Promise<boolean>} True if push notifications are active
+   */
+  async startPush({ topicName, renewIntervalMs, verificationToken }, onChange, maxResults = 5) {
+    if (!this.isEmailEnabled()) {
+      logger.info('Email push not started - email is not configured');
+      return false;
+    }
+    
+    // Without a token anyone could trigger history syncs against the account's quota
+    if (!verificationToken) {
+      logger.warn('Email push not started - GMAIL_PUSH_TOKEN is not set');
+      return false;
+    }
+    
+    this.stopPush();
+    this.pushOptions = { topicName, onChange, maxResults };
+    
+    try {
+      await this.watchMailbox(topicName);
+      if (!await this._resync()) {
+        throw new Error('Initial unread email fetch failed');
+      }
+    } catch (error) {
+      logger.error('Error starting Gmail push notifications:', error);
+      this.pushOptions = null;
+      return false;
+    }
+    
+    this.mode = 'push';
+    this.watchTimer = setInterval(() => {
+      this.watchMailbox(topicName).catch(error => logger.error('Error renewing Gmail watch:', error));
+    }, renewIntervalMs);
+    this.watchTimer.unref();
+    
+    // Publish the initial unread set like the first poll would
+    this.syncQueue = this.syncQueue
+      .then(() => this._notifyChange(this._getCachedUnread(), onChange))
+      .catch(error => logger.error('Error handling initial unread emails:', error));
+    
+    return true;
+  }
+  
+  /**
+   * Stop renewing the Gmail watch
+   */
+  stopPush() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
+  
+  /**
+   * Handle a Gmail push notification delivered by Cloud Pub/Sub
+   *
+   * The envelope's base64 `message.data` holds `{ emailAddress, historyId }`.
+   * Notifications are processed one at a time; ones that are not newer than
+   * the stored history ID (e.g. redeliveries) are ignored.
+   *
+   * @param {object} envelope - Pub/Sub push request body
+   * @returns {Promise<object>} `{ changed, emails }`
+   * @throws {Error} If the envelope is malformed or push notifications are not active
+   */
+  async handlePushNotification(envelope) {
+    const notification = parsePushEnvelope(envelope);
+    
+    if (this.mode !== 'push') {
+      throw new Error('Gmail push notifications are not active');
+    }
+    
+    const result = this.syncQueue.then(async () => {
+      if (!this.isEmailEnabled()) {
+        logger.debug('Ignoring Gmail notification - re-authentication required');
+        return { changed: false, emails: this._getCachedUnread() };
+      }
+      
+      if (this.historyId && BigInt(notification.historyId) <= BigInt(this.historyId)) {
+        logger.debug(`Ignoring Gmail notification for history ID ${notification.historyId}`);
+        return { changed: false, emails: this._getCachedUnread() };
+      }
+      
+      logger.info(`Gmail notification for ${notification.emailAddress} (history ID ${notification.historyId})`);
+      return this._syncPush();
+    });
+    
+    // Keep the queue going even if this notification fails
+    this.syncQueue = result.catch(() => {});
+    return result;
+  }
+  
   /**
    * Refresh the OAuth access token
    * @returns {Promise<boolean>} True if token refresh was successful
@@ -170,13 +619,73 @@ class EmailHandler {
     try {
       const { credentials } = await this.oauth2Client.refreshAccessToken();
       this.oauth2Client.setCredentials(credentials);
+      this._persistTokens(credentials);
       logger.info('Successfully refreshed access token');
       return true;
     } catch (error) {
       logger.error('Error refreshing access token:', error);
+      if (isInvalidGrant(error)) {
+        this._setAuthState('needs_reauth');
+      }
+      return false;
+    }
+  }
+  
+  /**
+   * Refresh the access token if it expires within the margin
+   * @param {number} marginMs - How long before expiry to refresh
+   * @returns {Promise<boolean>} True if a refresh was attempted and succeeded
+   * @private
+   */
+  async _refreshIfExpiring(marginMs) {
+    if (!this.isEmailEnabled()) {
+      return false;
+    }
+    
+    // Tokens without a known expiry are refreshed once to learn it
+    const expiry = this.oauth2Client.credentials.expiry_date;
+    if (expiry && expiry - Date.now() > marginMs) {
       return false;
     }
+    
+    return this.refreshAccessToken();
+  }
+  
+  /**
+   * Periodically refresh the access token before it expires
+   * @param {number} intervalMs - Time between expiry checks
+   * @param {number} marginMs - How long before expiry to refresh
+   */
+  startTokenRefresh(intervalMs, marginMs) {
+    this.stopTokenRefresh();
+    
+    this.refreshTimer = setInterval(() => {
+      this._refreshIfExpiring(marginMs).catch(() => {});
+    }, intervalMs);
+    this.refreshTimer.unref();
+    
+    this._refreshIfExpiring(marginMs).catch(() => {});
+  }
+  
+  /**
+   * Stop the proactive token refresh
+   */
+  stopTokenRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+  
+  /**
+   * Stop polling, watch renewal and token refresh
+   */
+  stop() {
+    super.stop();
+    this.stopPush();
+    this.stopTokenRefresh();
   }
 }
 
+export { parsePushEnvelope, isValidPushToken };
 export default EmailHandler;
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Email Provider Base
+ *
+ * Shared behaviour of email providers (Gmail, IMAP):
+ * - Account identity and authorization state
+ * - Change detection against the last summarized unread set
+ * - Polling for changes to the unread set on its own schedule
+ *
+ * Providers implement fetchUnreadEmails(maxResults), returning emails shaped
+ * `{ id, subject, from, date, snippet }` (plus provider specific fields) and
+ * setting `lastFetchFailed`.
+ *
+ * Emits 'authStateChange' with the new state ('unconfigured', 'authorized'
+ * or 'needs_reauth') whenever the authorization state changes.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+class EmailProvider extends EventEmitter {
+  /**
+   * @param {string} provider - Provider name, e.g. 'gmail' or 'imap'
+   * @param {string} accountId - ID of the account this provider reads
+   */
+  constructor(provider, accountId) {
+    super();
+    this.provider = provider;
+    this.accountId = accountId;
+    this.authState = 'unconfigured';
+    
+    // How unread changes are detected: 'disabled', 'polling' or 'push'
+    this.mode = 'disabled';
+    
+    // Polling state
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.lastFetchFailed = false;
+    this.summarizedIds = new Set();
+  }
+  
+  /**
+   * Change the authorization state and notify listeners
+   * @param {string} state - 'unconfigured', 'authorized' or 'needs_reauth'
+   * @protected
+   */
+  _setAuthState(state) {
+    if (this.authState === state) {
+      return;
+    }
+    
+    this.authState = state;
+    if (state === 'needs_reauth') {
+      logger.warn(`Email account ${this.accountId} needs to be authorized again`);
+    }
+    this.emit('authStateChange', state);
+  }
+  
+  /**
+   * Check if email functionality is available (credentials present and accepted)
+   * @returns {boolean} True if email features are available
+   */
+  isEmailEnabled() {
+    return this.authState === 'authorized';
+  }
+  
+  /**
+   * Fetch the newest unread emails
+   * @param {number} maxResults - Maximum number of emails to fetch
+   * @returns {Promise<Array>} Array of email objects
+   */
+  async fetchUnreadEmails(maxResults) {
+    throw new Error(`${this.provider} provider does not implement fetchUnreadEmails`);
+  }
+  
+  /**
+   * Fetch unread emails and check whether the unread set differs from the
+   * one that was last summarized
+   * @param {number} maxResults - Maximum number of emails to fetch
+   * @returns {Promise<object>} `{ changed, emails }`; never changed when the fetch failed
+   */
+  async checkForChanges(maxResults = 5) {
+    const emails = await this.fetchUnreadEmails(maxResults);
+    
+    // A failed fetch returns [] and must not look like an emptied inbox
+    if (this.lastFetchFailed) {
+      return { changed: false, emails };
+    }
+    
+    const ids = emails.map(email => email.id);
+    const changed = ids.length !== this.summarizedIds.size ||
+      ids.some(id => !this.summarizedIds.has(id));
+    
+    return { changed, emails };
+  }
+  
+  /**
+   * Remember the emails that have been summarized and published
+   * @param {Array} emails - The summarized emails
+   */
+  markSummarized(emails) {
+    this.summarizedIds = new Set(emails.map(email => email.id));
+  }
+  
+  /**
+   * Hand a changed unread set to the change callback and remember it once handled
+   * @param {Array} emails - The current unread emails
+   * @param {function} onChange - Async function called with the emails
+   * @private
+   */
+  async _notifyChange(emails, onChange) {
+    logger.info(`Unread email set of ${this.accountId} changed (${emails.length} unread)`);
+    await onChange(emails);
+    this.markSummarized(emails);
+  }
+  
+  /**
+   * Poll for unread email changes on a fixed interval
+   * @param {number} intervalMs - Time between polls
+   * @param {function} onChange - Async function called with the emails whenever the unread set changes
+   * @param {number} maxResults - Maximum number of emails to fetch per poll
+   */
+  startPolling(intervalMs, onChange, maxResults = 5) {
+    if (!this.isEmailEnabled()) {
+      logger.info(`Email polling not started for ${this.accountId} - email is not configured`);
+      return;
+    }
+    
+    this.stopPolling();
+    
+    const poll = async () => {
+      // Skip this tick if the previous poll is still running
+      if (this.isPolling) {
+        return;
+      }
+      
+      this.isPolling = true;
+      try {
+        const { changed, emails } = await this.checkForChanges(maxResults);
+        if (changed) {
+          await this._notifyChange(emails, onChange);
+        }
+      } catch (error) {
+        logger.error(`Error polling emails of ${this.accountId}:`, error);
+      } finally {
+        this.isPolling = false;
+      }
+    };
+    
+    this.mode = 'polling';
+    this.pollTimer = setInterval(poll, intervalMs);
+    logger.info(`Polling unread emails of ${this.accountId} every ${Math.round(intervalMs / 1000)}s`);
+    poll();
+  }
+  
+  /**
+   * Stop polling for email changes
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+  
+  /**
+   * Stop all background activity of the provider
+   */
+  stop() {
+    this.stopPolling();
+  }
+}
+
+export default EmailProvider;
@@ -0,0 +1,294 @@
+/**
+ * IMAP Handler Module
+ *
+ * IMAP implementation of the email provider interface, for Outlook,
+ * Fastmail, self-hosted and other non-Gmail mailboxes:
+ * - Connects per fetch with configurable host, port, TLS and credentials
+ * - Lists unseen messages of one folder without marking them as read
+ * - Builds snippets from the first text part of each message
+ */
+
+import { ImapFlow } from 'imapflow';
+import EmailProvider from './emailProvider.js';
+import logger from '../utils/logger.js';
+import { selectEmails } from '../utils/emailFilters.js';
+
+// Snippet length, matching what Gmail returns
+const SNIPPET_LENGTH = 200;
+
+// Maximum number of body bytes downloaded per message for the snippet
+const SNIPPET_MAX_BYTES = 16 * 1024;
+
+// Connection timeout of a settings check, which runs while a request waits
+const TEST_CONNECTION_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Find the first plain text part of a message, falling back to HTML
+ * @param {object} node - Body structure node
+ * @returns {object|null} `{ part, type }` of the text part, or null if there is none
+ * @private
+ */
+function findTextPart(node) {
+  let html = null;
+  const stack = [node];
+
+  while (stack.length > 0) {
+    const current = stack.shift();
+    if (current.childNodes) {
+      stack.unshift(...current.childNodes);
+      continue;
+    }
+
+    if (current.disposition === 'attachment') {
+      continue;
+    }
+
+    if (current.type === 'text/plain') {
+      return { part: current.part || '1', type: current.type };
+    }
+
+    if (current.type === 'text/html' && !html) {
+      html = { part: current.part || '1', type: current.type };
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Turn message text into a single-line snippet
+ * @param {string} text - Decoded body text
+ * @param {boolean} isHtml - Whether the text is HTML
+ * @returns {string} The snippet
+ * @private
+ */
+function toSnippet(text, isHtml) {
+  const plain = isHtml
+    ? text.replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ')
+    : text;
+
+  return plain.replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH);
+}
+
+/**
+ * Format an envelope address like a From header
+ * @param {object} [address] - Envelope address with name and address
+ * @returns {string} The formatted sender
+ * @private
+ */
+function formatAddress(address) {
+  if (!address) {
+    return 'Unknown Sender';
+  }
+
+  return address.name ? `${address.name} <${address.address}>` : address.address;
+}
+
+/**
+ * Read a download stream into a string
+ * @param {ReadableStream} stream - The content stream
+ * @returns {Promise<string>} The content
+ * @private
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * IMAP email provider
+ */
+class ImapHandler extends EmailProvider {
+  /**
+   * @param {object} settings - IMAP account settings
+   * @param {string} settings.host - IMAP server host
+   * @param {number} [settings.port] - IMAP server port (default 993 with TLS, 143 without)
+   * @param {boolean} [settings.tls] - Connect with TLS (default true)
+   * @param {boolean} [settings.rejectUnauthorized] - Reject invalid TLS certificates (default true)
+   * @param {string} settings.user - Login user name
+   * @param {string} settings.password - Login password or app password
+   * @param {string} [settings.folder] - Folder to read (default INBOX)
+   * @param {object} [settings.filters] - VIP senders and scan limit (see emailFilters)
+   * @param {string} accountId - ID of the account
+   */
+  constructor(settings, accountId) {
+    super('imap', accountId);
+    this.updateSettings(settings);
+  }
+
+  /**
+   * Replace the account settings, e.g. after the password was changed
+   * @param {object} settings - IMAP account settings (see constructor)
+   */
+  updateSettings(settings) {
+    const tls = settings.tls !== false;
+
+    this.settings = {
+      folder: 'INBOX',
+      rejectUnauthorized: true,
+      ...settings,
+      tls,
+      port: settings.port || (tls ? 993 : 143)
+    };
+    this.filters = { vipSenders: [], scanLimit: 25, ...settings.filters };
+
+    const { host, user, password } = this.settings;
+    this._setAuthState(host && user && password ? 'authorized' : 'unconfigured');
+  }
+
+  /**
+   * Create a client for one fetch
+   * @param {object} [options] - Extra ImapFlow options, e.g. timeouts
+   * @returns {ImapFlow} The IMAP client
+   * @private
+   */
+  _createClient(options = {}) {
+    const { host, port, tls, rejectUnauthorized, user, password } = this.settings;
+    const client = new ImapFlow({
+      host,
+      port,
+      secure: tls,
+      tls: { rejectUnauthorized },
+      auth: { user, pass: password },
+      logger: false,
+      ...options
+    });
+
+    // Socket errors are also reported through the pending command
+    client.on('error', error => logger.debug(`IMAP connection error for ${this.accountId}: ${error.message}`));
+    return client;
+  }
+
+  /**
+   * Log in and look up the configured folder once, e.g. before new settings are stored
+   * @returns {Promise<object>} `{ ok: true }`, or `{ ok: false, reason, message }` where reason is
+   *   'auth' (login rejected), 'folder' (folder missing) or 'connection' (server unreachable)
+   */
+  async testConnection() {
+    const { host, port, folder } = this.settings;
+    const client = this._createClient({
+      connectionTimeout: TEST_CONNECTION_TIMEOUT_MS,
+      greetingTimeout: TEST_CONNECTION_TIMEOUT_MS
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      client.close();
+      if (error.authenticationFailed) {
+        return { ok: false, reason: 'auth', message: `IMAP login failed for ${this.settings.user}` };
+      }
+      return { ok: false, reason: 'connection', message: `Could not connect to ${host}:${port}: ${error.message}` };
+    }
+
+    try {
+      // status() resolves to false when the server rejects the folder
+      const status = await client.status(folder, { messages: true }).catch(() => false);
+      if (!status) {
+        return { ok: false, reason: 'folder', message: `IMAP folder ${folder} not found` };
+      }
+      return { ok: true };
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  /**
+   * Download the beginning of a message's text part as a snippet
+   * @param {ImapFlow} client - Connected client with the folder selected
+   * @param {object} message - Fetched message with uid and bodyStructure
+   * @returns {Promise<string>} The snippet, or '' if the message has no text part
+   * @private
+   */
+  async _getSnippet(client, message) {
+    const textPart = message.bodyStructure ? findTextPart(message.bodyStructure) : null;
+    if (!textPart) {
+      return '';
+    }
+
+    const { content } = await client.download(String(message.uid), textPart.part, {
+      uid: true,
+      maxBytes: SNIPPET_MAX_BYTES
+    });
+
+    return content ? toSnippet(await readStream(content), textPart.type === 'text/html') : '';
+  }
+
+  /**
+   * Fetch the newest unseen emails of the configured folder
+   * @param {number} maxResults - Maximum number of emails to fetch (default: 5)
+   * @returns {Promise<Array>} Array of email objects
+   */
+  async fetchUnreadEmails(maxResults = 5) {
+    if (!this.isEmailEnabled()) {
+      logger.warn(`Email fetch skipped - IMAP account ${this.accountId} is not configured`);
+      this.lastFetchFailed = true;
+      return [];
+    }
+
+    const { folder } = this.settings;
+    const client = this._createClient();
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(folder);
+
+      try {
+        const uids = (await client.search({ seen: false }, { uid: true })) || [];
+        const candidates = uids
+          .sort((a, b) => b - a)
+          .slice(0, Math.max(this.filters.scanLimit, maxResults));
+
+        // Collect envelopes first; no other command may run inside a fetch loop
+        const messages = [];
+        if (candidates.length > 0) {
+          const query = { uid: true, envelope: true, bodyStructure: true };
+          for await (const message of client.fetch(candidates.join(','), query, { uid: true })) {
+            messages.push(message);
+          }
+        }
+        messages.sort((a, b) => b.uid - a.uid);
+
+        const uidValidity = client.mailbox.uidValidity;
+        const candidatesByUid = new Map(messages.map(message => [message.uid, message]));
+        const emails = selectEmails(messages.map(message => ({
+          id: `${folder}:${uidValidity}:${message.uid}`,
+          uid: message.uid,
+          subject: message.envelope.subject || 'No Subject',
+          from: formatAddress(message.envelope.from && message.envelope.from[0]),
+          date: message.envelope.date ? new Date(message.envelope.date).toISOString() : undefined,
+          snippet: ''
+        })), this.filters, maxResults);
+
+        for (const email of emails) {
+          email.snippet = await this._getSnippet(client, candidatesByUid.get(email.uid));
+        }
+
+        logger.info(`Fetched ${emails.length} unread emails for ${this.accountId}`);
+        this.lastFetchFailed = false;
+        return emails;
+      } finally {
+        lock.release();
+      }
+    } catch (error) {
+      this.lastFetchFailed = true;
+
+      if (error.authenticationFailed) {
+        logger.warn(`IMAP login failed for ${this.accountId} - credentials may be wrong or revoked`);
+        this._setAuthState('needs_reauth');
+        return [];
+      }
+
+      logger.error(`Error fetching IMAP emails for ${this.accountId}:`, error);
+      return [];
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+}
+
+export default ImapHandler;
@@ -0,0 +1,76 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Completions through the Anthropic Messages API, or any server exposing the
+ * same `/v1/messages` endpoint, using the built-in fetch.
+ */
+
+// API version sent with every request
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - API key
+   * @param {string} [options.baseUrl] - Base URL of the API (default https://api.anthropic.com)
+   * @param {number} [options.timeoutMs] - Request timeout
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.defaultModel = 'claude-3-5-haiku-latest';
+    this.apiKey = options.apiKey || '';
+    this.baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Run a single-turn completion
+   * @param {object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {string} request.system - System prompt
+   * @param {string} request.prompt - User prompt
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum number of generated tokens
+   * @returns {Promise<object>} `{ text, usage: { inputTokens, outputTokens } }`
+   * @throws {Error} If the API returns an error
+   */
+  async complete({ model, system, prompt, temperature, maxTokens }) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = body.error && body.error.message ? body.error.message : response.statusText;
+      throw new Error(`Anthropic API error ${response.status}: ${message}`);
+    }
+
+    const usage = body.usage || {};
+    return {
+      text: (body.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim(),
+      usage: {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    };
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,62 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Chat completions through the OpenAI SDK:
+ * - The OpenAI API itself
+ * - Any OpenAI-compatible server (Ollama, llama.cpp server, LM Studio) via a base URL
+ */
+
+import { OpenAI } from 'openai';
+
+class OpenAiProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} [options.apiKey] - API key; local servers usually accept any value
+   * @param {string} [options.baseUrl] - Base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1
+   * @param {number} [options.timeoutMs] - Request timeout
+   */
+  constructor(options = {}) {
+    this.name = options.baseUrl ? 'openai-compatible' : 'openai';
+    this.defaultModel = options.baseUrl ? '' : 'gpt-4o';
+
+    // The SDK refuses to start without a key, which local servers do not need
+    this.client = new OpenAI({
+      apiKey: options.apiKey || (options.baseUrl ? 'not-needed' : undefined),
+      baseURL: options.baseUrl || undefined,
+      timeout: options.timeoutMs
+    });
+  }
+
+  /**
+   * Run a single-turn chat completion
+   * @param {object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {string} request.system - System prompt
+   * @param {string} request.prompt - User prompt
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum number of generated tokens
+   * @returns {Promise<object>} `{ text, usage: { inputTokens, outputTokens } }`
+   */
+  async complete({ model, system, prompt, temperature, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const usage = response.usage || {};
+    return {
+      text: (response.choices[0].message.content || '').trim(),
+      usage: {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+}
+
+export default OpenAiProvider;
@@ -1,70 +1,189 @@
 /**
  * LLM Handler Module
  * 
- * Manages interactions with OpenAI's API to:
+ * Manages interactions with a pluggable LLM provider (OpenAI, any
+ * OpenAI-compatible server, or Anthropic) to:
  * - Generate literature-style motivational quotes based on sensor data
  * - Process and analyze information
+ * 
+ * Model, temperature and max tokens are configured per task
+ * (quote, summary, priority). Quotes fall back to the offline quote library,
+ * which is the only source when the provider is 'none'. Responses are cached
+ * by normalized input when a cache is given. With a usage tracker, token
+ * usage and cost are recorded per task and the fallbacks take over once the
+ * monthly budget is reached.
  */
 
-import { OpenAI } from 'openai';
+import OpenAiProvider from './llm/openAiProvider.js';
+import AnthropicProvider from './llm/anthropicProvider.js';
 import logger from '../utils/logger.js';
+import { describeReadings } from '../utils/sensorRegistry.js';
+import { getCondition } from '../utils/conditions.js';
+import { PRIORITY_LEVELS } from '../utils/priorityEngine.js';
+import { QuoteLibrary } from '../utils/quoteLibrary.js';
+import { buildConditionKey, buildEmailKey } from '../utils/llmCache.js';
+
+// Per-task settings used when the configuration leaves them out
+const DEFAULT_TASKS = {
+  quote: { temperature: 0.7, maxTokens: 60 },
+  summary: { temperature: 0.3, maxTokens: 60 },
+  priority: { temperature: 0.1, maxTokens: 10 }
+};
 
 class LlmHandler {
-  constructor(apiKey) {
-    this.openai = new OpenAI({
-      apiKey: apiKey,
-    });
+  /**
+   * @param {object} config - LLM configuration
+   * @param {string} [config.provider] - 'openai', 'openai-compatible', 'anthropic' or 'none' (default 'openai')
+   * @param {string} [config.apiKey] - API key of the provider
+   * @param {string} [config.baseUrl] - Base URL of the provider API
+   * @param {number} [config.timeoutMs] - Request timeout
+   * @param {object} [config.tasks] - Per-task `{ model, temperature, maxTokens }` for quote, summary and priority
+   * @param {QuoteLibrary} [quoteLibrary] - Offline quotes used when the LLM is unavailable
+   * @param {LlmCache} [cache] - Cache for responses to barely changed inputs
+   * @param {UsageTracker} [usageTracker] - Records token usage and enforces the monthly budget
+   */
+  constructor(config = {}, quoteLibrary = new QuoteLibrary(), cache = null, usageTracker = null) {
+    this.provider = this._createProvider(config);
+    this.quoteLibrary = quoteLibrary;
+    this.cache = cache;
+    this.usageTracker = usageTracker;
+    this.tasks = {};
+    
+    for (const [task, defaults] of Object.entries(DEFAULT_TASKS)) {
+      const settings = { ...defaults, ...(config.tasks && config.tasks[task]) };
+      this.tasks[task] = { ...settings, model: settings.model || (this.provider ? this.provider.defaultModel : '') };
+    }
+    
+    if (this.provider) {
+      logger.info(`LLM provider: ${this.provider.name} (${Object.entries(this.tasks).map(([task, { model }]) => `${task}: ${model || 'no model'}`).join(', ')})`);
+    } else {
+      logger.info('LLM disabled - quotes come from the offline quote library');
+    }
+  }
+
+  /**
+   * Create the provider for a provider name
+   * @param {object} config - LLM configuration
+   * @returns {object|null} The provider instance, or null if the LLM is disabled
+   * @private
+   */
+  _createProvider(config) {
+    const provider = config.provider || 'openai';
+    if (provider === 'none') {
+      return null;
+    }
+    
+    const options = { apiKey: config.apiKey, baseUrl: config.baseUrl, timeoutMs: config.timeoutMs };
+    
+    if (provider === 'openai') {
+      return new OpenAiProvider(options);
+    }
+    
+    if (provider === 'openai-compatible') {
+      if (!config.baseUrl) {
+        throw new Error('The openai-compatible LLM provider needs a base URL');
+      }
+      return new OpenAiProvider(options);
+    }
+    
+    if (provider === 'anthropic') {
+      return new AnthropicProvider(options);
+    }
+    
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  /**
+   * Run a completion with the settings of a task
+   * @param {string} task - 'quote', 'summary' or 'priority'
+   * @param {string} system - System prompt
+   * @param {string} prompt - User prompt
+   * @returns {Promise<string>} The generated text
+   * @throws {Error} If the task has no model, the monthly budget is reached or the provider fails
+   * @private
+   */
+  async _complete(task, system, prompt) {
+    const { model, temperature, maxTokens } = this.tasks[task];
+    if (!model) {
+      throw new Error(`No model configured for the ${task} task`);
+    }
+    
+    if (this.usageTracker && await this.usageTracker.isBudgetReached()) {
+      throw new Error('Monthly LLM budget reached');
+    }
+    
+    const { text, usage } = await this.provider.complete({ model, system, prompt, temperature, maxTokens });
+    if (this.usageTracker) {
+      await this.usageTracker.record(task, model, usage);
+    }
+    return text;
   }
 
   /**
    * Generate a literature-style motivational quote based on indoor conditions
-   * @param {object} sensorData - Object containing temperature and humidity
-   * @returns {Promise<string>} A generated quote
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @param {string} [deviceId] - Device the quote is for, used for library rotation
+   * @returns {Promise<string>} A generated quote, or one from the quote library
    */
-  async generateQuote(sensorData) {
+  async generateQuote(sensorData, deviceId) {
+    const { text } = await this.generateQuoteWithSource(sensorData, deviceId);
+    return text;
+  }
+
+  /**
+   * Generate a quote and report where it came from
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @param {string} [deviceId] - Device the quote is for, used for library rotation
+   * @returns {Promise<object>} `{ text, source }` with source 'llm', 'cache' or 'fallback' (quote library)
+   */
+  async generateQuoteWithSource(sensorData, deviceId) {
+    if (!this.provider) {
+      return { text: this.quoteLibrary.pick(sensorData, deviceId), source: 'fallback' };
+    }
+    
+    // Barely changed conditions reuse a cached quote, except for the variety share
+    const cacheKey = this.cache ? buildConditionKey(sensorData, this.cache.rounding) : null;
+    const cachedQuote = cacheKey && this.cache.get('quote', cacheKey, { allowFresh: true });
+    if (cachedQuote) {
+      logger.debug(`Using cached quote for ${cacheKey}`);
+      return { text: cachedQuote, source: 'cache' };
+    }
+    
     try {
       // Determine environmental conditions from sensor data
       const { temperature, humidity } = sensorData;
-      let condition = 'neutral';
+      const condition = getCondition(sensorData);
       
-      if (temperature > 28) condition = 'hot';
-      else if (temperature < 16) condition = 'cold';
-      else if (temperature >= 22 && temperature <= 25 && humidity >= 40 && humidity <= 60) condition = 'ideal';
-      
-      if (humidity > 65) condition += ' and humid';
-      else if (humidity < 30) condition += ' and dry';
-      
-      // Create a prompt for the OpenAI API
+      // Create a prompt for the LLM
+      const readings = describeReadings(sensorData).join('\n      ');
       const prompt = `Generate a short, poetic, literature-style motivational quote (maximum 120 characters) 
       about being in a ${condition} indoor environment with temperature ${temperature}°C and 
-      humidity ${humidity}%. The quote should be uplifting and suitable for display on a smart home device.`;
-
-      logger.debug('Sending prompt to OpenAI:', prompt);
+      humidity ${humidity}%. The quote should be uplifting and suitable for display on a smart home device.
       
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system", 
-            content: "You are a poetic assistant that creates short literary quotes about indoor environments."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 60
-      });
+      All current readings:
+      ${readings}`;
 
-      const quote = response.choices[0].message.content.trim();
+      logger.debug(`Sending prompt to ${this.provider.name}:`, prompt);
+      
+      const quote = await this._complete(
+        'quote',
+        "You are a poetic assistant that creates short literary quotes about indoor environments.",
+        prompt
+      );
+      if (!quote) {
+        throw new Error('LLM returned an empty quote');
+      }
+      
       logger.info(`Generated quote: "${quote}"`);
-      return quote;
+      if (this.cache) {
+        this.cache.set('quote', cacheKey, quote);
+      }
+      return { text: quote, source: 'llm' };
       
     } catch (error) {
       logger.error('Error generating quote:', error);
-      // Return a fallback quote in case of API failure
-      return "The present moment is a gift, regardless of the weather outside or in.";
+      // Rotate through condition-matched offline quotes in case of API failure
+      return { text: this.quoteLibrary.pick(sensorData, deviceId), source: 'fallback' };
     }
   }
 
@@ -78,33 +197,38 @@ class LlmHandler {
       return "No new emails to summarize.";
     }
     
+    // Without an LLM the display shows the count and the newest subject
+    if (!this.provider) {
+      return `${emails.length} new email(s). Latest: ${emails[0].subject}`.slice(0, 120);
+    }
+    
+    // The same set of emails always gets the same summary
+    const cacheKey = this.cache ? buildEmailKey(emails) : null;
+    const cachedSummary = cacheKey && this.cache.get('summary', cacheKey);
+    if (cachedSummary) {
+      logger.debug('Using cached email summary');
+      return cachedSummary;
+    }
+    
     try {
       // Construct a prompt with email data
       let emailText = emails.map((email, index) => {
-        return `Email ${index + 1}: Subject: ${email.subject}\nExcerpt: ${email.snippet}`;
+        const vip = email.vip ? ' (VIP sender)' : '';
+        return `Email ${index + 1}${vip}: Subject: ${email.subject}\nExcerpt: ${email.snippet}`;
       }).join('\n\n');
       
       const prompt = `Summarize these ${emails.length} unread emails very concisely in 120 characters or less, 
       highlighting only the most important information that needs attention:\n\n${emailText}`;
       
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system", 
-            content: "You are a concise assistant that summarizes email content into minimal text for small displays."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 60
-      });
-
-      const summary = response.choices[0].message.content.trim();
+      const summary = await this._complete(
+        'summary',
+        "You are a concise assistant that summarizes email content into minimal text for small displays.",
+        prompt
+      );
       logger.info(`Generated email summary (${summary.length} chars)`);
+      if (this.cache && summary) {
+        this.cache.set('summary', cacheKey, summary);
+      }
       return summary;
       
     } catch (error) {
@@ -114,62 +238,59 @@ class LlmHandler {
   }
 
   /**
-   * Determine priority level based on sensor data and emails
-   * @param {object} sensorData - The current sensor readings
+   * Classify how urgent a set of emails is
    * @param {Array} emails - Array of email objects
-   * @returns {Promise<string>} Priority level (normal/warning/urgent)
+   * @returns {Promise<string|null>} Urgency level (normal/warning/urgent), or null if it could not be determined
    */
-  async determinePriority(sensorData, emails) {
+  async classifyEmailUrgency(emails) {
+    if (!emails || emails.length === 0) {
+      return 'normal';
+    }
+    
+    if (!this.provider) {
+      return null;
+    }
+    
+    const cacheKey = this.cache ? buildEmailKey(emails) : null;
+    const cachedUrgency = cacheKey && this.cache.get('urgency', cacheKey);
+    if (cachedUrgency) {
+      logger.debug(`Using cached email urgency: ${cachedUrgency}`);
+      return cachedUrgency;
+    }
+    
     try {
-      // Extract important keywords from emails
-      let emailContent = emails.map(email => `Subject: ${email.subject}\nExcerpt: ${email.snippet}`).join('\n\n');
+      const emailContent = emails.map(email => `Subject: ${email.subject}\nExcerpt: ${email.snippet}`).join('\n\n');
       
-      // Create a prompt for priority determination
-      const prompt = `Given these sensor readings and emails, determine if the overall situation is "normal", "warning", or "urgent".
+      // Create a prompt for email urgency classification
+      const prompt = `Given these unread emails, classify how urgently they need attention as "normal", "warning", or "urgent".
       
-      Temperature: ${sensorData.temperature}°C
-      Humidity: ${sensorData.humidity}%
-      
-      Email information:
       ${emailContent}
       
       Rules:
-      - "normal": No urgent emails and comfortable environment (18-26°C, 30-65% humidity)
-      - "warning": Potentially important emails OR environment outside comfort zone
-      - "urgent": Critical emails OR extreme environmental conditions (<10°C, >35°C, <20% or >85% humidity)
+      - "normal": Nothing that needs attention soon
+      - "warning": Potentially important emails
+      - "urgent": Critical emails that need immediate attention
       
       Return just one word: normal, warning, or urgent`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system", 
-            content: "You analyze data and determine priority levels without explanation."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 10
-      });
-
-      const priority = response.choices[0].message.content.trim().toLowerCase();
+      const answer = await this._complete('priority', "You classify email urgency without explanation.", prompt);
+      const urgency = answer.toLowerCase().replace(/[^a-z]/g, '');
       
       // Validate the response is one of the expected values
-      const validResponses = ['normal', 'warning', 'urgent'];
-      if (!validResponses.includes(priority)) {
-        return 'normal'; // Default to normal if invalid response
+      if (!PRIORITY_LEVELS.includes(urgency)) {
+        logger.warn(`Ignoring unexpected email urgency response: ${urgency}`);
+        return null;
       }
       
-      logger.info(`Determined priority: ${priority}`);
-      return priority;
+      logger.info(`Classified email urgency: ${urgency}`);
+      if (this.cache) {
+        this.cache.set('urgency', cacheKey, urgency);
+      }
+      return urgency;
       
     } catch (error) {
-      logger.error('Error determining priority:', error);
-      return 'normal'; // Default to normal in case of errors
+      logger.error('Error classifying email urgency:', error);
+      return null;
     }
   }
 }
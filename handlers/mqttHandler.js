@@ -5,61 +5,168 @@
  * - Connection to MQTT broker
  * - Subscription to sensor topics
  * - Publishing messages to display topics
- * - Handling connection/disconnection events
+ * - Tracking the connection state and reconnecting with exponential backoff
+ * - Restoring subscriptions after the broker lost the session
+ * - Announcing the backend status with a birth message and a last will
+ * - Queueing publishes while disconnected and flushing them on reconnect
  */
 
 import mqtt from 'mqtt';
 import logger from '../utils/logger.js';
 import dataStore from '../utils/dataStore.js';
+import { isValidTopicFilter, topicMatchesFilter } from '../utils/topics.js';
+import PublishQueue from '../utils/publishQueue.js';
+
+// Options of the retained backend status messages
+const STATUS_OPTIONS = { qos: 1, retain: true };
+
+// Connection states: offline (not trying), connecting (first attempt),
+// connected, and reconnecting (waiting for or making a retry)
+const CONNECTION_STATES = ['offline', 'connecting', 'connected', 'reconnecting'];
 
 class MqttHandler {
+  /**
+   * @param {object} config - MQTT configuration
+   * @param {string} config.brokerUrl - Broker URL
+   * @param {string} config.clientId - Client ID; must be fixed for persistent sessions
+   * @param {string} [config.username] - Broker username
+   * @param {string} [config.password] - Broker password
+   * @param {boolean} [config.cleanSession] - Set to false to keep the session and queued messages across reconnects
+   * @param {number} [config.subscribeQos] - QoS of topic subscriptions
+   * @param {object} [config.topics] - Topic configuration; `status` receives the birth message and last will
+   * @param {object} [config.queue] - Publish queue options `{ maxSize, filePath }`
+   * @param {number} [config.reconnectMinMs] - Delay before the first reconnect attempt
+   * @param {number} [config.reconnectMaxMs] - Upper bound of the doubling reconnect delay
+   */
   constructor(config) {
     this.mqttClient = null;
     this.broker = config.brokerUrl;
     this.clientId = config.clientId;
     this.username = config.username;
     this.password = config.password;
+    this.cleanSession = config.cleanSession !== false;
+    this.subscribeQos = config.subscribeQos || 0;
+    this.statusTopic = (config.topics && config.topics.status) || null;
+    this.publishQueue = new PublishQueue(config.queue);
+    this.isFlushing = false;
+    // Subscription filter -> Set of handler functions
     this.topicHandlers = new Map();
-    this.isConnected = false;
+    // Filters registered while disconnected, subscribed on the next connect
+    this.pendingSubscriptions = new Set();
+
+    this.state = 'offline';
+    this.reconnectMinMs = config.reconnectMinMs || 1000;
+    this.reconnectMaxMs = config.reconnectMaxMs || 60000;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.stats = {
+      connects: 0,
+      reconnectAttempts: 0,
+      connectionLosses: 0,
+      errors: 0,
+      lastConnectedAt: null,
+      lastDisconnectedAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Whether the client currently has a broker connection
+   * @type {boolean}
+   */
+  get isConnected() {
+    return this.state === 'connected';
+  }
+
+  /**
+   * Change the connection state
+   * @param {string} state - One of CONNECTION_STATES
+   * @private
+   */
+  _setState(state) {
+    if (this.state !== state) {
+      logger.debug(`MQTT connection state: ${this.state} -> ${state}`);
+      this.state = state;
+    }
   }
 
   /**
    * Connect to the MQTT broker
-   * @returns {Promise} Resolves when connected, rejects on error
+   * 
+   * The client keeps reconnecting in the background after the returned
+   * promise settles, including when the first attempt fails.
+   * 
+   * @returns {Promise} Resolves on the first connection, rejects if the first attempt fails
    */
   connect() {
     return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
       const options = {
         clientId: this.clientId,
-        clean: true,
-        reconnectPeriod: 5000,
+        clean: this.cleanSession,
+        // Reconnects and resubscriptions are handled here, with backoff and state tracking
+        reconnectPeriod: 0,
+        resubscribe: false
       };
 
+      // The broker publishes 'offline' for us if the connection drops without a disconnect
+      if (this.statusTopic) {
+        options.will = { topic: this.statusTopic, payload: 'offline', ...STATUS_OPTIONS };
+      }
+
       if (this.username && this.password) {
         options.username = this.username;
         options.password = this.password;
       }
 
       logger.info(`Connecting to MQTT broker at ${this.broker}`);
-      this.mqttClient = mqtt.connect(this.broker, options);
+      this._setState('connecting');
+      this.mqttClient = this._createClient(options);
 
-      this.mqttClient.on('connect', () => {
-        this.isConnected = true;
-        logger.info('Connected to MQTT broker successfully');
-        resolve();
+      this.mqttClient.on('connect', (connack) => {
+        this._setState('connected');
+        this.reconnectAttempt = 0;
+        this.stats.connects++;
+        this.stats.lastConnectedAt = new Date().toISOString();
+        logger.info(`Connected to MQTT broker successfully${connack.sessionPresent ? ' (resumed session)' : ''}`);
+        
+        // Birth message, replacing the retained last will after every (re)connect
+        if (this.statusTopic) {
+          this._send(this.statusTopic, 'online', STATUS_OPTIONS).catch(() => {});
+        }
+        
+        // A resumed session still has its subscriptions; a new one needs all of them
+        this._subscribeAll(connack.sessionPresent ? [...this.pendingSubscriptions] : [...this.topicHandlers.keys()]);
+        
+        this._flushQueue();
+        settle();
       });
 
       this.mqttClient.on('error', (err) => {
-        logger.error('MQTT connection error:', err.message);
-        reject(err);
+        this.stats.errors++;
+        this.stats.lastError = err.message;
+        logger.error(`MQTT connection error: ${err.message}`);
+        settle(err);
       });
 
-      this.mqttClient.on('offline', () => {
-        this.isConnected = false;
-        logger.warn('MQTT client is offline');
+      this.mqttClient.on('close', () => {
+        this._handleClose();
       });
 
       this.mqttClient.on('reconnect', () => {
+        this.stats.reconnectAttempts++;
         logger.info('Attempting to reconnect to MQTT broker');
       });
 
@@ -67,32 +174,172 @@ class MqttHandler {
         const messageStr = message.toString();
         logger.debug(`Received message on topic ${topic}: ${messageStr}`);
         
-        try {
-          // Call the appropriate handler for this topic
-          if (this.topicHandlers.has(topic)) {
-            this.topicHandlers.get(topic)(topic, messageStr);
+        // Call each handler once, even if several of its filters match
+        for (const handler of this._getMatchingHandlers(topic)) {
+          try {
+            Promise.resolve(handler(topic, messageStr)).catch((error) => {
+              logger.error(`Error processing message from topic ${topic}:`, error);
+            });
+          } catch (error) {
+            logger.error(`Error processing message from topic ${topic}:`, error);
           }
-        } catch (error) {
-          logger.error(`Error processing message from topic ${topic}:`, error);
         }
       });
     });
   }
 
+  /**
+   * Create the MQTT client and start connecting
+   * @param {object} options - MQTT client options
+   * @returns {mqtt.MqttClient} The client
+   * @private
+   */
+  _createClient(options) {
+    return mqtt.connect(this.broker, options);
+  }
+
+  /**
+   * Handle a closed connection or a failed connection attempt by scheduling
+   * the next attempt
+   * @private
+   */
+  _handleClose() {
+    // Closed on purpose by disconnect()
+    if (this.state === 'offline') {
+      return;
+    }
+
+    if (this.state === 'connected') {
+      this.stats.connectionLosses++;
+      this.stats.lastDisconnectedAt = new Date().toISOString();
+      logger.warn('Lost connection to MQTT broker');
+    }
+
+    this._setState('reconnecting');
+    this._scheduleReconnect();
+  }
+
+  /**
+   * Get the delay before the next reconnect attempt
+   * 
+   * The delay doubles with every attempt up to the maximum. Half of it is
+   * random so that restarted backends do not retry in lockstep.
+   * 
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _getReconnectDelay() {
+    const delay = Math.min(this.reconnectMaxMs, this.reconnectMinMs * 2 ** Math.min(this.reconnectAttempt, 30));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const delay = this._getReconnectDelay();
+    this.reconnectAttempt++;
+    logger.info(`Reconnecting to MQTT broker in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempt})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.state === 'reconnecting') {
+        this.mqttClient.reconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Subscribe to filters that are registered but not known to the broker
+   * 
+   * Failures are logged; the filters stay pending for the next connect.
+   * 
+   * @param {Array<string>} filters - Subscription filters
+   * @private
+   */
+  _subscribeAll(filters) {
+    if (filters.length === 0) {
+      return;
+    }
+
+    this.mqttClient.subscribe(filters, { qos: this.subscribeQos }, (err) => {
+      if (err) {
+        logger.error(`Failed to restore MQTT subscriptions: ${err.message}`);
+        filters.forEach(filter => this.pendingSubscriptions.add(filter));
+        return;
+      }
+
+      logger.info(`Subscribed to ${filters.length} topic(s): ${filters.join(', ')}`);
+    });
+
+    filters.forEach(filter => this.pendingSubscriptions.delete(filter));
+  }
+
+  /**
+   * Register a handler for a subscription filter
+   * @param {string} topic - The subscription filter
+   * @param {function} [handler] - Function to call when a message arrives
+   * @private
+   */
+  _addHandler(topic, handler) {
+    if (!this.topicHandlers.has(topic)) {
+      this.topicHandlers.set(topic, new Set());
+    }
+    if (handler) {
+      this.topicHandlers.get(topic).add(handler);
+    }
+  }
+
+  /**
+   * Collect the handlers of all subscription filters matching a topic
+   * @param {string} topic - The topic a message was received on
+   * @returns {Set<function>} Matching handlers
+   * @private
+   */
+  _getMatchingHandlers(topic) {
+    const matching = new Set();
+    
+    for (const [filter, handlers] of this.topicHandlers) {
+      if (topicMatchesFilter(filter, topic)) {
+        handlers.forEach(handler => matching.add(handler));
+      }
+    }
+    
+    return matching;
+  }
+
   /**
    * Subscribe to a topic and register a handler function
-   * @param {string} topic - The MQTT topic to subscribe to
+   * 
+   * Several handlers may be registered for the same filter; each one is
+   * called for every message matching it. While disconnected the handler is
+   * registered right away and the broker subscription is made on connect.
+   * 
+   * @param {string} topic - The MQTT topic or wildcard filter to subscribe to
    * @param {function} handler - Function to call when a message arrives on this topic
-   * @returns {Promise} Resolves when subscribed successfully
+   * @returns {Promise} Resolves when subscribed successfully or registered for the next connect
    */
   subscribe(topic, handler) {
     return new Promise((resolve, reject) => {
+      if (!isValidTopicFilter(topic)) {
+        reject(new Error(`Invalid MQTT topic filter: ${topic}`));
+        return;
+      }
+
       if (!this.isConnected) {
-        reject(new Error('MQTT client not connected'));
+        this._addHandler(topic, handler);
+        this.pendingSubscriptions.add(topic);
+        logger.info(`Subscription to ${topic} will be made once connected`);
+        resolve();
         return;
       }
 
-      this.mqttClient.subscribe(topic, (err) => {
+      this.mqttClient.subscribe(topic, { qos: this.subscribeQos }, (err) => {
         if (err) {
           logger.error(`Failed to subscribe to topic ${topic}:`, err);
           reject(err);
@@ -100,10 +347,54 @@ class MqttHandler {
         }
         
         logger.info(`Subscribed to topic: ${topic}`);
-        if (handler) {
-          this.topicHandlers.set(topic, handler);
+        this._addHandler(topic, handler);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Remove a handler from a topic, unsubscribing once no handlers remain
+   * @param {string} topic - The MQTT topic or wildcard filter
+   * @param {function} [handler] - Handler to remove; removes all handlers when omitted
+   * @returns {Promise} Resolves when the handler has been removed
+   */
+  unsubscribe(topic, handler) {
+    return new Promise((resolve, reject) => {
+      const handlers = this.topicHandlers.get(topic);
+      if (!handlers) {
+        resolve();
+        return;
+      }
+
+      if (handler) {
+        handlers.delete(handler);
+      } else {
+        handlers.clear();
+      }
+
+      // Keep the broker subscription while other handlers still need it
+      if (handlers.size > 0) {
+        resolve();
+        return;
+      }
+
+      this.topicHandlers.delete(topic);
+      this.pendingSubscriptions.delete(topic);
+
+      if (!this.isConnected) {
+        resolve();
+        return;
+      }
+
+      this.mqttClient.unsubscribe(topic, (err) => {
+        if (err) {
+          logger.error(`Failed to unsubscribe from topic ${topic}:`, err);
+          reject(err);
+          return;
         }
         
+        logger.info(`Unsubscribed from topic: ${topic}`);
         resolve();
       });
     });
@@ -111,22 +402,48 @@ class MqttHandler {
 
   /**
    * Publish a message to a topic
+   * 
+   * While the broker is unreachable, or older messages are still waiting,
+   * the message is queued and published in order once the connection is back.
+   * 
    * @param {string} topic - The MQTT topic to publish to
    * @param {string|object} message - The message to publish (objects are stringified)
+   * @param {object} options - MQTT publish options, plus `collapse: false` to keep
+   *   every queued message of the topic instead of only the newest
+   * @returns {Promise} Resolves when published or queued
+   */
+  publish(topic, message, options = {}) {
+    const { collapse, ...publishOptions } = options;
+
+    // Convert objects to strings
+    const messageStr = typeof message === 'object' ? 
+      JSON.stringify(message) : message;
+
+    if (!this.isConnected || this.publishQueue.size > 0) {
+      this.publishQueue.enqueue(topic, messageStr, publishOptions, collapse !== false);
+      logger.debug(`Queued message for topic ${topic} (${this.publishQueue.size} queued)`);
+      this._flushQueue();
+      return Promise.resolve();
+    }
+
+    return this._send(topic, messageStr, publishOptions);
+  }
+
+  /**
+   * Publish a message on the current connection
+   * @param {string} topic - The MQTT topic to publish to
+   * @param {string} messageStr - The message payload
    * @param {object} options - MQTT publish options
    * @returns {Promise} Resolves when published successfully
+   * @private
    */
-  publish(topic, message, options = {}) {
+  _send(topic, messageStr, options) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected) {
         reject(new Error('MQTT client not connected'));
         return;
       }
 
-      // Convert objects to strings
-      const messageStr = typeof message === 'object' ? 
-        JSON.stringify(message) : message;
-      
       this.mqttClient.publish(topic, messageStr, options, (err) => {
         if (err) {
           logger.error(`Failed to publish to topic ${topic}:`, err);
@@ -141,22 +458,85 @@ class MqttHandler {
   }
 
   /**
-   * Disconnect from the MQTT broker
+   * Publish queued messages in order while connected
+   * 
+   * Stops at the first failure; the remaining messages wait for the next
+   * reconnect.
+   * 
+   * @private
+   */
+  async _flushQueue() {
+    if (this.isFlushing || !this.isConnected || this.publishQueue.size === 0) {
+      return;
+    }
+
+    this.isFlushing = true;
+    let flushed = 0;
+
+    try {
+      while (this.isConnected && this.publishQueue.size > 0) {
+        const entry = this.publishQueue.peek();
+        await this._send(entry.topic, entry.message, entry.options);
+        this.publishQueue.remove(entry);
+        flushed++;
+      }
+    } catch (error) {
+      logger.warn(`Stopped flushing the MQTT publish queue: ${error.message}`);
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (flushed > 0) {
+      logger.info(`Flushed ${flushed} queued MQTT message(s)`);
+    }
+  }
+
+  /**
+   * Get the connection state and event counters for status reporting
+   * @returns {object} State, reconnect attempt, counters and subscriptions
+   */
+  getStats() {
+    return {
+      state: this.state,
+      broker: this.broker,
+      reconnectAttempt: this.reconnectAttempt,
+      ...this.stats,
+      subscriptions: [...this.topicHandlers.keys()],
+      pendingSubscriptions: [...this.pendingSubscriptions]
+    };
+  }
+
+  /**
+   * Announce that the backend goes offline and disconnect from the MQTT broker
    * @returns {Promise} Resolves when disconnected
    */
-  disconnect() {
+  async disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    // A clean disconnect suppresses the last will, so publish the status ourselves
+    const wasConnected = this.isConnected;
+    if (this.statusTopic && wasConnected) {
+      await this._send(this.statusTopic, 'offline', STATUS_OPTIONS).catch(() => {});
+    }
+
+    // Stops the close handler from scheduling a reconnect
+    this._setState('offline');
+
     return new Promise((resolve) => {
-      if (this.mqttClient && this.isConnected) {
-        this.mqttClient.end(false, () => {
-          logger.info('Disconnected from MQTT broker');
-          this.isConnected = false;
-          resolve();
-        });
-      } else {
+      if (!this.mqttClient) {
         resolve();
+        return;
       }
+
+      // Without a connection there is nothing to close gracefully
+      this.mqttClient.end(!wasConnected, () => {
+        logger.info('Disconnected from MQTT broker');
+        resolve();
+      });
     });
   }
 }
 
+export { CONNECTION_STATES };
 export default MqttHandler;
\ No newline at end of file
@@ -3,15 +3,15 @@
  * 
  * Integrates:
  * - MQTT communication with ESP32 sensors
- * - OpenAI for generating literature-style motivational quotes
+ * - OpenAI, OpenAI-compatible or Anthropic LLMs for generating literature-style motivational quotes
  * - Gmail API for fetching and summarizing emails
+ * - Google Calendar and ICS calendars for upcoming events
  * 
  * Provides a complete IoT backend solution for the AuraLink project
  */
 
-// Load environment variables
-import dotenv from 'dotenv';
-dotenv.config();
+// Load environment variables first; imported modules such as the data store read them on import
+import 'dotenv/config';
 
 // Import required modules
 import express from 'express';
@@ -19,9 +19,9 @@ import session from 'express-session';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import fs from 'fs';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -30,16 +30,88 @@ const __dirname = dirname(__filename);
 // Import handlers and utilities
 import MqttHandler from './handlers/mqttHandler.js';
 import LlmHandler from './handlers/llmHandler.js';
-import EmailHandler from './handlers/emailHandler.js';
+import { parsePushEnvelope, isValidPushToken } from './handlers/emailHandler.js';
+import EmailAccountManager from './handlers/emailAccountManager.js';
+import ImapHandler from './handlers/imapHandler.js';
+import CalendarHandler from './handlers/calendarHandler.js';
+import TokenStore from './utils/tokenStore.js';
 import logger from './utils/logger.js';
-import dataStore from './utils/dataStore.js';
-import { loadConfig } from './utils/configLoader.js';
-
-// Global variables for sensor data
-let latestSensorData = {
-  temperature: null,
-  humidity: null,
-  timestamp: null
+import dataStore, { AGGREGATION_INTERVALS } from './utils/dataStore.js';
+import { loadConfig, parseList } from './utils/configLoader.js';
+import { DEFAULT_DEVICE_ID, isValidDeviceId, parseSensorTopic, getDisplayTopic } from './utils/topics.js';
+import { getSensorType, getSensorTypes, loadSensorTypesFromFile } from './utils/sensorRegistry.js';
+import { validateSensorPayload } from './utils/readingValidator.js';
+import { PriorityEngine } from './utils/priorityEngine.js';
+import PipelineScheduler from './utils/pipelineScheduler.js';
+import { getNextEvent, formatCountdown, findImminentEvent } from './utils/calendarEvents.js';
+import { QuoteLibrary } from './utils/quoteLibrary.js';
+import { LlmCache } from './utils/llmCache.js';
+import { UsageTracker } from './utils/usageTracker.js';
+import { buildDisplayPayload } from './utils/displayPayload.js';
+import { DisplayProfiles } from './utils/displayProfiles.js';
+
+// Latest sensor data per device, keyed by device ID
+const latestSensorData = new Map();
+
+/**
+ * Get the latest sensor data for a device, creating an empty entry if needed
+ * @param {string} deviceId - The device ID
+ * @returns {object} The device's latest sensor data
+ */
+function getDeviceSensorData(deviceId) {
+  if (!latestSensorData.has(deviceId)) {
+    const deviceData = { timestamp: null };
+    for (const sensorType of getSensorTypes()) {
+      deviceData[sensorType.name] = null;
+    }
+    latestSensorData.set(deviceId, deviceData);
+  }
+  
+  return latestSensorData.get(deviceId);
+}
+
+// Email state of devices without a linked account
+const NO_EMAIL_STATE = {
+  accountId: null,
+  emails: [],
+  summary: 'No email data available',
+  urgency: null,
+  version: 0,
+  updatedAt: null
+};
+
+// Latest summarized unread email set per account, maintained by the email trackers
+const emailStates = new Map();
+
+// Account and email state version last published to each device
+const emailDelivered = new Map();
+
+// Quote text and source last published to each device, reused when only the priority changes
+const quotesDelivered = new Map();
+
+// ID of the calendar source read from CALENDAR_ICS_URL
+const ICS_CALENDAR_ID = 'ics';
+
+// How often the calendar countdown is refreshed on the displays
+const CALENDAR_TICK_MS = 60 * 1000;
+
+// Sign-ins a browser session may have started but not finished
+const MAX_PENDING_OAUTH_STATES = 5;
+
+// Calendar sources keyed by source ID (a Gmail account ID or ICS_CALENDAR_ID)
+const calendarHandlers = new Map();
+
+// Latest upcoming events per calendar source
+const calendarEvents = new Map();
+
+// Countdown text and imminent event last published to each device
+const calendarDelivered = new Map();
+
+// Counters for validated and rejected sensor messages
+const validationStats = {
+  accepted: 0,
+  rejected: 0,
+  rejectedByReason: {}
 };
 
 // Load configuration
@@ -67,26 +139,154 @@ try {
         clientId: process.env.MQTT_CLIENT_ID || `auralink-backend-${Math.random().toString(16).slice(2, 8)}`,
         username: process.env.MQTT_USERNAME || '',
         password: process.env.MQTT_PASSWORD || '',
+        cleanSession: process.env.MQTT_CLEAN_SESSION !== 'false',
+        subscribeQos: parseInt(process.env.MQTT_SUBSCRIBE_QOS || '1', 10),
+        publish: Object.fromEntries(['quote', 'email', 'priority', 'auth', 'calendar', 'state', 'errors'].map(type => {
+          const name = type.toUpperCase();
+          const isDisplay = type !== 'errors';
+          return [type, {
+            qos: parseInt(process.env[`MQTT_${name}_QOS`] || (isDisplay ? process.env.MQTT_PUBLISH_QOS || '1' : '0'), 10),
+            retain: (process.env[`MQTT_${name}_RETAIN`] || (isDisplay ? process.env.MQTT_PUBLISH_RETAIN || 'true' : 'false')) === 'true'
+          }];
+        })),
+        queue: {
+          maxSize: parseInt(process.env.MQTT_QUEUE_MAX_SIZE || '100', 10),
+          filePath: process.env.MQTT_QUEUE_FILE || ''
+        },
+        reconnectMinMs: parseInt(process.env.MQTT_RECONNECT_MIN_MS || '1000', 10),
+        reconnectMaxMs: parseInt(process.env.MQTT_RECONNECT_MAX_MS || '60000', 10),
         topics: {
           temperature: process.env.MQTT_TOPIC_TEMPERATURE || 'auralink/sensors/temperature',
           humidity: process.env.MQTT_TOPIC_HUMIDITY || 'auralink/sensors/humidity',
+          sensors: process.env.MQTT_TOPIC_SENSORS || 'auralink/+/sensors/+',
+          display: process.env.MQTT_TOPIC_DISPLAY || 'auralink/{deviceId}/display/{type}',
           quote: process.env.MQTT_TOPIC_QUOTE || 'auralink/display/quote',
           email: process.env.MQTT_TOPIC_EMAIL || 'auralink/display/email',
-          priority: process.env.MQTT_TOPIC_PRIORITY || 'auralink/display/priority'
+          priority: process.env.MQTT_TOPIC_PRIORITY || 'auralink/display/priority',
+          auth: process.env.MQTT_TOPIC_AUTH || 'auralink/display/auth',
+          calendar: process.env.MQTT_TOPIC_CALENDAR || 'auralink/display/calendar',
+          state: process.env.MQTT_TOPIC_STATE || 'auralink/display/state',
+          errors: process.env.MQTT_TOPIC_ERRORS || 'auralink/errors',
+          status: process.env.MQTT_TOPIC_STATUS || 'auralink/backend/status'
         }
       },
-      openai: {
-        apiKey: process.env.OPENAI_API_KEY || ''
+      llm: {
+        provider: process.env.LLM_PROVIDER || 'openai',
+        apiKey: process.env.LLM_API_KEY ||
+          (process.env.LLM_PROVIDER === 'anthropic' ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY) || '',
+        baseUrl: process.env.LLM_BASE_URL || '',
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10),
+        cache: {
+          enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+          filePath: process.env.LLM_CACHE_FILE || './data/llmCache.json',
+          ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS || '21600000', 10),
+          variety: parseFloat(process.env.LLM_CACHE_VARIETY || '0.2'),
+          maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '500', 10),
+          rounding: {
+            temperature: parseFloat(process.env.LLM_CACHE_TEMPERATURE_STEP || '1'),
+            humidity: parseFloat(process.env.LLM_CACHE_HUMIDITY_STEP || '5')
+          }
+        },
+        usage: {
+          enabled: process.env.LLM_USAGE_TRACKING !== 'false',
+          pricing: parseList(process.env.LLM_PRICING),
+          monthlyBudget: parseFloat(process.env.LLM_MONTHLY_BUDGET || '0')
+        },
+        tasks: {
+          quote: {
+            model: process.env.LLM_QUOTE_MODEL || process.env.LLM_MODEL || '',
+            temperature: parseFloat(process.env.LLM_QUOTE_TEMPERATURE || '0.7'),
+            maxTokens: parseInt(process.env.LLM_QUOTE_MAX_TOKENS || '60', 10)
+          },
+          summary: {
+            model: process.env.LLM_SUMMARY_MODEL || process.env.LLM_MODEL || '',
+            temperature: parseFloat(process.env.LLM_SUMMARY_TEMPERATURE || '0.3'),
+            maxTokens: parseInt(process.env.LLM_SUMMARY_MAX_TOKENS || '60', 10)
+          },
+          priority: {
+            model: process.env.LLM_PRIORITY_MODEL || process.env.LLM_MODEL || '',
+            temperature: parseFloat(process.env.LLM_PRIORITY_TEMPERATURE || '0.1'),
+            maxTokens: parseInt(process.env.LLM_PRIORITY_MAX_TOKENS || '10', 10)
+          }
+        }
+      },
+      quotes: {
+        files: parseList(process.env.QUOTE_LIBRARY_FILES || './config/quotes.json'),
+        hemisphere: process.env.QUOTE_HEMISPHERE || 'northern'
+      },
+      display: {
+        profilesFile: process.env.DISPLAY_PROFILES_FILE || './config/displayProfiles.json'
       },
       gmail: {
         clientId: process.env.GMAIL_CLIENT_ID || '',
         clientSecret: process.env.GMAIL_CLIENT_SECRET || '',
         redirectUri: process.env.GMAIL_REDIRECT_URI || 'http://localhost:3000/auth/google/callback',
-        refreshToken: process.env.GMAIL_REFRESH_TOKEN || ''
+        refreshToken: process.env.GMAIL_REFRESH_TOKEN || '',
+        pollIntervalMs: parseInt(process.env.GMAIL_POLL_INTERVAL_MS || '120000', 10),
+        maxResults: parseInt(process.env.GMAIL_MAX_RESULTS || '5', 10),
+        filters: {
+          query: process.env.GMAIL_QUERY || 'is:unread',
+          includeLabels: parseList(process.env.GMAIL_INCLUDE_LABELS),
+          excludeLabels: parseList(process.env.GMAIL_EXCLUDE_LABELS),
+          vipSenders: parseList(process.env.GMAIL_VIP_SENDERS),
+          scanLimit: parseInt(process.env.GMAIL_SCAN_LIMIT || '25', 10)
+        },
+        push: {
+          enabled: process.env.GMAIL_PUSH_ENABLED === 'true',
+          topicName: process.env.GMAIL_PUSH_TOPIC || '',
+          verificationToken: process.env.GMAIL_PUSH_TOKEN || '',
+          renewIntervalMs: parseInt(process.env.GMAIL_PUSH_RENEW_INTERVAL_MS || '86400000', 10)
+        }
+      },
+      imap: {
+        host: process.env.IMAP_HOST || '',
+        port: parseInt(process.env.IMAP_PORT || (process.env.IMAP_TLS === 'false' ? '143' : '993'), 10),
+        tls: process.env.IMAP_TLS !== 'false',
+        rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+        user: process.env.IMAP_USER || '',
+        password: process.env.IMAP_PASSWORD || '',
+        folder: process.env.IMAP_FOLDER || 'INBOX',
+        deviceId: process.env.IMAP_DEVICE_ID || 'default'
+      },
+      calendar: {
+        google: process.env.CALENDAR_GOOGLE_ENABLED === 'true',
+        calendarId: process.env.CALENDAR_GOOGLE_ID || 'primary',
+        icsUrl: process.env.CALENDAR_ICS_URL || '',
+        icsDeviceId: process.env.CALENDAR_ICS_DEVICE_ID || 'default',
+        pollIntervalMs: parseInt(process.env.CALENDAR_POLL_INTERVAL_MS || '300000', 10),
+        lookaheadMs: parseInt(process.env.CALENDAR_LOOKAHEAD_MS || '86400000', 10),
+        imminentMs: parseInt(process.env.CALENDAR_IMMINENT_MS || '900000', 10),
+        maxEvents: parseInt(process.env.CALENDAR_MAX_EVENTS || '10', 10)
+      },
+      tokens: {
+        filePath: process.env.TOKEN_STORE_FILE || './data/tokens.enc',
+        secret: process.env.TOKEN_STORE_SECRET || '',
+        refreshCheckIntervalMs: parseInt(process.env.TOKEN_REFRESH_CHECK_INTERVAL_MS || '60000', 10),
+        refreshMarginMs: parseInt(process.env.TOKEN_REFRESH_MARGIN_MS || '300000', 10)
       },
       server: {
         port: parseInt(process.env.PORT || '3000', 10),
-        dataFilePath: process.env.DATA_FILE_PATH || './data/sensorData.json'
+        dataFilePath: process.env.DATA_FILE_PATH || './data/sensorData.json',
+        sessionSecret: process.env.SESSION_SECRET || '',
+        adminToken: process.env.ADMIN_TOKEN || ''
+      },
+      sensors: {
+        registryFile: process.env.SENSOR_REGISTRY_FILE || '',
+        maxClockSkewMs: parseInt(process.env.SENSOR_MAX_CLOCK_SKEW_MS || '300000', 10)
+      },
+      priority: {
+        rulesFile: process.env.PRIORITY_RULES_FILE || './config/priorityRules.json',
+        useLlm: process.env.PRIORITY_USE_LLM !== 'false',
+        vipEmailPriority: process.env.PRIORITY_VIP_EMAIL || 'warning',
+        imminentEventPriority: process.env.PRIORITY_IMMINENT_EVENT || 'warning'
+      },
+      scheduler: {
+        minIntervalMs: parseInt(process.env.PIPELINE_MIN_INTERVAL_MS || '60000', 10),
+        maxIntervalMs: parseInt(process.env.PIPELINE_MAX_INTERVAL_MS || '1800000', 10),
+        deltas: {
+          temperature: parseFloat(process.env.PIPELINE_TEMPERATURE_DELTA || '0.5'),
+          humidity: parseFloat(process.env.PIPELINE_HUMIDITY_DELTA || '3')
+        }
       }
     };
   } else {
@@ -94,17 +294,59 @@ try {
   }
 }
 
+// Register custom sensor types before any readings arrive
+if (config.sensors.registryFile) {
+  try {
+    loadSensorTypesFromFile(config.sensors.registryFile);
+  } catch (error) {
+    logger.error('Failed to load sensor registry file:', error);
+  }
+}
+
 // Initialize handlers
 const mqttHandler = new MqttHandler(config.mqtt);
-const llmHandler = new LlmHandler(config.openai.apiKey);
-const emailHandler = new EmailHandler(config.gmail);
+const quoteLibrary = QuoteLibrary.fromFiles(config.quotes.files, { hemisphere: config.quotes.hemisphere });
+const llmCache = config.llm.cache.enabled ? new LlmCache(config.llm.cache) : null;
+const usageTracker = config.llm.usage.enabled ? new UsageTracker(dataStore, config.llm.usage) : null;
+const llmHandler = new LlmHandler(config.llm, quoteLibrary, llmCache, usageTracker);
+
+// OAuth tokens are kept in an encrypted file instead of .env
+const tokenStore = new TokenStore({
+  filePath: config.tokens.filePath,
+  secret: config.tokens.secret
+});
+const emailAccounts = new EmailAccountManager({ gmail: config.gmail, imap: config.imap }, tokenStore);
+emailAccounts.loadAccounts();
+
+const pipelineScheduler = new PipelineScheduler(config.scheduler);
+
+// Fall back to the sensor registry thresholds if the rules file is broken
+let priorityEngine;
+try {
+  priorityEngine = PriorityEngine.fromFile(config.priority.rulesFile, {
+    vipEmailPriority: config.priority.vipEmailPriority,
+    imminentEventPriority: config.priority.imminentEventPriority
+  });
+} catch (error) {
+  logger.error('Failed to load priority rules file:', error);
+  priorityEngine = new PriorityEngine();
+}
+
+// Fall back to the default display profile if the profiles file is broken
+let displayProfiles;
+try {
+  displayProfiles = DisplayProfiles.fromFile(config.display.profilesFile);
+} catch (error) {
+  logger.error(`Failed to load display profiles file: ${error.message}`);
+  displayProfiles = new DisplayProfiles();
+}
 
 // Initialize Express app for OAuth2 callback handling
 const app = express();
 
-// Configure session
+// Configure session; without a configured secret sessions last until a restart
 app.use(session({
-  secret: 'auralink-secret',
+  secret: config.server.sessionSecret || crypto.randomBytes(32).toString('hex'),
   resave: false,
   saveUninitialized: true
 }));
@@ -124,39 +366,22 @@ passport.use(new GoogleStrategy({
   passReqToCallback: true
 }, (req, accessToken, refreshToken, profile, done) => {
   try {
-    // Store tokens and return user profile
+    // Tokens are stored server-side; the session only keeps the profile
     const user = {
       id: profile.id,
       email: profile.emails ? profile.emails[0].value : 'unknown@example.com',
-      name: profile.displayName || 'Unknown User',
-      accessToken,
-      refreshToken
+      name: profile.displayName || 'Unknown User'
     };
     
+    // The device that started the sign-in, looked up from the verified OAuth state
+    const { deviceId } = req.oauthRequest;
+    
     // Log successful authentication
-    logger.info(`User authenticated: ${user.email}`);
+    logger.info(`User authenticated: ${user.email} (device ${deviceId})`);
     
-    // In a production app, store these tokens securely
     if (refreshToken) {
-      logger.info('Obtained new refresh token - save this to your .env file');
-      console.log('\n============= GMAIL REFRESH TOKEN =============');
-      console.log(`GMAIL_REFRESH_TOKEN=${refreshToken}`);
-      console.log('==============================================\n');
-      
-      // Update .env file with the new refresh token
-      try {
-        let envPath = path.join(__dirname, '.env');
-        let envContent = fs.readFileSync(envPath, 'utf8');
-        envContent = envContent.replace(
-          /^GMAIL_REFRESH_TOKEN=.*$/m,
-          `GMAIL_REFRESH_TOKEN=${refreshToken}`
-        );
-        fs.writeFileSync(envPath, envContent, 'utf8');
-        logger.info('Successfully updated .env file with new refresh token');
-      } catch (fileError) {
-        logger.warn('Could not automatically update .env file:', fileError.message);
-        logger.warn('Please manually update your .env file with the refresh token shown above');
-      }
+      // Link the account so its email handler starts without a restart
+      emailAccounts.linkAccount(user.email, deviceId, { refresh_token: refreshToken, access_token: accessToken });
     } else {
       logger.warn('No refresh token received. Your app may not have offline access or consent prompt settings.');
       logger.warn('Try using the OAuth token generator script: node scripts/get-oauth-token.js');
@@ -173,6 +398,15 @@ passport.use(new GoogleStrategy({
 passport.serializeUser((user, done) => done(null, user));
 passport.deserializeUser((obj, done) => done(null, obj));
 
+/**
+ * Get the legacy single-device topic of a sensor type
+ * @param {object} sensorType - Sensor type definition from the registry
+ * @returns {string} Topic configured for this type, or the registry default
+ */
+function getSensorTopic(sensorType) {
+  return config.mqtt.topics[sensorType.name] || sensorType.topic;
+}
+
 /**
  * MQTT sensor data handler
  * @param {string} topic - MQTT topic
@@ -180,48 +414,50 @@ passport.deserializeUser((obj, done) => done(null, obj));
  */
 async function handleSensorData(topic, message) {
   try {
-    // Parse message - handle both object and plain value formats
-    let sensorValue;
-    let data;
+    const { deviceId } = parseSensorTopic(topic);
+    const legacySensor = getSensorTypes().find(sensor => getSensorTopic(sensor) === topic);
+    const sensorType = legacySensor ? legacySensor.name : parseSensorTopic(topic).sensorType;
     
-    try {
-      // Try to parse as JSON object
-      data = JSON.parse(message);
-      sensorValue = data.value !== undefined ? data.value : parseFloat(message);
-    } catch (err) {
-      // If parsing fails, treat as plain value
-      sensorValue = parseFloat(message);
-      data = { value: sensorValue };
+    // Reject malformed or implausible payloads before they are stored
+    const result = validateSensorPayload(sensorType, message, {
+      maxClockSkewMs: config.sensors.maxClockSkewMs
+    });
+    
+    if (!result.valid) {
+      await rejectSensorData(topic, message, deviceId, result);
+      return;
     }
     
-    const topicParts = topic.split('/');
-    const sensorType = topicParts[topicParts.length - 1]; // last segment of topic
+    validationStats.accepted++;
+    const sensorDefinition = getSensorType(sensorType);
     
-    // Add timestamp and type
+    // Whitelisted extra fields first, so they can never override the core fields
     const reading = {
-      value: sensorValue,
+      ...result.fields,
+      value: result.value,
       type: sensorType,
-      timestamp: new Date().toISOString(),
-      ...data
+      unit: sensorDefinition.unit,
+      deviceId,
+      timestamp: new Date().toISOString()
     };
     
+    if (result.deviceTimestamp) {
+      reading.deviceTimestamp = result.deviceTimestamp;
+    }
+    
     // Store reading
     await dataStore.storeSensorReading(reading);
     
-    // Update latest sensor data
-    if (sensorType === 'temperature') {
-      latestSensorData.temperature = sensorValue;
-      latestSensorData.timestamp = reading.timestamp;
-    } else if (sensorType === 'humidity') {
-      latestSensorData.humidity = sensorValue;
-      latestSensorData.timestamp = reading.timestamp;
-    }
+    // Update latest sensor data for this device
+    const deviceData = getDeviceSensorData(deviceId);
+    deviceData[sensorType] = result.value;
+    deviceData.timestamp = reading.timestamp;
     
     // Log reading
-    logger.info(`Received ${sensorType} reading: ${sensorValue}`);
+    logger.info(`Received ${sensorType} reading from ${deviceId}: ${result.value}${sensorDefinition.unit}`);
     
-    // Process sensor data
-    await processSensorData();
+    // Process sensor data if conditions warrant a refresh
+    await scheduleProcessing(deviceId);
     
   } catch (error) {
     logger.error('Error processing sensor data:', error);
@@ -229,102 +465,603 @@ async function handleSensorData(topic, message) {
 }
 
 /**
- * Process sensor data, generate quote, and fetch emails
+ * Run the quote/email/priority pipeline for a device, subject to the scheduler
+ * @param {string} deviceId - The device whose conditions changed
  */
-async function processSensorData() {
-  // Only proceed if we have both temperature and humidity readings
-  if (latestSensorData.temperature === null || latestSensorData.humidity === null) {
+async function scheduleProcessing(deviceId) {
+  const deviceData = getDeviceSensorData(deviceId);
+  
+  // Only proceed once every required sensor type has reported
+  const missing = getSensorTypes().filter(sensorType => sensorType.required && deviceData[sensorType.name] === null);
+  if (missing.length > 0) {
     return;
   }
   
+  await pipelineScheduler.run(deviceId, getSensorSnapshot(deviceData), () => processSensorData(deviceId));
+}
+
+/**
+ * Count a rejected sensor message and report it on the errors topic
+ * @param {string} topic - MQTT topic the message arrived on
+ * @param {string} message - Raw message content
+ * @param {string} deviceId - Device the message came from
+ * @param {object} result - Failed validation result
+ */
+async function rejectSensorData(topic, message, deviceId, result) {
+  validationStats.rejected++;
+  validationStats.rejectedByReason[result.reason] = (validationStats.rejectedByReason[result.reason] || 0) + 1;
+  
+  logger.warn(`Rejected sensor message on ${topic}: ${result.message}`);
+  
+  try {
+    await mqttHandler.publish(config.mqtt.topics.errors, {
+      topic,
+      deviceId,
+      reason: result.reason,
+      message: result.message,
+      payload: message.slice(0, 200),
+      timestamp: new Date().toISOString()
+    }, { ...config.mqtt.publish.errors, collapse: false });
+  } catch (error) {
+    logger.error('Failed to publish sensor validation error:', error);
+  }
+}
+
+/**
+ * Collect the readings of all registered sensor types that have a value
+ * @param {object} deviceData - The device's latest sensor data
+ * @returns {object} Object mapping sensor type names to values
+ */
+function getSensorSnapshot(deviceData) {
+  const snapshot = {};
+  for (const sensorType of getSensorTypes()) {
+    if (deviceData[sensorType.name] !== null && deviceData[sensorType.name] !== undefined) {
+      snapshot[sensorType.name] = deviceData[sensorType.name];
+    }
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Get the email state of the account owned by a device
+ * @param {string} deviceId - The device ID
+ * @returns {object} The email state, or NO_EMAIL_STATE if the device has no account
+ */
+function getEmailState(deviceId) {
+  const handler = emailAccounts.getHandlerForDevice(deviceId);
+  return (handler && emailStates.get(handler.accountId)) || NO_EMAIL_STATE;
+}
+
+/**
+ * Fit text to a device's display profile and publish it on one of its display topics
+ * @param {string} deviceId - The target device
+ * @param {string} type - Output type, e.g. 'quote' or 'email'
+ * @param {string} text - The text to show
+ * @returns {Promise<string>} The text as published
+ */
+async function publishDisplayText(deviceId, type, text) {
+  const fitted = displayProfiles.fit(deviceId, text);
+  await mqttHandler.publish(getDisplayTopic(config.mqtt.topics, type, deviceId), fitted, config.mqtt.publish[type]);
+  return fitted;
+}
+
+/**
+ * Publish the current email summary to a device if it has not received it yet
+ * @param {string} deviceId - The target device
+ */
+async function publishEmailSummary(deviceId) {
+  const emailState = getEmailState(deviceId);
+  const delivered = `${emailState.accountId}:${emailState.version}`;
+  if (emailDelivered.get(deviceId) === delivered) {
+    return;
+  }
+  
+  await publishDisplayText(deviceId, 'email', emailState.summary);
+  emailDelivered.set(deviceId, delivered);
+}
+
+/**
+ * Determine and publish the priority for a device
+ * @param {string} deviceId - The target device
+ * @param {object} sensorSnapshot - The device's current readings
+ * @returns {Promise<object>} The priority result ({priority, reasons})
+ */
+async function publishPriority(deviceId, sensorSnapshot) {
+  const emailState = getEmailState(deviceId);
+  const vipEmails = emailState.emails.filter(email => email.vip);
+  const imminentEvent = findImminentEvent(getDeviceEvents(deviceId), config.calendar.imminentMs);
+  const priorityResult = priorityEngine.determinePriority(sensorSnapshot, emailState.urgency, vipEmails, imminentEvent);
+  await mqttHandler.publish(getDisplayTopic(config.mqtt.topics, 'priority', deviceId), priorityResult.priority, config.mqtt.publish.priority);
+  return priorityResult;
+}
+
+/**
+ * Publish the retained display state of a device
+ * @param {string} deviceId - The target device
+ * @param {object} priorityResult - The priority result ({priority, reasons})
+ * @param {object} sensorSnapshot - The readings the priority was based on
+ */
+async function publishDisplayState(deviceId, priorityResult, sensorSnapshot) {
+  const quote = quotesDelivered.get(deviceId);
+  const emailState = getEmailState(deviceId);
+  const payload = buildDisplayPayload({
+    deviceId,
+    profile: displayProfiles.getProfile(deviceId).name,
+    quote: quote.text,
+    source: quote.source,
+    summary: displayProfiles.fit(deviceId, emailState.summary),
+    emailCount: emailState.emails.length,
+    priorityResult,
+    sensorSnapshot
+  });
+  await mqttHandler.publish(getDisplayTopic(config.mqtt.topics, 'state', deviceId), payload, config.mqtt.publish.state);
+}
+
+/**
+ * Publish the priority and display state of a device that already has output
+ * after one of its email or calendar signals changed
+ * @param {string} deviceId - The device ID
+ */
+async function refreshDevicePriority(deviceId) {
+  const deviceData = getDeviceSensorData(deviceId);
+  if (getSensorTypes().every(sensorType => !sensorType.required || deviceData[sensorType.name] !== null)) {
+    const sensorSnapshot = getSensorSnapshot(deviceData);
+    const priorityResult = await publishPriority(deviceId, sensorSnapshot);
+    
+    // The retained state carries the priority and email count too; keep it in step
+    if (quotesDelivered.has(deviceId)) {
+      await publishDisplayState(deviceId, priorityResult, sensorSnapshot);
+    }
+  }
+}
+
+/**
+ * Publish the email summary and priority of a device after its email changed
+ * @param {string} deviceId - The device ID
+ */
+async function refreshDeviceEmail(deviceId) {
+  await publishEmailSummary(deviceId);
+  
+  // Email urgency may change the priority of a device that already has output
+  await refreshDevicePriority(deviceId);
+}
+
+/**
+ * Get the device a calendar source belongs to
+ * @param {string} calendarId - The calendar source ID
+ * @returns {string|null} The device ID, or null if the source is not assigned
+ */
+function getCalendarDeviceId(calendarId) {
+  return calendarId === ICS_CALENDAR_ID ? config.calendar.icsDeviceId : emailAccounts.getDeviceId(calendarId);
+}
+
+/**
+ * Get the upcoming events of a device; an ICS calendar takes precedence over
+ * the Google Calendar of the device's account
+ * @param {string} deviceId - The device ID
+ * @returns {Array} Upcoming events sorted by start
+ */
+function getDeviceEvents(deviceId) {
+  if (calendarEvents.has(ICS_CALENDAR_ID) && config.calendar.icsDeviceId === deviceId) {
+    return calendarEvents.get(ICS_CALENDAR_ID);
+  }
+  
+  const handler = emailAccounts.getHandlerForDevice(deviceId);
+  return (handler && calendarEvents.get(handler.accountId)) || [];
+}
+
+/**
+ * Publish the next event countdown of a device if it changed, and refresh the
+ * priority when a meeting starts or stops being imminent
+ * @param {string} deviceId - The device ID
+ * @param {number} [now] - Current time in milliseconds
+ */
+async function publishCalendar(deviceId, now = Date.now()) {
+  const events = getDeviceEvents(deviceId);
+  const countdown = formatCountdown(getNextEvent(events, now), now);
+  const imminentEvent = findImminentEvent(events, config.calendar.imminentMs, now);
+  const imminentId = imminentEvent ? imminentEvent.id : null;
+  const delivered = calendarDelivered.get(deviceId) || {};
+  
+  if (delivered.countdown !== countdown) {
+    await publishDisplayText(deviceId, 'calendar', countdown);
+  }
+  calendarDelivered.set(deviceId, { countdown, imminentId });
+  
+  if ((delivered.imminentId ?? null) !== imminentId) {
+    await refreshDevicePriority(deviceId);
+  }
+}
+
+/**
+ * Remember a calendar source's changed events and publish them to its device
+ * @param {CalendarHandler} handler - The calendar source
+ * @param {Array} events - The upcoming events
+ */
+async function handleCalendarChange(handler, events) {
+  calendarEvents.set(handler.id, events);
+  
+  const deviceId = getCalendarDeviceId(handler.id);
+  if (deviceId) {
+    await publishCalendar(deviceId);
+  }
+}
+
+/**
+ * Start reading a calendar source unless it is already tracked
+ * @param {object} options - CalendarHandler options (id, source and source settings)
+ */
+function startCalendarTracking(options) {
+  if (calendarHandlers.has(options.id)) {
+    return;
+  }
+  
+  const handler = new CalendarHandler({
+    calendarId: config.calendar.calendarId,
+    lookaheadMs: config.calendar.lookaheadMs,
+    maxEvents: config.calendar.maxEvents,
+    ...options
+  });
+  calendarHandlers.set(handler.id, handler);
+  handler.startPolling(config.calendar.pollIntervalMs, events => handleCalendarChange(handler, events));
+}
+
+/**
+ * Stop reading a calendar source and forget its events
+ * @param {string} calendarId - The calendar source ID
+ */
+function stopCalendarTracking(calendarId) {
+  const handler = calendarHandlers.get(calendarId);
+  if (handler) {
+    handler.stopPolling();
+    calendarHandlers.delete(calendarId);
+    calendarEvents.delete(calendarId);
+  }
+}
+
+/**
+ * Refresh the countdown of every device that has or had a calendar
+ */
+async function tickCalendars() {
+  const now = Date.now();
+  const deviceIds = new Set([
+    ...[...calendarHandlers.keys()].map(getCalendarDeviceId).filter(Boolean),
+    ...calendarDelivered.keys()
+  ]);
+  
+  for (const deviceId of deviceIds) {
+    try {
+      await publishCalendar(deviceId, now);
+    } catch (error) {
+      logger.error(`Failed to publish calendar countdown to ${deviceId}:`, error);
+    }
+  }
+}
+
+/**
+ * Summarize an account's changed unread email set and publish it to its device
+ * @param {EmailProvider} handler - The account's email provider
+ * @param {Array} emails - The current unread emails
+ */
+async function handleEmailChange(handler, emails) {
+  const summary = emails.length > 0 ? await llmHandler.summarizeEmails(emails) : 'No unread emails';
+  const urgency = config.priority.useLlm ? await llmHandler.classifyEmailUrgency(emails) : null;
+  const previous = emailStates.get(handler.accountId);
+  
+  emailStates.set(handler.accountId, {
+    accountId: handler.accountId,
+    emails,
+    summary,
+    urgency,
+    version: previous ? previous.version + 1 : 1,
+    updatedAt: new Date().toISOString()
+  });
+  
+  const deviceId = emailAccounts.getDeviceId(handler.accountId);
+  if (!deviceId) {
+    logger.info(`Email account ${handler.accountId} is not assigned to a device`);
+    return;
+  }
+  
+  await refreshDeviceEmail(deviceId);
+  logger.info(`Published email summary of ${handler.accountId} (${emails.length} unread) to ${deviceId}`);
+}
+
+/**
+ * Start tracking an account's unread email. Gmail accounts prefer push
+ * notifications over polling and keep their access token fresh.
+ * @param {EmailProvider} handler - The account's email provider
+ */
+async function startEmailTracking(handler) {
+  const onChange = emails => handleEmailChange(handler, emails);
+  const isGmail = handler.provider === 'gmail';
+  const pushStarted = isGmail && config.gmail.push.enabled &&
+    await handler.startPush(config.gmail.push, onChange, config.gmail.maxResults);
+  
+  if (!pushStarted) {
+    if (isGmail && config.gmail.push.enabled && handler.isEmailEnabled()) {
+      logger.warn(`Gmail push notifications unavailable for ${handler.accountId} - falling back to polling`);
+    }
+    handler.startPolling(config.gmail.pollIntervalMs, onChange, config.gmail.maxResults);
+  }
+  
+  if (isGmail) {
+    handler.startTokenRefresh(config.tokens.refreshCheckIntervalMs, config.tokens.refreshMarginMs);
+    
+    // Google Calendar shares the account's OAuth client
+    if (config.calendar.google && handler.isEmailEnabled()) {
+      startCalendarTracking({ id: handler.accountId, source: 'google', authClient: handler.oauth2Client });
+    }
+  }
+}
+
+/**
+ * Forget the email and calendar state of an unlinked account
+ * @param {EmailProvider} handler - The removed account's email provider
+ */
+function handleAccountRemoved(handler) {
+  emailStates.delete(handler.accountId);
+  stopCalendarTracking(handler.accountId);
+}
+
+/**
+ * Tell an account's display about authorization changes and start email
+ * tracking once the account is authorized
+ * @param {EmailProvider} handler - The account's email provider
+ * @param {string} state - The new authorization state
+ */
+async function handleAuthStateChange(handler, state) {
+  const service = handler.provider === 'gmail' ? 'Gmail' : 'Email';
+  const message = state === 'needs_reauth'
+    ? `${service} access expired - please sign in again`
+    : `${service} connected`;
+  
+  try {
+    const deviceId = emailAccounts.getDeviceId(handler.accountId);
+    if (deviceId) {
+      await publishDisplayText(deviceId, 'auth', message);
+    }
+    
+    if (state === 'authorized' && handler.mode === 'disabled') {
+      await startEmailTracking(handler);
+    }
+  } catch (error) {
+    logger.error(`Error handling authorization change of ${handler.accountId}:`, error);
+  }
+}
+
+/**
+ * Count the email accounts by provider and authorization state, without identifiers
+ * @returns {object} `{ accounts, providers, authStates }` with counts keyed by name
+ */
+function summarizeEmailAccounts() {
+  const summary = { accounts: 0, providers: {}, authStates: {} };
+  for (const handler of emailAccounts.getHandlers()) {
+    summary.accounts += 1;
+    summary.providers[handler.provider] = (summary.providers[handler.provider] || 0) + 1;
+    summary.authStates[handler.authState] = (summary.authStates[handler.authState] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Summarize the authorization state of all email accounts
+ * @returns {string} 'needs_reauth' if any account needs it, 'authorized' if any account is authorized, else 'unconfigured'
+ */
+function getGmailState() {
+  const states = emailAccounts.getHandlers().map(handler => handler.authState);
+  if (states.includes('needs_reauth')) {
+    return 'needs_reauth';
+  }
+  
+  return states.includes('authorized') ? 'authorized' : 'unconfigured';
+}
+
+/**
+ * Process sensor data, generate a quote and publish the display outputs
+ * @param {string} deviceId - The device whose conditions should be processed
+ */
+async function processSensorData(deviceId = DEFAULT_DEVICE_ID) {
+  const deviceData = getDeviceSensorData(deviceId);
+  
+  // Only proceed once every required sensor type has reported
+  const missing = getSensorTypes().filter(sensorType => sensorType.required && deviceData[sensorType.name] === null);
+  if (missing.length > 0) {
+    return;
+  }
+  
+  const sensorSnapshot = getSensorSnapshot(deviceData);
+  
   try {
     // Generate motivational quote based on conditions
-    const quote = await llmHandler.generateQuote({
-      temperature: latestSensorData.temperature,
-      humidity: latestSensorData.humidity
-    });
+    const quote = await llmHandler.generateQuoteWithSource(sensorSnapshot, deviceId);
     
     // First publish the quote immediately to ensure it reaches the display
-    await mqttHandler.publish(config.mqtt.topics.quote, quote);
-    logger.info('Published motivational quote');
+    const quoteText = await publishDisplayText(deviceId, 'quote', quote.text);
+    quotesDelivered.set(deviceId, { text: quoteText, source: quote.source });
+    logger.info(`Published motivational quote for ${deviceId}`);
     
-    // Email handling in a separate try-catch to prevent complete function failure
-    let emails = [];
-    let emailSummary = 'No email data available';
-    let priority = 'normal';
+    // Email summaries are published by the email poller; this only catches up new devices
+    await publishEmailSummary(deviceId);
     
-    try {
-      // Check if email functionality is configured
-      if (emailHandler.isEmailEnabled()) {
-        // Fetch unread emails
-        emails = await emailHandler.fetchUnreadEmails(5);
-        
-        // Summarize emails if any are found
-        if (emails.length > 0) {
-          emailSummary = await llmHandler.summarizeEmails(emails);
-        } else {
-          emailSummary = 'No unread emails';
-        }
-        
-        // Determine priority level
-        priority = await llmHandler.determinePriority(
-          {
-            temperature: latestSensorData.temperature,
-            humidity: latestSensorData.humidity
-          },
-          emails
-        );
-      } else {
-        logger.info('Email processing skipped - not configured');
-      }
-    } catch (emailError) {
-      logger.error('Error processing email data:', emailError);
-      emailSummary = 'Email processing error';
-      // Continue processing - don't let email errors stop everything
+    // The countdown is refreshed by the calendar tick; this only catches up new devices
+    if (calendarHandlers.size > 0 && !calendarDelivered.has(deviceId)) {
+      await publishCalendar(deviceId);
     }
     
-    // Publish email and priority results
-    await mqttHandler.publish(config.mqtt.topics.email, emailSummary);
-    await mqttHandler.publish(config.mqtt.topics.priority, priority);
+    // Environmental priority is evaluated locally and merged with the cached email urgency
+    const priorityResult = await publishPriority(deviceId, sensorSnapshot);
+    
+    // Retained, so a display that reboots renders the current state right away
+    await publishDisplayState(deviceId, priorityResult, sensorSnapshot);
     
-    logger.info('Successfully processed sensor data and published results');
+    logger.info(`Successfully processed sensor data and published results for ${deviceId}`);
     
   } catch (error) {
     logger.error('Error in processSensorData:', error);
     
     // Try to publish an error message via MQTT so the display shows something
     try {
-      await mqttHandler.publish(config.mqtt.topics.quote, 'System error: Please check server logs');
+      await publishDisplayText(deviceId, 'quote', 'System error: Please check server logs');
     } catch (mqttError) {
       logger.error('Failed to publish error message:', mqttError);
     }
   }
 }
 
+/**
+ * Parse a query parameter that must be a non-negative integer
+ *
+ * Unlike parseInt, this rejects values such as `10abc`, `1e2` or `5.5`, as
+ * well as parameters given more than once.
+ * @param {*} value - Raw query value
+ * @param {number} defaultValue - Value if the parameter is missing
+ * @returns {number} The integer, or NaN if the value is not one
+ */
+function parseIntegerParam(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Parse and validate the filter and pagination parameters of a readings query
+ * @param {object} query - Express request query object
+ * @returns {object} Normalized query options for the data store
+ * @throws {Error} If a parameter is invalid
+ */
+function parseReadingsQuery(query) {
+  const options = {
+    type: query.type || undefined,
+    deviceId: query.deviceId || undefined,
+    limit: parseIntegerParam(query.limit, 100),
+    offset: parseIntegerParam(query.offset, 0)
+  };
+  
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${key} date: ${query[key]}`);
+      }
+      options[key] = date;
+    }
+  }
+  
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > 1000) {
+    throw new Error('limit must be an integer between 1 and 1000');
+  }
+  
+  if (!Number.isInteger(options.offset) || options.offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  
+  return options;
+}
+
+/**
+ * Express middleware that only admits requests carrying the admin token as
+ * `Authorization: Bearer <ADMIN_TOKEN>`
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  const { adminToken } = config.server;
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Account management is disabled - set ADMIN_TOKEN to enable it' });
+  }
+  
+  const [scheme, token = ''] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(adminToken);
+  const provided = Buffer.from(token);
+  if (scheme !== 'Bearer' || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  
+  next();
+}
+
 /**
  * Initialize the application
  */
 async function initialize() {
   try {
-    // Connect to MQTT broker
-    await mqttHandler.connect();
+    // Connect to MQTT broker; without one the API still starts and the
+    // handler keeps retrying in the background
+    try {
+      await mqttHandler.connect();
+    } catch (error) {
+      logger.warn(`MQTT broker unreachable (${error.message}) - starting anyway and retrying in the background`);
+    }
+    
+    // Subscribe to the legacy topic of every registered sensor type
+    for (const sensorType of getSensorTypes()) {
+      await mqttHandler.subscribe(getSensorTopic(sensorType), handleSensorData);
+    }
     
-    // Subscribe to sensor topics
-    await mqttHandler.subscribe(config.mqtt.topics.temperature, handleSensorData);
-    await mqttHandler.subscribe(config.mqtt.topics.humidity, handleSensorData);
+    // Subscribe to per-device sensor topics
+    await mqttHandler.subscribe(config.mqtt.topics.sensors, handleSensorData);
     
     logger.info('Subscribed to sensor topics successfully');
     
+    // Track each account's email independently of sensor traffic
+    emailAccounts.on('authStateChange', handleAuthStateChange);
+    emailAccounts.on('accountRemoved', handleAccountRemoved);
+    for (const handler of emailAccounts.getHandlers()) {
+      await startEmailTracking(handler);
+    }
+    
+    // Calendars are read on their own schedule; the countdown ticks every minute
+    if (config.calendar.icsUrl) {
+      startCalendarTracking({ id: ICS_CALENDAR_ID, source: 'ics', icsUrl: config.calendar.icsUrl });
+    }
+    setInterval(tickCalendars, CALENDAR_TICK_MS);
+    
     // Setup Express routes for OAuth2
-    app.get('/auth/google',
-      passport.authenticate('google', { 
-        scope: ['profile', 'email', 'https://www.googleapis.com/auth/gmail.readonly'],
+    // Link a Google account to a display with /auth/google?deviceId=<device>
+    app.get('/auth/google', (req, res, next) => {
+      const deviceId = req.query.deviceId || DEFAULT_DEVICE_ID;
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).send('Invalid deviceId');
+      }
+      
+      const scope = ['profile', 'email', 'https://www.googleapis.com/auth/gmail.readonly'];
+      if (config.calendar.google) {
+        scope.push('https://www.googleapis.com/auth/calendar.readonly');
+      }
+      
+      // A random state ties the callback to this browser session, so a crafted
+      // callback link cannot link an account to someone else's display
+      const state = crypto.randomBytes(16).toString('hex');
+      const pending = Object.entries(req.session.oauthStates || {}).slice(1 - MAX_PENDING_OAUTH_STATES);
+      req.session.oauthStates = Object.fromEntries([...pending, [state, deviceId]]);
+      
+      passport.authenticate('google', {
+        scope,
         accessType: 'offline',
-        prompt: 'consent'
-      })
-    );
+        prompt: 'consent',
+        state
+      })(req, res, next);
+    });
     
-    app.get('/auth/google/callback', 
+    app.get('/auth/google/callback',
+      (req, res, next) => {
+        const states = req.session.oauthStates || {};
+        const { state } = req.query;
+        if (typeof state !== 'string' || !Object.hasOwn(states, state)) {
+          logger.warn('Rejected OAuth callback with an unknown state');
+          return res.status(403).send('Invalid or expired sign-in request - please start again at /auth/google');
+        }
+        
+        req.oauthRequest = { deviceId: states[state] };
+        delete states[state];
+        next();
+      },
       passport.authenticate('google', { failureRedirect: '/auth/failed' }),
       (req, res) => {
         // Successful authentication
@@ -336,6 +1073,158 @@ async function initialize() {
       res.status(401).send('Authentication failed');
     });
     
+    // Gmail push notifications delivered by a Cloud Pub/Sub push subscription
+    app.post('/api/gmail/push', express.json(), async (req, res) => {
+      if (!config.gmail.push.verificationToken) {
+        return res.status(503).json({ error: 'Push notifications are not configured' });
+      }
+      
+      if (!isValidPushToken(config.gmail.push.verificationToken, req.query.token)) {
+        return res.status(403).json({ error: 'Invalid verification token' });
+      }
+      
+      let notification;
+      try {
+        notification = parsePushEnvelope(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      // Acknowledge so Pub/Sub stops redelivering for unknown accounts or while polling is in use
+      const handler = emailAccounts.findByEmailAddress(notification.emailAddress);
+      if (!handler || handler.mode !== 'push') {
+        return res.status(200).json({ status: 'ignored', mode: handler ? handler.mode : null });
+      }
+      
+      try {
+        const { changed, emails } = await handler.handlePushNotification(req.body);
+        res.status(200).json({ status: 'processed', changed, unread: emails.length });
+      } catch (error) {
+        logger.error('Error handling Gmail push notification:', error);
+        res.status(500).json({ error: 'Failed to process notification' });
+      }
+    });
+    
+    // Linked email accounts and the devices that own them; these expose
+    // addresses and credentials, so they need the admin token
+    app.use('/api/accounts', requireAdmin);
+    
+    app.get('/api/accounts', (req, res) => {
+      res.status(200).json({
+        accounts: emailAccounts.getHandlers().map(handler => {
+          const emailState = emailStates.get(handler.accountId) || NO_EMAIL_STATE;
+          return {
+            accountId: handler.accountId,
+            provider: handler.provider,
+            deviceId: emailAccounts.getDeviceId(handler.accountId),
+            authState: handler.authState,
+            mode: handler.mode,
+            historyId: handler.historyId,
+            unread: emailState.emails.length,
+            urgency: emailState.urgency,
+            updatedAt: emailState.updatedAt
+          };
+        }),
+        calendars: [...calendarHandlers.values()].map(handler => {
+          const events = calendarEvents.get(handler.id) || [];
+          const nextEvent = getNextEvent(events);
+          return {
+            calendarId: handler.id,
+            source: handler.source,
+            deviceId: getCalendarDeviceId(handler.id),
+            events: events.length,
+            nextEvent: nextEvent ? { summary: nextEvent.summary, start: nextEvent.start, end: nextEvent.end } : null,
+            lastFetchFailed: handler.lastFetchFailed
+          };
+        })
+      });
+    });
+    
+    // Link an IMAP account; replacing another account or updating an existing
+    // one needs "replace": true
+    app.post('/api/accounts/imap', express.json(), async (req, res) => {
+      const { deviceId = DEFAULT_DEVICE_ID, host, port, tls, rejectUnauthorized, user, password, folder, replace } = req.body || {};
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).json({ error: 'deviceId must only contain letters, digits, - and _' });
+      }
+      
+      if (!host || !user || !password) {
+        return res.status(400).json({ error: 'host, user and password are required' });
+      }
+      
+      if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+        return res.status(400).json({ error: 'port must be an integer between 1 and 65535' });
+      }
+      
+      const accountId = req.body.accountId || user;
+      if (replace !== true) {
+        const owner = emailAccounts.getHandlerForDevice(deviceId);
+        if (owner && owner.accountId !== accountId) {
+          return res.status(409).json({ error: `Device ${deviceId} already has email account ${owner.accountId} - pass "replace": true to replace it` });
+        }
+        
+        if (emailAccounts.getHandler(accountId)) {
+          return res.status(409).json({ error: `Email account ${accountId} already exists - pass "replace": true to replace it` });
+        }
+      }
+      
+      const settings = {
+        host,
+        port,
+        tls: tls !== false,
+        rejectUnauthorized: rejectUnauthorized !== false,
+        user,
+        password,
+        folder: folder || 'INBOX'
+      };
+      
+      // Catch a wrong host or password before anything is stored
+      const check = await new ImapHandler(settings, accountId).testConnection();
+      if (!check.ok) {
+        return res.status(check.reason === 'connection' ? 502 : 400).json({ error: check.message });
+      }
+      
+      try {
+        const handler = emailAccounts.linkImapAccount(accountId, deviceId, settings);
+        if (handler.mode === 'disabled') {
+          await startEmailTracking(handler);
+        }
+        res.status(201).json({ accountId, provider: handler.provider, deviceId });
+      } catch (error) {
+        logger.error(`Failed to link IMAP account ${accountId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to link IMAP account' });
+      }
+    });
+    
+    app.put('/api/accounts/:accountId/device', express.json(), async (req, res) => {
+      const deviceId = req.body && req.body.deviceId;
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).json({ error: 'deviceId must only contain letters, digits, - and _' });
+      }
+      
+      try {
+        emailAccounts.setDevice(req.params.accountId, deviceId);
+      } catch (error) {
+        const status = emailAccounts.getHandler(req.params.accountId) ? 409 : 404;
+        return res.status(status).json({ error: error.message });
+      }
+      
+      try {
+        await refreshDeviceEmail(deviceId);
+      } catch (error) {
+        logger.error(`Failed to publish email summary to ${deviceId}:`, error);
+      }
+      res.status(200).json({ accountId: req.params.accountId, deviceId });
+    });
+    
+    app.delete('/api/accounts/:accountId', (req, res) => {
+      if (!emailAccounts.removeAccount(req.params.accountId)) {
+        return res.status(404).json({ error: `Unknown email account: ${req.params.accountId}` });
+      }
+      
+      res.status(204).end();
+    });
+    
     // Add API health check endpoints
     app.get('/', (req, res) => {
       res.status(200).send('AuraLink Backend is running!');
@@ -349,6 +1238,9 @@ async function initialize() {
       res.status(200).json({
         status: 'ok',
         mqtt: mqttHandler.isConnected ? 'connected' : 'disconnected',
+        mqttState: mqttHandler.state,
+        mqttQueue: mqttHandler.publishQueue.getStats(),
+        gmail: getGmailState(),
         timestamp: new Date().toISOString(),
         version: '1.0.0',
         environment: process.env.NODE_ENV || 'development'
@@ -357,26 +1249,142 @@ async function initialize() {
     
     app.get('/api/status', (req, res) => {
       res.status(200).json({
-        latestSensorData,
+        latestSensorData: getDeviceSensorData(DEFAULT_DEVICE_ID),
+        devices: Object.fromEntries(latestSensorData),
+        sensorTypes: getSensorTypes().map(({ name, label, unit, range, comfort, extreme }) => ({
+          name, label, unit, range, comfort, extreme
+        })),
         mqttConnected: mqttHandler.isConnected,
-        gmailConnected: !!config.gmail.refreshToken,
-        openAiConfigured: !!config.openai.apiKey && config.openai.apiKey !== 'your-openai-api-key'
+        mqttConnection: mqttHandler.getStats(),
+        storageBackend: dataStore.backend,
+        sensorValidation: validationStats,
+        pipeline: pipelineScheduler.getStats(),
+        // Mailbox addresses and devices are only listed by the admin-only /api/accounts
+        email: summarizeEmailAccounts(),
+        // Meeting titles and times are only listed by the admin-only /api/accounts
+        calendar: {
+          sources: calendarHandlers.size,
+          failing: [...calendarHandlers.values()].filter(handler => handler.lastFetchFailed).length
+        },
+        gmailConnected: emailAccounts.getHandlers().some(handler => handler.authState === 'authorized'),
+        openAiConfigured: config.llm.provider === 'openai' && !!config.llm.apiKey && config.llm.apiKey !== 'your-openai-api-key',
+        llm: {
+          provider: llmHandler.provider ? llmHandler.provider.name : 'none',
+          configured: !!config.llm.baseUrl || (!!config.llm.apiKey && config.llm.apiKey !== 'your-openai-api-key'),
+          models: Object.fromEntries(Object.entries(llmHandler.tasks).map(([task, { model }]) => [task, model]))
+        },
+        llmCache: llmCache ? llmCache.getStats() : { enabled: false }
       });
     });
     
+    // LLM token usage and estimated cost, per day and for a month
+    app.get('/api/usage', async (req, res) => {
+      if (!usageTracker) {
+        return res.status(404).json({ error: 'LLM usage tracking is disabled' });
+      }
+      
+      const month = req.query.month || undefined;
+      if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+      }
+      
+      try {
+        res.status(200).json(await usageTracker.getReport(month));
+      } catch (error) {
+        logger.error(`Error serving LLM usage: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get LLM usage' });
+      }
+    });
+    
+    // Historical sensor readings
+    app.get('/api/readings', async (req, res) => {
+      let options;
+      try {
+        options = parseReadingsQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      try {
+        const { total, readings } = await dataStore.queryReadings(options);
+        res.status(200).json({
+          total,
+          limit: options.limit,
+          offset: options.offset,
+          readings
+        });
+      } catch (error) {
+        logger.error('Error serving readings:', error);
+        res.status(500).json({ error: 'Failed to query readings' });
+      }
+    });
+    
+    app.get('/api/readings/aggregate', async (req, res) => {
+      let options;
+      try {
+        options = parseReadingsQuery(req.query);
+        options.interval = req.query.interval || '1h';
+        if (!AGGREGATION_INTERVALS[options.interval]) {
+          throw new Error(`interval must be one of: ${Object.keys(AGGREGATION_INTERVALS).join(', ')}`);
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      try {
+        const buckets = await dataStore.aggregateReadings(options);
+        res.status(200).json({
+          interval: options.interval,
+          total: buckets.length,
+          limit: options.limit,
+          offset: options.offset,
+          buckets: buckets.slice(options.offset, options.offset + options.limit)
+        });
+      } catch (error) {
+        logger.error('Error serving aggregated readings:', error);
+        res.status(500).json({ error: 'Failed to aggregate readings' });
+      }
+    });
+    
+    app.get('/api/readings/latest', async (req, res) => {
+      try {
+        const deviceId = req.query.deviceId || undefined;
+        const types = req.query.type ? [req.query.type] : getSensorTypes().map(sensorType => sensorType.name);
+        
+        const latest = {};
+        for (const type of types) {
+          latest[type] = await dataStore.getLatestReadingByType(type, deviceId);
+        }
+        
+        res.status(200).json({ deviceId: deviceId || null, readings: latest });
+      } catch (error) {
+        logger.error('Error serving latest readings:', error);
+        res.status(500).json({ error: 'Failed to get latest readings' });
+      }
+    });
+    
+    app.get('/api/readings/devices', async (req, res) => {
+      try {
+        res.status(200).json({ devices: await dataStore.getDeviceIds() });
+      } catch (error) {
+        logger.error('Error serving device list:', error);
+        res.status(500).json({ error: 'Failed to list devices' });
+      }
+    });
+    
     // Start Express server for OAuth handling
     app.listen(config.server.port, () => {
       logger.info(`Server running on port ${config.server.port}`);
       
       // Check Gmail configuration and log appropriate information
-      if (!config.gmail.refreshToken || config.gmail.refreshToken.trim() === '') {
+      if (getGmailState() === 'unconfigured') {
         logger.warn('No Gmail refresh token found or invalid token provided.');
         logger.warn('Email functionality will be disabled.');
         logger.warn('To enable email functionality, authenticate using the URL below:');
         console.log('\n============= GMAIL AUTHENTICATION =============');
-        console.log(`Auth URL: ${emailHandler.getAuthUrl()}`);
-        console.log('After authenticating, copy the displayed refresh token');
-        console.log('and add it to the GMAIL_REFRESH_TOKEN variable in your .env file.');
+        console.log(`Auth URL: ${new URL('/auth/google', config.gmail.redirectUri).href}?deviceId=<device>`);
+        console.log('The refresh token is stored automatically and email');
+        console.log('functionality starts without a restart.');
         console.log('=================================================\n');
       } else {
         logger.info('Gmail refresh token configured - email functionality is enabled');
@@ -392,7 +1400,12 @@ async function initialize() {
 // Handle application shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully');
+  emailAccounts.stopAll();
+  for (const handler of calendarHandlers.values()) {
+    handler.stopPolling();
+  }
   await mqttHandler.disconnect();
+  await dataStore.close();
   process.exit(0);
 });
 
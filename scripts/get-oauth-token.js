@@ -38,6 +38,9 @@ const oauth2Client = new google.auth.OAuth2(
 const scopes = [
   'https://www.googleapis.com/auth/gmail.readonly'
 ];
+if (process.env.CALENDAR_GOOGLE_ENABLED === 'true') {
+  scopes.push('https://www.googleapis.com/auth/calendar.readonly');
+}
 
 const authUrl = oauth2Client.generateAuthUrl({
   access_type: 'offline',
@@ -0,0 +1,129 @@
+/**
+ * Tests for expanding ICS calendars and converting Google Calendar events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import ical from 'node-ical';
+import logger from '../utils/logger.js';
+import { expandIcsEvents, fromGoogleEvent } from '../handlers/calendarHandler.js';
+
+logger.silent = true;
+
+const FIXTURE = fs.readFileSync(new URL('./fixtures/calendar.ics', import.meta.url), 'utf8');
+
+// Results must not depend on the time zone the server runs in
+const TIME_ZONES = ['UTC', 'Europe/Berlin', 'America/New_York', 'Asia/Tokyo'];
+
+/**
+ * Run a check with the process in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {function} check - Called while the time zone is active
+ */
+function inTimeZone(timeZone, check) {
+  const previous = process.env.TZ;
+  process.env.TZ = timeZone;
+  try {
+    check();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previous;
+    }
+  }
+}
+
+/**
+ * Expand the fixture calendar within a window
+ * @param {string} from - Window start
+ * @param {string} to - Window end
+ * @returns {Array<string>} The events as `id summary start-end`
+ */
+function expandFixture(from, to) {
+  // All-day dates are parsed in the current time zone, so parse for each one
+  const calendar = ical.sync.parseICS(FIXTURE);
+  return expandIcsEvents(calendar, new Date(from), new Date(to))
+    .map(event => `${event.id} ${event.summary} ${event.start}-${event.end}`);
+}
+
+/**
+ * Format local midnight of a date, as all-day events start then
+ * @param {number} day - Day in October 2026
+ * @returns {string} ISO string of local midnight
+ */
+function localMidnight(day) {
+  return new Date(2026, 9, day).toISOString();
+}
+
+test('expandIcsEvents expands recurring events with exceptions and keeps running events', () => {
+  for (const timeZone of TIME_ZONES) {
+    inTimeZone(timeZone, () => {
+      const events = expandFixture('2026-10-19T08:00:00.000Z', '2026-10-23T08:00:00.000Z');
+
+      assert.deepEqual(events.filter(event => !event.startsWith('out-of-office') && !event.startsWith('holiday')), [
+        // Started before the window, still running
+        'workshop Workshop 2026-10-19T06:00:00.000Z-2026-10-19T10:00:00.000Z',
+        // 01:30 in Berlin is the evening before in UTC
+        'night-backup:2026-10-19 Night backup 2026-10-19T23:30:00.000Z-2026-10-20T00:00:00.000Z',
+        // Standup on the 20th is an EXDATE, on the 21st moved, on the 22nd cancelled
+        'standup:2026-10-21 Standup (moved) 2026-10-21T08:00:00.000Z-2026-10-21T08:15:00.000Z',
+        'night-backup:2026-10-21 Night backup 2026-10-21T23:30:00.000Z-2026-10-22T00:00:00.000Z',
+        'night-backup:2026-10-22 Night backup 2026-10-22T23:30:00.000Z-2026-10-23T00:00:00.000Z',
+        'standup:2026-10-23 Standup 2026-10-23T07:00:00.000Z-2026-10-23T07:15:00.000Z'
+      ], timeZone);
+
+      assert.deepEqual(events.filter(event => event.startsWith('out-of-office') || event.startsWith('holiday')), [
+        `out-of-office:2026-10-19 Out of office ${localMidnight(19)}-${localMidnight(20)}`,
+        `holiday Holiday ${localMidnight(20)}-${localMidnight(21)}`,
+        `out-of-office:2026-10-20 Out of office ${localMidnight(20)}-${localMidnight(21)}`,
+        `out-of-office:2026-10-22 Out of office ${localMidnight(22)}-${localMidnight(23)}`
+      ], timeZone);
+    });
+  }
+});
+
+test('expandIcsEvents keeps recurring events at their local time across a DST change', () => {
+  for (const timeZone of TIME_ZONES) {
+    inTimeZone(timeZone, () => {
+      // Berlin leaves summer time at 03:00 on October 25
+      assert.deepEqual(expandFixture('2026-10-24T20:00:00.000Z', '2026-10-26T09:00:00.000Z').filter(event => !event.startsWith('workshop')), [
+        'night-backup:2026-10-24 Night backup 2026-10-24T23:30:00.000Z-2026-10-25T00:00:00.000Z',
+        'standup:2026-10-25 Standup 2026-10-25T08:00:00.000Z-2026-10-25T08:15:00.000Z',
+        'night-backup:2026-10-26 Night backup 2026-10-26T00:30:00.000Z-2026-10-26T01:00:00.000Z',
+        'standup:2026-10-26 Standup 2026-10-26T08:00:00.000Z-2026-10-26T08:15:00.000Z'
+      ], timeZone);
+    });
+  }
+});
+
+test('fromGoogleEvent parses all-day dates as local dates', () => {
+  for (const timeZone of TIME_ZONES) {
+    inTimeZone(timeZone, () => {
+      const event = fromGoogleEvent({ id: 'holiday', start: { date: '2026-10-20' }, end: { date: '2026-10-21' } });
+      assert.deepEqual(event, {
+        id: 'holiday',
+        summary: 'Busy',
+        location: null,
+        start: localMidnight(20),
+        end: localMidnight(21),
+        allDay: true
+      }, timeZone);
+    });
+  }
+});
+
+test('fromGoogleEvent keeps the time of timed events', () => {
+  const event = fromGoogleEvent({
+    id: 'standup',
+    summary: 'Standup',
+    location: 'Room 1',
+    start: { dateTime: '2026-10-21T09:00:00+02:00' },
+    end: { dateTime: '2026-10-21T09:15:00+02:00' }
+  });
+
+  assert.equal(event.start, '2026-10-21T07:00:00.000Z');
+  assert.equal(event.end, '2026-10-21T07:15:00.000Z');
+  assert.equal(event.allDay, false);
+});
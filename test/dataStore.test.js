@@ -0,0 +1,236 @@
+/**
+ * Tests for the DataStore write batching on the memory backend
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { DataStore } from '../utils/dataStore.js';
+
+logger.silent = true;
+
+/**
+ * Create a data store on the memory backend
+ * @param {object} [options] - Options overriding the defaults
+ * @returns {Promise<DataStore>} The initialized data store
+ */
+async function createStore(options = {}) {
+  const store = new DataStore({
+    backend: 'memory',
+    maxReadings: 1000,
+    retentionDays: 7,
+    batchSize: 3,
+    flushIntervalMs: 60000,
+    maintenanceIntervalMs: 3600000,
+    ...options
+  });
+  await store.ready;
+  return store;
+}
+
+/**
+ * Get the readings the storage backend holds, bypassing the write buffer
+ * @param {DataStore} store - The data store
+ * @returns {Promise<Array>} Stored readings
+ */
+async function storedReadings(store) {
+  const { readings } = await store.storage.queryReadings({});
+  return readings;
+}
+
+/**
+ * Create a temperature reading
+ * @param {number} value - The reading value
+ * @param {string} [deviceId] - The device ID
+ * @returns {object} The reading
+ */
+function reading(value, deviceId = 'livingroom') {
+  return { type: 'temperature', value, deviceId, timestamp: new Date().toISOString() };
+}
+
+test('DataStore uses the memory backend without touching files', async () => {
+  const store = await createStore();
+  assert.equal(store.backend, 'memory');
+  assert.equal(store.storage.adapter.constructor.name, 'MemoryAdapter');
+  await store.close();
+});
+
+test('DataStore buffers readings until the batch size is reached', async () => {
+  const store = await createStore();
+
+  await store.storeSensorReading(reading(20));
+  await store.storeSensorReading(reading(21));
+  assert.equal(store.pending.length, 2);
+  assert.deepEqual(await storedReadings(store), []);
+
+  await store.storeSensorReading(reading(22));
+  assert.equal(store.pending.length, 0);
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [20, 21, 22]);
+
+  await store.close();
+});
+
+test('DataStore writes a partial batch after the flush interval', async () => {
+  const store = await createStore({ flushIntervalMs: 20 });
+
+  await store.storeSensorReading(reading(20));
+  assert.deepEqual(await storedReadings(store), []);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [20]);
+
+  await store.close();
+});
+
+test('DataStore reads include buffered readings', async () => {
+  const store = await createStore();
+
+  await store.storeSensorReading(reading(20));
+  const latest = await store.getLatestReadingByType('temperature', 'livingroom');
+
+  assert.equal(latest.value, 20);
+  assert.equal(store.pending.length, 0);
+  await store.close();
+});
+
+test('DataStore adds a timestamp to readings without one', async () => {
+  const store = await createStore();
+
+  await store.storeSensorReading({ type: 'humidity', value: 40 });
+  const [stored] = await store.getLatestReadings(1);
+
+  assert.ok(!Number.isNaN(Date.parse(stored.timestamp)));
+  await store.close();
+});
+
+test('DataStore keeps a failed batch for the next flush', async () => {
+  const store = await createStore();
+  const insertReadings = store.storage.insertReadings.bind(store.storage);
+  store.storage.insertReadings = async () => {
+    throw new Error('disk full');
+  };
+
+  await store.storeSensorReading(reading(20));
+  await store.storeSensorReading(reading(21));
+  await assert.rejects(store.storeSensorReading(reading(22)), /disk full/);
+  assert.equal(store.pending.length, 3);
+
+  store.storage.insertReadings = insertReadings;
+  await store.flush();
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [20, 21, 22]);
+
+  await store.close();
+});
+
+/**
+ * Make the storage backend reject some readings
+ * @param {DataStore} store - The data store
+ * @param {function} isBad - Returns true for a reading the backend cannot store
+ */
+function rejectReadings(store, isBad) {
+  const insertReadings = store.storage.insertReadings.bind(store.storage);
+  store.storage.insertReadings = async readings => {
+    if (readings.some(isBad)) {
+      throw new Error('NOT NULL constraint failed: readings.ts');
+    }
+    await insertReadings(readings);
+  };
+}
+
+test('DataStore drops a reading the backend rejects and stores the rest of the batch', async () => {
+  const store = await createStore();
+  rejectReadings(store, r => r.value === 21);
+
+  await store.storeSensorReading(reading(20));
+  await store.storeSensorReading(reading(21));
+  await store.storeSensorReading(reading(22));
+
+  assert.equal(store.pending.length, 0);
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [20, 22]);
+
+  await store.storeSensorReading(reading(23));
+  await store.flush();
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [20, 22, 23]);
+  await store.close();
+});
+
+test('DataStore drops a batch after repeated failed writes', async () => {
+  const store = await createStore({ batchSize: 2 });
+  rejectReadings(store, () => true);
+
+  await store.storeSensorReading(reading(20));
+  await assert.rejects(store.storeSensorReading(reading(21)), /NOT NULL/);
+  await assert.rejects(store.flush(), /NOT NULL/);
+  assert.equal(store.pending.length, 2);
+
+  await assert.rejects(store.flush(), /NOT NULL/);
+  assert.equal(store.pending.length, 0);
+  await store.close();
+});
+
+test('DataStore drops the oldest buffered readings beyond maxPending', async () => {
+  const store = await createStore({ batchSize: 100, maxPending: 3 });
+
+  for (let value = 1; value <= 5; value++) {
+    await store.storeSensorReading(reading(value));
+  }
+
+  assert.deepEqual(store.pending.map(r => r.value), [3, 4, 5]);
+  await store.close();
+});
+
+test('DataStore caps the memory backend at the maximum number of readings', async () => {
+  const store = await createStore({ maxReadings: 5, batchSize: 4 });
+
+  for (let value = 1; value <= 10; value++) {
+    await store.storeSensorReading(reading(value));
+  }
+  await store.flush();
+
+  assert.deepEqual((await storedReadings(store)).map(r => r.value), [6, 7, 8, 9, 10]);
+  assert.deepEqual((await store.storage.adapter.read()).readings.map(r => r.value), [6, 7, 8, 9, 10]);
+  await store.close();
+});
+
+test('DataStore filters and aggregates memory readings per device', async () => {
+  const store = await createStore();
+
+  await store.storeSensorReading(reading(20, 'livingroom'));
+  await store.storeSensorReading(reading(22, 'livingroom'));
+  await store.storeSensorReading(reading(30, 'bedroom'));
+
+  const { total } = await store.queryReadings({ deviceId: 'livingroom' });
+  assert.equal(total, 2);
+
+  const buckets = await store.aggregateReadings({ interval: '1h' });
+  assert.deepEqual(buckets.map(({ deviceId, count, avg }) => ({ deviceId, count, avg })), [
+    { deviceId: 'bedroom', count: 1, avg: 30 },
+    { deviceId: 'livingroom', count: 2, avg: 21 }
+  ]);
+  assert.deepEqual((await store.getDeviceIds()).sort(), ['bedroom', 'livingroom']);
+
+  await store.close();
+});
+
+test('DataStore imports the LowDB file into a new SQLite database once', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auralink-import-'));
+  after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+  const dataFilePath = path.join(tempDir, 'sensorData.json');
+  const sqliteFilePath = path.join(tempDir, 'sensorData.db');
+  fs.writeFileSync(dataFilePath, JSON.stringify({
+    readings: [reading(20), reading(21), { type: 'temperature', value: 99, timestamp: 'garbage' }]
+  }));
+
+  const first = await createStore({ backend: 'sqlite', dataFilePath, sqliteFilePath });
+  assert.deepEqual((await storedReadings(first)).map(r => r.value), [20, 21]);
+  await first.close();
+
+  const second = await createStore({ backend: 'sqlite', dataFilePath, sqliteFilePath });
+  assert.deepEqual((await storedReadings(second)).map(r => r.value), [20, 21]);
+  await second.close();
+  assert.ok(fs.existsSync(dataFilePath));
+});
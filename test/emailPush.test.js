@@ -0,0 +1,391 @@
+/**
+ * Tests for Gmail push notifications against a stubbed Gmail API client
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import EmailHandler, { parsePushEnvelope, isValidPushToken } from '../handlers/emailHandler.js';
+
+logger.silent = true;
+
+const EMAIL_ADDRESS = 'user@example.com';
+
+/**
+ * Create an error like the ones the Google API client throws
+ * @param {number} code - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a message matches a Gmail search query
+ *
+ * Supports the terms the tests use: is:unread, in:<label>, category:<name>
+ * and their negations.
+ *
+ * @param {object} message - Stored message
+ * @param {string} query - Gmail search query
+ * @returns {boolean} True if the message matches every term
+ */
+function matchesQuery(message, query) {
+  return query.split(' ').filter(Boolean).every(term => {
+    const negated = term.startsWith('-');
+    const [operator, value] = term.replace(/^-/, '').split(':');
+    const label = operator === 'is' || operator === 'in' ? value.toUpperCase() : `CATEGORY_${value.toUpperCase()}`;
+    return message.labelIds.includes(label) !== negated;
+  });
+}
+
+/**
+ * In-memory mailbox behind the parts of the Gmail API the handler uses
+ */
+class FakeGmail {
+  constructor() {
+    this.messages = new Map();
+    this.records = [];
+    this.historyId = 1000;
+    // History IDs below this are too old to replay
+    this.expiredBefore = 0;
+    this.calls = [];
+
+    this.users = {
+      getProfile: async () => {
+        this.calls.push('getProfile');
+        return { data: { emailAddress: EMAIL_ADDRESS, historyId: String(this.historyId) } };
+      },
+      watch: async () => {
+        this.calls.push('watch');
+        return { data: { historyId: String(this.historyId), expiration: String(Date.now() + 7 * 24 * 3600000) } };
+      },
+      messages: {
+        list: async ({ q, maxResults }) => {
+          this.calls.push('messages.list');
+          const ids = [...this.messages.values()]
+            .filter(message => matchesQuery(message, q))
+            .sort((a, b) => b.internalDate - a.internalDate)
+            .slice(0, maxResults)
+            .map(message => ({ id: message.id }));
+          return { data: { messages: ids.length > 0 ? ids : undefined } };
+        },
+        get: async ({ id }) => {
+          this.calls.push('messages.get');
+          const message = this.messages.get(id);
+          if (!message) {
+            throw apiError(404, 'Requested entity was not found.');
+          }
+
+          return {
+            data: {
+              id,
+              threadId: id,
+              snippet: `Snippet of ${id}`,
+              labelIds: [...message.labelIds],
+              internalDate: String(message.internalDate),
+              payload: {
+                headers: [
+                  { name: 'Subject', value: `Subject ${id}` },
+                  { name: 'From', value: message.from },
+                  { name: 'Date', value: new Date(message.internalDate).toUTCString() }
+                ]
+              }
+            }
+          };
+        }
+      },
+      history: {
+        list: async ({ startHistoryId }) => {
+          this.calls.push('history.list');
+          if (Number(startHistoryId) < this.expiredBefore) {
+            throw apiError(404, 'Requested entity was not found.');
+          }
+
+          return {
+            data: {
+              history: this.records.filter(record => Number(record.id) > Number(startHistoryId)),
+              historyId: String(this.historyId)
+            }
+          };
+        }
+      }
+    };
+  }
+
+  /**
+   * Add a history record with the next history ID
+   * @param {object} record - History record fields
+   */
+  record(record) {
+    this.historyId++;
+    this.records.push({ id: String(this.historyId), ...record });
+  }
+
+  /**
+   * Deliver a new message
+   * @param {string} id - Message ID
+   * @param {object} [options] - `{ labelIds, from }`
+   */
+  deliver(id, { labelIds = ['INBOX', 'UNREAD'], from = 'Alice <alice@example.com>' } = {}) {
+    const message = { id, labelIds, from, internalDate: Date.now() + this.messages.size };
+    this.messages.set(id, message);
+    this.record({ messagesAdded: [{ message: { id, labelIds } }] });
+  }
+
+  /**
+   * Mark a message as read
+   * @param {string} id - Message ID
+   */
+  markRead(id) {
+    const message = this.messages.get(id);
+    message.labelIds = message.labelIds.filter(label => label !== 'UNREAD');
+    this.record({ labelsRemoved: [{ message: { id, labelIds: message.labelIds }, labelIds: ['UNREAD'] }] });
+  }
+
+  /**
+   * Add labels to a message, e.g. when it is moved to spam
+   * @param {string} id - Message ID
+   * @param {Array<string>} labelIds - Labels to add
+   */
+  addLabels(id, labelIds) {
+    const message = this.messages.get(id);
+    message.labelIds = [...message.labelIds, ...labelIds];
+    this.record({ labelsAdded: [{ message: { id, labelIds: message.labelIds }, labelIds }] });
+  }
+
+  /**
+   * Forget the calls made so far
+   */
+  resetCalls() {
+    this.calls = [];
+  }
+}
+
+/**
+ * Build a Pub/Sub push envelope carrying a Gmail notification
+ * @param {string|number} historyId - Notified history ID
+ * @returns {object} The envelope
+ */
+function envelope(historyId) {
+  const data = Buffer.from(JSON.stringify({ emailAddress: EMAIL_ADDRESS, historyId })).toString('base64');
+  return { message: { data, messageId: '1', publishTime: new Date().toISOString() }, subscription: 'projects/p/subscriptions/s' };
+}
+
+/**
+ * Create a Gmail handler in push mode backed by a fake mailbox
+ * @param {FakeGmail} gmail - The fake mailbox
+ * @param {object} [filters] - Email filters
+ * @returns {Promise<object>} `{ handler, changes }`, where changes collects the onChange calls
+ */
+async function startPushHandler(gmail, filters = {}) {
+  const handler = new EmailHandler({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    redirectUri: 'http://localhost/auth/google/callback',
+    refreshToken: 'refresh-token',
+    filters
+  });
+  handler._getGmail = () => gmail;
+
+  const changes = [];
+  const started = await handler.startPush(
+    { topicName: 'projects/p/topics/gmail', renewIntervalMs: 3600000, verificationToken: 'secret' },
+    async emails => changes.push(emails.map(email => email.id)),
+    5
+  );
+  assert.equal(started, true);
+  await handler.syncQueue;
+  handler.stopPush();
+
+  return { handler, changes };
+}
+
+test('parsePushEnvelope decodes the Gmail notification', () => {
+  assert.deepEqual(parsePushEnvelope(envelope(1234)), { emailAddress: EMAIL_ADDRESS, historyId: '1234' });
+});
+
+test('parsePushEnvelope rejects malformed envelopes', () => {
+  assert.throws(() => parsePushEnvelope({}), /no message data/);
+  assert.throws(() => parsePushEnvelope({ message: { data: 'not json' } }), /base64 encoded JSON/);
+  assert.throws(
+    () => parsePushEnvelope({ message: { data: Buffer.from('{"historyId":"abc"}').toString('base64') } }),
+    /no valid historyId/
+  );
+});
+
+test('isValidPushToken rejects a wrong or missing token', () => {
+  assert.equal(isValidPushToken('secret', 'secret'), true);
+  assert.equal(isValidPushToken('secret', 'wrong'), false);
+  assert.equal(isValidPushToken('secret', 'secret2'), false);
+  assert.equal(isValidPushToken('secret', undefined), false);
+  assert.equal(isValidPushToken('secret', ['secret']), false);
+});
+
+test('isValidPushToken rejects every request when no token is configured', () => {
+  assert.equal(isValidPushToken('', undefined), false);
+  assert.equal(isValidPushToken('', ''), false);
+  assert.equal(isValidPushToken(undefined, 'anything'), false);
+});
+
+test('startPush refuses to start without a verification token', async () => {
+  const gmail = new FakeGmail();
+  const handler = new EmailHandler({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    redirectUri: 'http://localhost/auth/google/callback',
+    refreshToken: 'refresh-token'
+  });
+  handler._getGmail = () => gmail;
+
+  const started = await handler.startPush(
+    { topicName: 'projects/p/topics/gmail', renewIntervalMs: 3600000, verificationToken: '' },
+    async () => {},
+    5
+  );
+
+  assert.equal(started, false);
+  assert.notEqual(handler.mode, 'push');
+  assert.deepEqual(gmail.calls.filter(call => call === 'watch'), []);
+});
+
+test('startPush loads the initial unread set', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  gmail.deliver('m2');
+
+  const { handler, changes } = await startPushHandler(gmail);
+
+  assert.equal(handler.mode, 'push');
+  assert.equal(handler.historyId, String(gmail.historyId));
+  assert.deepEqual(changes, [['m2', 'm1']]);
+});
+
+test('a notification applies new and read messages from the history', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  gmail.deliver('m2');
+  const { handler, changes } = await startPushHandler(gmail);
+
+  gmail.deliver('m3');
+  gmail.markRead('m1');
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.equal(result.changed, true);
+  assert.deepEqual(result.emails.map(email => email.id), ['m3', 'm2']);
+  assert.deepEqual(changes.at(-1), ['m3', 'm2']);
+  assert.equal(handler.historyId, String(gmail.historyId));
+});
+
+test('notifications with an old or repeated history ID are ignored', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  const { handler, changes } = await startPushHandler(gmail);
+  const historyId = handler.historyId;
+
+  gmail.resetCalls();
+  const repeated = await handler.handlePushNotification(envelope(historyId));
+  const older = await handler.handlePushNotification(envelope(Number(historyId) - 5));
+
+  for (const result of [repeated, older]) {
+    assert.equal(result.changed, false);
+    assert.deepEqual(result.emails.map(email => email.id), ['m1']);
+  }
+  assert.deepEqual(gmail.calls, []);
+  assert.equal(handler.historyId, historyId);
+  assert.equal(changes.length, 1);
+});
+
+test('an unchanged unread set is not reported again', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  const { handler, changes } = await startPushHandler(gmail);
+
+  // A label change that does not touch UNREAD still moves the history ID
+  gmail.record({ labelsAdded: [{ message: { id: 'm1', labelIds: ['INBOX', 'UNREAD', 'STARRED'] }, labelIds: ['STARRED'] }] });
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.equal(result.changed, false);
+  assert.equal(handler.historyId, String(gmail.historyId));
+  assert.equal(changes.length, 1);
+});
+
+test('an expired history ID leads to a full resync', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  const { handler, changes } = await startPushHandler(gmail);
+
+  gmail.deliver('m2');
+  gmail.markRead('m1');
+  gmail.expiredBefore = gmail.historyId;
+  gmail.resetCalls();
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.equal(result.changed, true);
+  assert.deepEqual(result.emails.map(email => email.id), ['m2']);
+  assert.deepEqual(changes.at(-1), ['m2']);
+  assert.ok(gmail.calls.includes('getProfile'));
+  assert.equal(handler.historyId, String(gmail.historyId));
+});
+
+test('a read message resyncs when older unread mail may be hidden', async () => {
+  const gmail = new FakeGmail();
+  for (let i = 1; i <= 6; i++) {
+    gmail.deliver(`m${i}`);
+  }
+  const { handler, changes } = await startPushHandler(gmail);
+  assert.deepEqual(changes[0], ['m6', 'm5', 'm4', 'm3', 'm2']);
+
+  gmail.markRead('m6');
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.deepEqual(result.emails.map(email => email.id), ['m5', 'm4', 'm3', 'm2', 'm1']);
+});
+
+test('new messages the search query excludes are not shown', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  const { handler, changes } = await startPushHandler(gmail, { query: 'is:unread in:inbox -category:promotions' });
+
+  gmail.deliver('promo', { labelIds: ['INBOX', 'UNREAD', 'CATEGORY_PROMOTIONS'] });
+  gmail.deliver('spam', { labelIds: ['SPAM', 'UNREAD'] });
+  gmail.deliver('sent', { labelIds: ['SENT', 'UNREAD'] });
+  gmail.deliver('m2');
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.deepEqual(result.emails.map(email => email.id), ['m2', 'm1']);
+  assert.deepEqual(changes.at(-1), ['m2', 'm1']);
+});
+
+test('messages that stop matching the search query are removed', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  gmail.deliver('m2');
+  const { handler } = await startPushHandler(gmail, { query: 'is:unread -in:spam' });
+
+  gmail.addLabels('m2', ['SPAM']);
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.deepEqual(result.emails.map(email => email.id), ['m1']);
+});
+
+test('label changes are seen by the label filters', async () => {
+  const gmail = new FakeGmail();
+  gmail.deliver('m1');
+  gmail.deliver('m2');
+  const { handler } = await startPushHandler(gmail, { excludeLabels: ['CATEGORY_SOCIAL'] });
+
+  gmail.addLabels('m2', ['CATEGORY_SOCIAL']);
+  const result = await handler.handlePushNotification(envelope(gmail.historyId));
+
+  assert.deepEqual(result.emails.map(email => email.id), ['m1']);
+});
+
+test('handlePushNotification refuses notifications while polling', async () => {
+  const handler = new EmailHandler({ clientId: 'id', clientSecret: 'secret', redirectUri: 'http://localhost', refreshToken: 'token' });
+
+  await assert.rejects(handler.handlePushNotification(envelope(1)), /not active/);
+});
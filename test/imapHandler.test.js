@@ -0,0 +1,117 @@
+/**
+ * Tests for the IMAP provider against an in-process IMAP server
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import logger from '../utils/logger.js';
+import ImapHandler from '../handlers/imapHandler.js';
+
+logger.silent = true;
+
+const require = createRequire(import.meta.url);
+const hoodiecrow = require('hoodiecrow-imap');
+
+const MESSAGES = [
+  {
+    raw: 'From: Alice <alice@example.com>\r\nSubject: Lunch\r\nDate: Fri, 13 Sep 2013 15:01:00 +0300\r\n' +
+      'Content-Type: text/plain\r\n\r\nSee you   at\r\nnoon',
+    internaldate: '13-Sep-2013 15:01:00 +0300'
+  },
+  {
+    raw: 'From: bob@example.com\r\nSubject: Already read\r\n\r\nOld news',
+    flags: ['\\Seen']
+  },
+  {
+    raw: 'From: Carol <carol@example.com>\r\nSubject: Newsletter\r\nDate: Sat, 14 Sep 2013 09:00:00 +0000\r\n' +
+      'Content-Type: multipart/alternative; boundary=b\r\n\r\n--b\r\nContent-Type: text/html\r\n\r\n' +
+      '<p>Hi <b>Carol</b></p>\r\n--b--\r\n'
+  }
+];
+
+let server;
+let port;
+
+before(async () => {
+  server = hoodiecrow({
+    plugins: ['ID', 'ENABLE', 'UNSELECT', 'NAMESPACE', 'IDLE'],
+    storage: { INBOX: { messages: MESSAGES.map(message => ({ ...message })) } }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  port = server.server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Create a handler for the test server
+ * @param {object} [overrides] - Settings to change
+ * @returns {ImapHandler} The handler
+ */
+function createHandler(overrides = {}) {
+  return new ImapHandler({
+    host: '127.0.0.1',
+    port,
+    tls: false,
+    user: 'testuser',
+    password: 'testpass',
+    ...overrides
+  }, 'testuser');
+}
+
+/**
+ * Read the flags of every message in the server's inbox
+ * @returns {Array<Array<string>>} Flags per message, in storage order
+ */
+function inboxFlags() {
+  return server.getMailbox('INBOX').messages.map(message => message.flags);
+}
+
+test('ImapHandler returns unread emails newest first in the shared email shape', async () => {
+  const handler = createHandler();
+  const emails = await handler.fetchUnreadEmails(5);
+
+  assert.equal(handler.lastFetchFailed, false);
+  assert.deepEqual(emails.map(({ id, subject, from, date, snippet }) => ({ id, subject, from, date, snippet })), [
+    {
+      id: 'INBOX:1:3',
+      subject: 'Newsletter',
+      from: 'Carol <carol@example.com>',
+      date: '2013-09-14T09:00:00.000Z',
+      snippet: 'Hi Carol'
+    },
+    {
+      id: 'INBOX:1:1',
+      subject: 'Lunch',
+      from: 'Alice <alice@example.com>',
+      date: '2013-09-13T12:01:00.000Z',
+      snippet: 'See you at noon'
+    }
+  ]);
+});
+
+test('ImapHandler leaves fetched emails unread', async () => {
+  const handler = createHandler();
+  await handler.fetchUnreadEmails(5);
+
+  assert.deepEqual(inboxFlags().map(flags => flags.includes('\\Seen')), [false, true, false]);
+
+  const again = await handler.fetchUnreadEmails(5);
+  assert.deepEqual(again.map(email => email.id), ['INBOX:1:3', 'INBOX:1:1']);
+});
+
+test('ImapHandler marks the account for re-authorization when the login is rejected', async () => {
+  const handler = createHandler({ password: 'wrong' });
+
+  assert.deepEqual(await handler.fetchUnreadEmails(5), []);
+  assert.equal(handler.lastFetchFailed, true);
+  assert.equal(handler.authState, 'needs_reauth');
+});
+
+test('ImapHandler.testConnection reports why a settings check failed', async () => {
+  assert.deepEqual(await createHandler().testConnection(), { ok: true });
+  assert.equal((await createHandler({ password: 'wrong' }).testConnection()).reason, 'auth');
+  assert.equal((await createHandler({ folder: 'Missing' }).testConnection()).reason, 'folder');
+  assert.equal((await createHandler({ port: 1 }).testConnection()).reason, 'connection');
+});
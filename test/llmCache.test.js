@@ -0,0 +1,35 @@
+/**
+ * Tests for the LLM response cache keys
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import { buildConditionKey } from '../utils/llmCache.js';
+
+logger.silent = true;
+
+const ROUNDING = { temperature: 1, humidity: 5 };
+
+test('buildConditionKey shares a key between barely changed readings', () => {
+  assert.equal(
+    buildConditionKey({ temperature: 22.4, humidity: 44, co2: 820, pm25: 6 }, ROUNDING),
+    buildConditionKey({ temperature: 22.2, humidity: 46, co2: 780, pm25: 7 }, ROUNDING)
+  );
+});
+
+test('buildConditionKey separates readings the prompt describes differently', () => {
+  const base = { temperature: 22, humidity: 45, co2: 800, light: 500, noise: 40, pm25: 5 };
+  const key = buildConditionKey(base, ROUNDING);
+
+  for (const change of [{ co2: 1400 }, { light: 1500 }, { noise: 50 }, { pm25: 30 }]) {
+    assert.notEqual(buildConditionKey({ ...base, ...change }, ROUNDING), key, JSON.stringify(change));
+  }
+});
+
+test('buildConditionKey lets the configured rounding override the sensor type step', () => {
+  assert.notEqual(
+    buildConditionKey({ temperature: 22, humidity: 45 }, { temperature: 0.1, humidity: 5 }),
+    buildConditionKey({ temperature: 22.3, humidity: 45 }, { temperature: 0.1, humidity: 5 })
+  );
+});
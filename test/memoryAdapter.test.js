@@ -0,0 +1,66 @@
+/**
+ * Tests for the in-memory LowDB adapter and the memory storage backend
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Low } from 'lowdb';
+import logger from '../utils/logger.js';
+import MemoryAdapter from '../utils/memoryAdapter.js';
+
+logger.silent = true;
+
+test('MemoryAdapter returns null before the first write', async () => {
+  const adapter = new MemoryAdapter();
+  assert.equal(await adapter.read(), null);
+});
+
+test('MemoryAdapter starts from a copy of the initial data', async () => {
+  const initial = { readings: [{ value: 1 }] };
+  const adapter = new MemoryAdapter(initial);
+
+  initial.readings.push({ value: 2 });
+
+  assert.deepEqual(await adapter.read(), { readings: [{ value: 1 }] });
+});
+
+test('MemoryAdapter isolates stored data from callers', async () => {
+  const adapter = new MemoryAdapter();
+  const data = { readings: [{ value: 1 }] };
+
+  await adapter.write(data);
+  data.readings[0].value = 99;
+  const read = await adapter.read();
+  read.readings.push({ value: 2 });
+
+  assert.deepEqual(await adapter.read(), { readings: [{ value: 1 }] });
+});
+
+test('MemoryAdapter caps every top-level array to the newest entries', async () => {
+  const adapter = new MemoryAdapter(null, { maxItems: 3 });
+
+  await adapter.write({
+    readings: [1, 2, 3, 4, 5],
+    llmUsage: [1, 2],
+    lastUpdated: 'now'
+  });
+
+  assert.deepEqual(await adapter.read(), {
+    readings: [3, 4, 5],
+    llmUsage: [1, 2],
+    lastUpdated: 'now'
+  });
+});
+
+test('MemoryAdapter works as a LowDB adapter', async () => {
+  const db = new Low(new MemoryAdapter(null, { maxItems: 2 }), { readings: [] });
+  await db.read();
+  assert.deepEqual(db.data, { readings: [] });
+
+  db.data.readings.push('a', 'b', 'c');
+  await db.write();
+
+  const reopened = new Low(db.adapter, { readings: [] });
+  await reopened.read();
+  assert.deepEqual(reopened.data.readings, ['b', 'c']);
+});
@@ -0,0 +1,315 @@
+/**
+ * Tests for the MQTT handler with a fake client
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import MqttHandler from '../handlers/mqttHandler.js';
+
+logger.silent = true;
+
+/**
+ * Stand-in for an mqtt.js client that records calls and lets tests decide
+ * when the broker connects, drops the connection or fails a publish
+ */
+class FakeClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.published = [];
+    this.subscribeCalls = [];
+    this.reconnects = 0;
+    this.failPublishes = 0;
+    this.failSubscribes = 0;
+  }
+
+  publish(topic, message, options, callback) {
+    if (this.failPublishes > 0) {
+      this.failPublishes--;
+      setImmediate(() => callback(new Error('connection reset')));
+      return;
+    }
+    this.published.push(`${topic}=${message}`);
+    setImmediate(() => callback(null));
+  }
+
+  subscribe(filters, options, callback) {
+    this.subscribeCalls.push([].concat(filters));
+    const error = this.failSubscribes > 0 ? new Error('not authorized') : null;
+    this.failSubscribes = Math.max(this.failSubscribes - 1, 0);
+    setImmediate(() => callback(error));
+  }
+
+  unsubscribe(topic, callback) {
+    setImmediate(() => callback(null));
+  }
+
+  reconnect() {
+    this.reconnects++;
+  }
+
+  end(force, callback) {
+    setImmediate(() => {
+      this.emit('close');
+      callback();
+    });
+  }
+
+  /**
+   * Simulate a successful connect
+   * @param {boolean} [sessionPresent] - Whether the broker resumed the session
+   */
+  accept(sessionPresent = false) {
+    this.emit('connect', { sessionPresent });
+  }
+}
+
+/**
+ * Create a handler that connects through a fake client
+ * @param {object} [config] - Configuration overriding the defaults
+ * @returns {object} `{ handler, clients }`, where clients collects every created client
+ */
+function createHandler(config = {}) {
+  const handler = new MqttHandler({
+    brokerUrl: 'mqtt://broker.test',
+    clientId: 'auralink-test',
+    topics: { status: 'auralink/status' },
+    reconnectMinMs: 10,
+    reconnectMaxMs: 40,
+    ...config
+  });
+  const clients = [];
+  handler._createClient = options => {
+    const client = new FakeClient(options);
+    clients.push(client);
+    return client;
+  };
+  return { handler, clients };
+}
+
+/**
+ * Wait for a while, e.g. to check that something does not happen
+ * @param {number} ms - Time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {function} condition - Returns true once the expected state is reached
+ * @param {number} [timeoutMs] - Time after which the wait fails
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms: ${condition}`);
+    }
+    await sleep(2);
+  }
+}
+
+test('MqttHandler queues publishes while offline and flushes them in order on connect', async () => {
+  const { handler, clients } = createHandler();
+  const connected = handler.connect();
+  const [client] = clients;
+
+  await handler.publish('display/quote', 'first');
+  await handler.publish('display/email', 'mail');
+  await handler.publish('display/quote', 'second');
+  await handler.publish('errors', 'a', { collapse: false });
+  await handler.publish('errors', 'b', { collapse: false });
+  assert.deepEqual(client.published, []);
+
+  client.accept();
+  await connected;
+  await waitFor(() => handler.publishQueue.size === 0);
+
+  assert.deepEqual(client.published, [
+    'auralink/status=online',
+    'display/email=mail',
+    'display/quote=second',
+    'errors=a',
+    'errors=b'
+  ]);
+  assert.equal(handler.publishQueue.size, 0);
+});
+
+test('MqttHandler keeps the unsent rest of the queue when a flush fails', async () => {
+  const { handler, clients } = createHandler({ topics: {} });
+  const connected = handler.connect();
+  const [client] = clients;
+
+  await handler.publish('a', '1');
+  await handler.publish('b', '2');
+  client.failPublishes = 1;
+  client.accept();
+  await connected;
+  await waitFor(() => !handler.isFlushing);
+
+  assert.deepEqual(client.published, []);
+  assert.equal(handler.publishQueue.size, 2);
+
+  // New messages wait behind the queue instead of overtaking it
+  await handler.publish('c', '3');
+  await waitFor(() => handler.publishQueue.size === 0);
+  assert.deepEqual(client.published, ['a=1', 'b=2', 'c=3']);
+});
+
+test('MqttHandler doubles the reconnect delay up to the maximum', (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  const { handler } = createHandler({ reconnectMinMs: 1000, reconnectMaxMs: 5000 });
+
+  const delays = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    handler.reconnectAttempt = attempt;
+    delays.push(handler._getReconnectDelay());
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+
+  // Half of the delay is random
+  Math.random.mock.mockImplementation(() => 0);
+  handler.reconnectAttempt = 2;
+  assert.equal(handler._getReconnectDelay(), 2000);
+});
+
+test('MqttHandler reconnects with backoff after losing the connection', async () => {
+  const { handler, clients } = createHandler();
+  const connected = handler.connect();
+  const [client] = clients;
+  client.accept();
+  await connected;
+
+  client.emit('close');
+  client.emit('close');
+  assert.equal(handler.state, 'reconnecting');
+  assert.equal(handler.stats.connectionLosses, 1);
+  assert.equal(handler.reconnectAttempt, 1);
+
+  await waitFor(() => client.reconnects === 1);
+
+  // Each failed attempt schedules the next one with a longer delay
+  client.emit('close');
+  assert.equal(handler.reconnectAttempt, 2);
+  await waitFor(() => client.reconnects === 2);
+
+  client.accept(true);
+  assert.equal(handler.state, 'connected');
+  assert.equal(handler.reconnectAttempt, 0);
+  await handler.disconnect();
+});
+
+test('MqttHandler does not reconnect after disconnect', async () => {
+  const { handler, clients } = createHandler();
+  const connected = handler.connect();
+  const [client] = clients;
+  client.accept();
+  await connected;
+
+  await handler.disconnect();
+  await sleep(50);
+
+  assert.equal(handler.state, 'offline');
+  assert.equal(client.reconnects, 0);
+  assert.deepEqual(client.published.slice(-1), ['auralink/status=offline']);
+});
+
+test('MqttHandler sets a retained last will on the status topic', () => {
+  const { handler, clients } = createHandler();
+  handler.connect().catch(() => {});
+
+  assert.deepEqual(clients[0].options.will, { topic: 'auralink/status', payload: 'offline', qos: 1, retain: true });
+  assert.equal(clients[0].options.reconnectPeriod, 0);
+  assert.equal(clients[0].options.resubscribe, false);
+});
+
+test('MqttHandler resubscribes to every filter when the broker lost the session', async () => {
+  const { handler, clients } = createHandler({ topics: {} });
+  const onReading = mock.fn();
+  await handler.subscribe('auralink/sensors/temperature', onReading);
+  await handler.subscribe('auralink/+/sensors/+', onReading);
+
+  const connected = handler.connect();
+  const [client] = clients;
+  client.accept(false);
+  await connected;
+  assert.deepEqual(client.subscribeCalls, [['auralink/sensors/temperature', 'auralink/+/sensors/+']]);
+
+  // A resumed session keeps its subscriptions
+  client.emit('close');
+  client.accept(true);
+  assert.equal(client.subscribeCalls.length, 1);
+
+  // A new session starts without any
+  client.emit('close');
+  client.accept(false);
+  assert.deepEqual(client.subscribeCalls[1], ['auralink/sensors/temperature', 'auralink/+/sensors/+']);
+
+  client.emit('message', 'auralink/kitchen/sensors/temperature', Buffer.from('22'));
+  assert.equal(onReading.mock.callCount(), 1);
+  await handler.disconnect();
+});
+
+test('MqttHandler retries failed subscriptions on the next connect', async () => {
+  const { handler, clients } = createHandler({ topics: {} });
+  await handler.subscribe('auralink/sensors/humidity', () => {});
+
+  const connected = handler.connect();
+  const [client] = clients;
+  client.failSubscribes = 1;
+  client.accept(false);
+  await connected;
+  await waitFor(() => handler.pendingSubscriptions.size > 0);
+  assert.deepEqual(handler.getStats().pendingSubscriptions, ['auralink/sensors/humidity']);
+
+  // Even a resumed session lacks a subscription the broker refused
+  client.emit('close');
+  client.accept(true);
+  assert.deepEqual(client.subscribeCalls, [['auralink/sensors/humidity'], ['auralink/sensors/humidity']]);
+  assert.deepEqual(handler.getStats().pendingSubscriptions, []);
+  await handler.disconnect();
+});
+
+test('MqttHandler calls every handler of every matching filter once per message', async () => {
+  const { handler, clients } = createHandler({ topics: {} });
+  const sensorReading = mock.fn();
+  const sensorLog = mock.fn();
+  const everything = mock.fn();
+  await handler.subscribe('auralink/+/sensors/+', sensorReading);
+  await handler.subscribe('auralink/+/sensors/+', sensorLog);
+  await handler.subscribe('auralink/#', everything);
+  await handler.subscribe('auralink/kitchen/#', everything);
+
+  const connected = handler.connect();
+  const [client] = clients;
+  client.accept();
+  await connected;
+
+  client.emit('message', 'auralink/kitchen/sensors/co2', Buffer.from('800'));
+  client.emit('message', 'auralink/status', Buffer.from('online'));
+  client.emit('message', '$SYS/broker/uptime', Buffer.from('12'));
+
+  assert.deepEqual(sensorReading.mock.calls.map(call => call.arguments), [['auralink/kitchen/sensors/co2', '800']]);
+  assert.equal(sensorLog.mock.callCount(), 1);
+  assert.deepEqual(everything.mock.calls.map(call => call.arguments[0]), ['auralink/kitchen/sensors/co2', 'auralink/status']);
+
+  // The broker subscription stays until the last handler of a filter is removed
+  await handler.unsubscribe('auralink/+/sensors/+', sensorReading);
+  client.emit('message', 'auralink/kitchen/sensors/co2', Buffer.from('810'));
+  assert.equal(sensorReading.mock.callCount(), 1);
+  assert.equal(sensorLog.mock.callCount(), 2);
+  assert.ok(handler.getStats().subscriptions.includes('auralink/+/sensors/+'));
+  await handler.disconnect();
+});
+
+test('MqttHandler rejects malformed subscription filters', async () => {
+  const { handler } = createHandler({ topics: {} });
+
+  await assert.rejects(handler.subscribe('auralink/#/sensors', () => {}), /Invalid MQTT topic filter/);
+  assert.deepEqual(handler.getStats().subscriptions, []);
+});
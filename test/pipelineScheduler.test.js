@@ -0,0 +1,143 @@
+/**
+ * Tests for the per-device pipeline scheduler
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import PipelineScheduler from '../utils/pipelineScheduler.js';
+import { getConditionBucket } from '../utils/conditions.js';
+
+logger.silent = true;
+
+const COMFORTABLE = { temperature: 22, humidity: 45 };
+
+/**
+ * Wait for a while, e.g. to check that something does not happen
+ * @param {number} ms - Time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {function} condition - Returns true once the expected state is reached
+ * @param {number} [timeoutMs] - Time after which the wait fails
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms: ${condition}`);
+    }
+    await sleep(2);
+  }
+}
+
+test('PipelineScheduler runs on the first reading, significant changes and stale output', () => {
+  const scheduler = new PipelineScheduler({ minIntervalMs: 60000, maxIntervalMs: 1800000, deltas: { temperature: 0.5 } });
+  const device = scheduler._getDevice('kitchen');
+
+  assert.deepEqual(scheduler.evaluate('kitchen', COMFORTABLE, 0), { run: true, reason: 'first_run' });
+
+  Object.assign(device, { lastRunAt: 0, lastSnapshot: COMFORTABLE, lastBucket: getConditionBucket(COMFORTABLE) });
+  const cases = [
+    [{ temperature: 30, humidity: 45 }, 59999, 'min_interval'],
+    [{ temperature: 22.4, humidity: 45 }, 60000, 'no_significant_change'],
+    [{ temperature: 22.5, humidity: 45 }, 60000, 'temperature_change'],
+    [{ temperature: 30, humidity: 45 }, 60000, 'condition_change'],
+    [COMFORTABLE, 1800000, 'refresh_due']
+  ];
+
+  for (const [snapshot, now, reason] of cases) {
+    assert.equal(scheduler.evaluate('kitchen', snapshot, now).reason, reason, JSON.stringify(snapshot));
+  }
+});
+
+test('PipelineScheduler never overlaps runs of a device and catches up once the run finishes', async () => {
+  const scheduler = new PipelineScheduler({ deltas: { temperature: 0.5 } });
+  let finishFirstRun;
+  const runs = [];
+  let running = 0;
+
+  const task = (label) => async () => {
+    running++;
+    assert.equal(running, 1, 'runs overlap');
+    runs.push(label);
+    if (label === 'first') {
+      await new Promise(resolve => { finishFirstRun = resolve; });
+    }
+    running--;
+  };
+
+  const first = scheduler.run('kitchen', COMFORTABLE, task('first'));
+  assert.equal(await scheduler.run('kitchen', { temperature: 23, humidity: 45 }, task('second')), false);
+  assert.equal(await scheduler.run('kitchen', { temperature: 24, humidity: 45 }, task('third')), false);
+  // Another device is not held up
+  assert.equal(await scheduler.run('bedroom', COMFORTABLE, async () => runs.push('bedroom')), true);
+  assert.equal(scheduler.getStats().skipped.in_progress, 2);
+  assert.equal(scheduler.getStats().devices.kitchen.trailingRunPending, true);
+
+  finishFirstRun();
+  assert.equal(await first, true);
+  await waitFor(() => runs.length === 3);
+
+  // Only the latest skipped readings run
+  assert.deepEqual(runs, ['first', 'bedroom', 'third']);
+  assert.deepEqual(scheduler.devices.get('kitchen').lastSnapshot, { temperature: 24, humidity: 45 });
+  assert.equal(scheduler.getStats().devices.kitchen.trailingRunPending, false);
+});
+
+test('PipelineScheduler runs a change within the minimum interval once the interval ends', async () => {
+  const scheduler = new PipelineScheduler({ minIntervalMs: 100, deltas: { temperature: 0.5 } });
+  const runs = [];
+  const task = (label) => async () => { runs.push({ label, at: Date.now() }); };
+
+  await scheduler.run('kitchen', COMFORTABLE, task('first'));
+  const firstRunAt = scheduler.devices.get('kitchen').lastRunAt;
+  assert.equal(await scheduler.run('kitchen', { temperature: 23, humidity: 45 }, task('second')), false);
+  assert.equal(await scheduler.run('kitchen', { temperature: 24, humidity: 45 }, task('third')), false);
+  assert.deepEqual(scheduler.getStats().skipped, { min_interval: 2 });
+
+  await waitFor(() => runs.length === 2);
+  assert.equal(runs[1].label, 'third');
+  assert.ok(runs[1].at - firstRunAt >= 100, 'trailing run waits for the minimum interval');
+  assert.equal(scheduler.getStats().devices.kitchen.lastRunReason, 'temperature_change');
+
+  // Exactly one trailing run
+  await sleep(150);
+  assert.equal(runs.length, 2);
+});
+
+test('PipelineScheduler skips the trailing run when the readings settled back', async () => {
+  const scheduler = new PipelineScheduler({ minIntervalMs: 50, deltas: { temperature: 0.5 } });
+  let runs = 0;
+  const task = async () => { runs++; };
+
+  await scheduler.run('kitchen', COMFORTABLE, task);
+  await scheduler.run('kitchen', { temperature: 23, humidity: 45 }, task);
+  await scheduler.run('kitchen', { temperature: 22.1, humidity: 45 }, task);
+
+  await waitFor(() => scheduler.getStats().skipped.no_significant_change === 1);
+  assert.equal(runs, 1);
+  assert.equal(scheduler.getStats().devices.kitchen.trailingRunPending, false);
+});
+
+test('PipelineScheduler drops the trailing run when a later reading runs first', async () => {
+  const scheduler = new PipelineScheduler({ minIntervalMs: 50, deltas: { temperature: 0.5 } });
+  const runs = [];
+  const task = (label) => async () => { runs.push(label); };
+
+  await scheduler.run('kitchen', COMFORTABLE, task('first'));
+  await scheduler.run('kitchen', { temperature: 23, humidity: 45 }, task('deferred'));
+
+  // A run that starts once the interval has passed covers the deferred readings
+  scheduler.devices.get('kitchen').lastRunAt -= 50;
+  assert.equal(await scheduler.run('kitchen', { temperature: 24, humidity: 45 }, task('latest')), true);
+
+  await sleep(100);
+  assert.deepEqual(runs, ['first', 'latest']);
+});
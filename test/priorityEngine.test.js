@@ -0,0 +1,121 @@
+/**
+ * Tests for the priority rules engine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { mergePriorities, PriorityEngine } from '../utils/priorityEngine.js';
+import { registerSensorType } from '../utils/sensorRegistry.js';
+
+logger.silent = true;
+
+const RULES_FILE = fileURLToPath(new URL('../config/priorityRules.json', import.meta.url));
+
+test('mergePriorities returns the highest known level', () => {
+  assert.equal(mergePriorities(), 'normal');
+  assert.equal(mergePriorities('normal', 'urgent', 'warning'), 'urgent');
+  assert.equal(mergePriorities('warning', null, 'critical'), 'warning');
+});
+
+test('PriorityEngine applies the comfort and extreme bands of the sensor registry', () => {
+  const engine = new PriorityEngine();
+  const cases = [
+    [{ temperature: 22, humidity: 45 }, 'normal', []],
+    [{ temperature: 26, humidity: 45 }, 'normal', []],
+    [{ temperature: 27, humidity: 45 }, 'warning', ['Temperature outside comfort range (above 26°C)']],
+    [{ temperature: 9, humidity: 45 }, 'urgent', ['Temperature extreme (below 10°C)']],
+    // Only the reasons at the resulting level are reported
+    [{ temperature: 36, humidity: 70 }, 'urgent', ['Temperature extreme (above 35°C)']],
+    [{ temperature: 22, humidity: 45, co2: 2100 }, 'urgent', ['CO2 extreme (above 2000ppm)']],
+    // Missing and non-numeric readings match no rule
+    [{ temperature: NaN, co2: '2500' }, 'normal', []]
+  ];
+
+  for (const [sensorData, priority, reasons] of cases) {
+    assert.deepEqual(engine.evaluate(sensorData), { priority, reasons }, JSON.stringify(sensorData));
+  }
+});
+
+test('PriorityEngine takes the stale air threshold of the rules file from the sensor registry', () => {
+  const engine = PriorityEngine.fromFile(RULES_FILE);
+  const staleAir = engine.getRules().find(rule => rule.name === 'stale-air');
+
+  assert.equal(staleAir.value, 1000);
+  assert.equal(engine.evaluate({ co2: 1000 }).priority, 'normal');
+  assert.deepEqual(engine.evaluate({ co2: 1001 }), {
+    priority: 'warning',
+    reasons: ['CO2 outside comfort range (above 1000ppm)', 'Stale air - open a window']
+  });
+});
+
+test('PriorityEngine rules follow changes to the registry threshold they use', () => {
+  registerSensorType({ name: 'voc', label: 'VOC', unit: 'ppb', range: { min: 0, max: 60000 }, comfort: { max: 300 } });
+  const engine = new PriorityEngine({
+    includeRegistryThresholds: false,
+    rules: [{ sensor: 'voc', operator: '>=', threshold: 'comfort.max', priority: 'urgent' }]
+  });
+  assert.deepEqual(engine.evaluate({ voc: 300 }), { priority: 'urgent', reasons: ['voc >= 300'] });
+
+  registerSensorType({ name: 'voc', label: 'VOC', unit: 'ppb', range: { min: 0, max: 60000 }, comfort: { max: 500 } });
+  assert.equal(engine.evaluate({ voc: 300 }).priority, 'normal');
+  assert.deepEqual(engine.evaluate({ voc: 500 }).reasons, ['voc >= 500']);
+});
+
+test('PriorityEngine combines custom rules with fixed values and registry thresholds', () => {
+  const engine = new PriorityEngine({
+    includeRegistryThresholds: false,
+    rules: [
+      { name: 'loud', sensor: 'noise', operator: '>=', value: 70, priority: 'warning', reason: 'Loud room' },
+      { name: 'dark', sensor: 'light', operator: '<', threshold: 'comfort.min', priority: 'warning' }
+    ]
+  });
+  const cases = [
+    [{ noise: 69, light: 100 }, 'normal', []],
+    [{ noise: 70, light: 100 }, 'warning', ['Loud room']],
+    [{ noise: 90, light: 50 }, 'warning', ['Loud room', 'light < 100']]
+  ];
+
+  for (const [sensorData, priority, reasons] of cases) {
+    assert.deepEqual(engine.evaluate(sensorData), { priority, reasons }, JSON.stringify(sensorData));
+  }
+});
+
+test('PriorityEngine rejects malformed rules', () => {
+  const cases = [
+    [{ name: 'no-value', sensor: 'co2', operator: '>', priority: 'warning' }, /needs a sensor and a numeric value/],
+    [{ name: 'no-sensor', operator: '>', value: 1, priority: 'warning' }, /needs a sensor/],
+    [{ name: 'text', sensor: 'co2', operator: '>', value: '1500', priority: 'warning' }, /numeric value/],
+    [{ name: 'equal', sensor: 'co2', operator: '==', value: 1500, priority: 'warning' }, /unsupported operator ==/],
+    [{ name: 'critical', sensor: 'co2', operator: '>', value: 1500, priority: 'critical' }, /unknown priority critical/],
+    [{ name: 'typo', sensor: 'co2', operator: '>', threshold: 'comfort.maximum', priority: 'warning' }, /unknown threshold comfort.maximum/],
+    [{ name: 'unset', sensor: 'co2', operator: '<', threshold: 'comfort.min', priority: 'warning' }, /sensor type co2 does not define/],
+    [{ name: 'unknown', sensor: 'radon', operator: '>', threshold: 'comfort.max', priority: 'warning' }, /sensor type radon does not define/]
+  ];
+
+  for (const [rule, message] of cases) {
+    assert.throws(() => new PriorityEngine({ rules: [rule] }), message, rule.name);
+  }
+});
+
+test('PriorityEngine lets email and calendar signals raise but never lower the priority', () => {
+  const engine = new PriorityEngine({ vipEmailPriority: 'urgent' });
+  const comfortable = { temperature: 22, humidity: 45 };
+  const warm = { temperature: 27, humidity: 45 };
+  const meeting = { summary: 'Standup' };
+
+  assert.deepEqual(engine.determinePriority(comfortable, null), { priority: 'normal', reasons: [] });
+  assert.deepEqual(engine.determinePriority(warm, 'normal'), {
+    priority: 'warning',
+    reasons: ['Temperature outside comfort range (above 26°C)']
+  });
+  assert.deepEqual(engine.determinePriority(comfortable, 'warning', [], meeting), {
+    priority: 'warning',
+    reasons: ['Email urgency: warning', 'Meeting starting soon: Standup']
+  });
+  assert.deepEqual(engine.determinePriority(warm, 'warning', [{ from: 'boss@example.com' }, { from: 'boss@example.com' }]), {
+    priority: 'urgent',
+    reasons: ['VIP email from boss@example.com']
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the MQTT publish queue
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import PublishQueue from '../utils/publishQueue.js';
+
+logger.silent = true;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auralink-queue-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * List the queued messages as `topic=message`
+ * @param {PublishQueue} queue - The queue
+ * @returns {Array<string>} The queued messages, oldest first
+ */
+function queued(queue) {
+  return queue.entries.map(entry => `${entry.topic}=${entry.message}`);
+}
+
+test('PublishQueue keeps only the newest message per topic', () => {
+  const queue = new PublishQueue();
+  queue.enqueue('display/quote', 'first');
+  queue.enqueue('display/email', 'mail');
+  queue.enqueue('display/quote', 'second');
+
+  assert.deepEqual(queued(queue), ['display/email=mail', 'display/quote=second']);
+  assert.equal(queue.getStats().collapsed, 1);
+});
+
+test('PublishQueue keeps every message of a topic published without collapsing', () => {
+  const queue = new PublishQueue();
+  queue.enqueue('errors', 'a', {}, false);
+  queue.enqueue('errors', 'b', {}, false);
+  queue.enqueue('errors', 'c');
+
+  assert.deepEqual(queued(queue), ['errors=a', 'errors=b', 'errors=c']);
+});
+
+test('PublishQueue drops the oldest messages beyond its size', () => {
+  const queue = new PublishQueue({ maxSize: 3 });
+  for (let i = 1; i <= 5; i++) {
+    queue.enqueue(`topic/${i}`, String(i));
+  }
+
+  assert.deepEqual(queued(queue), ['topic/3=3', 'topic/4=4', 'topic/5=5']);
+  assert.deepEqual(queue.getStats(), { depth: 3, maxSize: 3, persisted: false, collapsed: 0, dropped: 2 });
+});
+
+test('PublishQueue removes a message that was collapsed while being published only once', () => {
+  const queue = new PublishQueue();
+  queue.enqueue('display/quote', 'first');
+  const inFlight = queue.peek();
+
+  queue.enqueue('display/quote', 'second');
+  queue.remove(inFlight);
+
+  assert.deepEqual(queued(queue), ['display/quote=second']);
+});
+
+test('PublishQueue survives a restart through its queue file', () => {
+  const filePath = path.join(tempDir, 'persist', 'mqttQueue.json');
+  const queue = new PublishQueue({ filePath });
+  queue.enqueue('display/quote', 'hello', { qos: 1, retain: true });
+  queue.enqueue('display/email', 'mail');
+  queue.remove(queue.peek());
+
+  const restored = new PublishQueue({ filePath });
+  assert.deepEqual(queued(restored), ['display/email=mail']);
+
+  restored.remove(restored.peek());
+  assert.deepEqual(queued(new PublishQueue({ filePath })), []);
+});
+
+test('PublishQueue starts empty when the queue file is corrupt', () => {
+  const filePath = path.join(tempDir, 'corrupt.json');
+  fs.writeFileSync(filePath, '{not json');
+
+  assert.equal(new PublishQueue({ filePath }).size, 0);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the sensor payload validator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import { validateSensorPayload } from '../utils/readingValidator.js';
+import { registerSensorType } from '../utils/sensorRegistry.js';
+
+logger.silent = true;
+
+const NOW = new Date('2025-10-19T08:30:00.000Z');
+
+/**
+ * Validate a payload at a fixed time
+ * @param {string} sensorType - Sensor type
+ * @param {string} payload - Raw MQTT message
+ * @returns {object} The validation result
+ */
+function validate(sensorType, payload) {
+  return validateSensorPayload(sensorType, payload, { now: NOW, maxClockSkewMs: 60000 });
+}
+
+test('validateSensorPayload accepts plain numbers and JSON objects', () => {
+  assert.deepEqual(validate('temperature', '22.5'), { valid: true, value: 22.5, fields: {}, deviceTimestamp: null });
+  assert.deepEqual(validate('humidity', '{"value": 45}'), { valid: true, value: 45, fields: {}, deviceTimestamp: null });
+});
+
+test('validateSensorPayload rejects bad types and values', () => {
+  const cases = [
+    ['pressure', '1013', 'unknown_type'],
+    ['temperature', 'warm', 'malformed'],
+    ['temperature', '', 'malformed'],
+    ['temperature', 'null', 'malformed'],
+    ['temperature', '[22]', 'malformed'],
+    ['temperature', '"22"', 'malformed'],
+    ['temperature', '{}', 'invalid_value'],
+    ['temperature', '{"value": "22"}', 'invalid_value'],
+    ['temperature', '{"value": null}', 'invalid_value'],
+    ['temperature', '{"value": true}', 'invalid_value']
+  ];
+
+  for (const [sensorType, payload, reason] of cases) {
+    assert.equal(validate(sensorType, payload).reason, reason, `${sensorType} ${payload}`);
+  }
+});
+
+test('validateSensorPayload rejects values outside the valid range', () => {
+  const cases = [
+    ['temperature', '-40', true],
+    ['temperature', '85', true],
+    ['temperature', '-40.1', false],
+    ['temperature', '85.1', false],
+    ['humidity', '101', false],
+    ['co2', '-1', false],
+    ['pm25', '1000', true]
+  ];
+
+  for (const [sensorType, payload, valid] of cases) {
+    const result = validate(sensorType, payload);
+    assert.equal(result.valid, valid, `${sensorType} ${payload}`);
+    if (!valid) {
+      assert.equal(result.reason, 'out_of_range');
+    }
+  }
+});
+
+test('validateSensorPayload checks the device timestamp', () => {
+  const cases = [
+    ['"2025-10-19T08:30:30.000Z"', '2025-10-19T08:30:30.000Z'],
+    [String(NOW.getTime() - 30000), '2025-10-19T08:29:30.000Z'],
+    ['"yesterday"', 'invalid_timestamp'],
+    ['null', 'invalid_timestamp'],
+    ['{"at": 1}', 'invalid_timestamp'],
+    ['"2025-10-19T08:32:00.000Z"', 'clock_skew'],
+    ['"2025-10-19T08:28:00.000Z"', 'clock_skew'],
+    ['0', 'clock_skew']
+  ];
+
+  for (const [timestamp, expected] of cases) {
+    const result = validate('temperature', `{"value": 22, "timestamp": ${timestamp}}`);
+    if (result.valid) {
+      assert.equal(result.deviceTimestamp, expected, timestamp);
+    } else {
+      assert.equal(result.reason, expected, timestamp);
+    }
+  }
+});
+
+test('validateSensorPayload keeps only whitelisted extra fields', () => {
+  const result = validate('temperature', '{"value": 22, "battery": 87, "rssi": -61, "firmware": "1.2.0", ' +
+    '"sensorId": "bme280", "deviceId": "spoofed", "type": "humidity", "__proto__": {"polluted": true}}');
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.fields, { battery: 87, rssi: -61, firmware: '1.2.0', sensorId: 'bme280' });
+  assert.equal({}.polluted, undefined);
+});
+
+test('validateSensorPayload keeps the extra fields a sensor type declares', () => {
+  registerSensorType({ name: 'voc', unit: 'ppb', range: { min: 0, max: 60000 }, extraFields: ['index'] });
+
+  const result = validate('voc', '{"value": 120, "index": 3, "battery": 90, "calibrated": true}');
+  assert.deepEqual(result.fields, { index: 3, battery: 90 });
+});
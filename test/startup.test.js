@@ -0,0 +1,117 @@
+/**
+ * Tests for the server startup and its REST API, run as a child process
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const entryPoint = fileURLToPath(new URL('../index.js', import.meta.url));
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auralink-startup-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Enough configuration to start without real credentials or a reachable broker
+const ENV_FILE = {
+  STORAGE: 'memory',
+  PORT: '0',
+  LLM_PROVIDER: 'none',
+  MQTT_BROKER_URL: 'mqtt://127.0.0.1:1',
+  GMAIL_CLIENT_ID: 'client-id',
+  GMAIL_CLIENT_SECRET: 'client-secret',
+  GMAIL_REDIRECT_URI: 'http://localhost/auth/google/callback'
+};
+
+/**
+ * Start the server in a directory with a .env file and wait for a log line
+ * @param {object} envFile - Variables written to the .env file
+ * @param {RegExp} readyPattern - Log line to wait for
+ * @returns {Promise<object>} `{ child, match }`, the running server and the matched log line
+ */
+function startServer(envFile, readyPattern) {
+  fs.writeFileSync(path.join(tempDir, '.env'), Object.entries(envFile).map(([key, value]) => `${key}=${value}`).join('\n'));
+
+  // dotenv never overrides the real environment, so the .env file must be the only source
+  const env = { ...process.env };
+  for (const key of ['STORAGE', 'STORAGE_BACKEND', ...Object.keys(envFile)]) {
+    delete env[key];
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [entryPoint], { cwd: tempDir, env });
+    let output = '';
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Data store did not start:\n${output}`));
+    }, 20000);
+
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(readyPattern);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, match });
+      }
+    });
+    child.on('error', reject);
+  });
+}
+
+/**
+ * Find a port that is free to listen on
+ * @returns {Promise<number>} The port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+test('index.js selects the storage backend from the .env file', async () => {
+  const { child, match } = await startServer(ENV_FILE, /Data store initialized with (\w+) backend/);
+  child.kill();
+  assert.equal(match[1], 'memory');
+});
+
+test('the readings API rejects pagination parameters that are not plain integers', async () => {
+  const port = await getFreePort();
+  const { child } = await startServer({ ...ENV_FILE, PORT: String(port) }, /Server running on port/);
+
+  try {
+    const cases = [
+      ['/api/readings?limit=10', 200],
+      ['/api/readings?limit=10&offset=20', 200],
+      ['/api/readings?limit=10abc', 400],
+      ['/api/readings?limit=1e2', 400],
+      ['/api/readings?limit=%2010', 400],
+      ['/api/readings?limit=0', 400],
+      ['/api/readings?limit=1001', 400],
+      ['/api/readings?limit=10&limit=20', 400],
+      ['/api/readings?offset=-1', 400],
+      ['/api/readings?offset=5.5', 400],
+      ['/api/readings?offset=0x10', 400],
+      ['/api/readings/aggregate?limit=10abc', 400],
+      ['/api/readings/aggregate?offset=1', 200]
+    ];
+
+    for (const [url, status] of cases) {
+      const response = await fetch(`http://127.0.0.1:${port}${url}`);
+      assert.equal(response.status, status, url);
+      if (status === 400) {
+        assert.match((await response.json()).error, /(limit|offset) must be/, url);
+      }
+    }
+  } finally {
+    child.kill();
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for fitting text to display profiles
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transliterate, wrapText, fitText } from '../utils/textFitting.js';
+
+test('transliterate maps text to the character set of the display', () => {
+  const cases = [
+    ['22°C', 'ascii', '22C'],
+    ['22°C', 'latin1', '22°C'],
+    ['Café “déjà vu” — naïve', 'ascii', 'Cafe "deja vu" - naive'],
+    ['Café “déjà vu” — naïve', 'latin1', 'Café "déjà vu" - naïve'],
+    ['Straße', 'ascii', 'Strasse'],
+    ['Straße', 'latin1', 'Straße'],
+    ['€5 … done', 'latin1', 'EUR5 ... done'],
+    ['Good morning ☀️ team', 'ascii', 'Good morning team'],
+    ['Good morning ☀️ team', 'unicode', 'Good morning ☀️ team'],
+    ['  spaced\n\tout  ', 'unicode', 'spaced out']
+  ];
+
+  for (const [text, charset, expected] of cases) {
+    assert.equal(transliterate(text, charset), expected, `${charset}: ${text}`);
+  }
+});
+
+test('transliterate rejects an unknown character set', () => {
+  assert.throws(() => transliterate('text', 'ebcdic'), /Unknown display charset/);
+});
+
+test('wrapText wraps at word boundaries and splits words longer than a line', () => {
+  const cases = [
+    ['', 10, []],
+    ['', 0, []],
+    ['hello world', 0, ['hello world']],
+    ['aaaa bbbbb', 10, ['aaaa bbbbb']],
+    ['the quick brown fox', 10, ['the quick', 'brown fox']],
+    ['abcdefghijklmnop', 5, ['abcde', 'fghij', 'klmno', 'p']],
+    ['hi abcdefghijkl', 5, ['hi', 'abcde', 'fghij', 'kl']],
+    ['abcdefghij next', 5, ['abcde', 'fghij', 'next']]
+  ];
+
+  for (const [text, columns, expected] of cases) {
+    assert.deepEqual(wrapText(text, columns), expected, `${columns}: ${text}`);
+  }
+});
+
+test('fitText truncates the overflow with an ellipsis', () => {
+  const profile = { columns: 10, rows: 2, charset: 'ascii' };
+  const cases = [
+    ['Hello', profile, 'Hello'],
+    ['the quick brown fox', profile, 'the quick\nbrown fox'],
+    ['the quick brown fox jumps over', profile, 'the quick\nbrown...'],
+    // A full last line gives up its last word for the ellipsis
+    ['aaaa bbbbb cccc dddd eeee', { ...profile, rows: 1 }, 'aaaa...'],
+    // A line without spaces is cut mid-word
+    ['abcdefghijklmnopqrstuvwxyz', { ...profile, rows: 1 }, 'abcdefg...'],
+    // Trailing punctuation is dropped before the ellipsis; unicode displays use a single character
+    ['Hello, world again', { columns: 7, rows: 1, charset: 'unicode' }, 'Hello…'],
+    ['It is 22°C and sunny', { columns: 0, rows: 0, charset: 'ascii' }, 'It is 22C and sunny']
+  ];
+
+  for (const [text, fitProfile, expected] of cases) {
+    const fitted = fitText(text, fitProfile);
+    assert.equal(fitted, expected, text);
+    for (const line of fitted.split(/[\n\f]/)) {
+      assert.ok(!fitProfile.columns || line.length <= fitProfile.columns, `${line} fits ${fitProfile.columns} columns`);
+    }
+  }
+});
+
+test('fitText splits long text into pages up to maxPages', () => {
+  const text = 'the quick brown fox jumps over';
+  const cases = [
+    [{ rows: 1, overflow: 'pages', maxPages: 3 }, 'the quick\fbrown fox\fjumps over'],
+    [{ rows: 1, overflow: 'pages', maxPages: 2 }, 'the quick\fbrown...'],
+    [{ rows: 2, overflow: 'pages', maxPages: 2 }, 'the quick\nbrown fox\fjumps over'],
+    [{ rows: 1, overflow: 'pages' }, 'the...'],
+    [{ rows: 1, overflow: 'truncate', maxPages: 3 }, 'the...']
+  ];
+
+  for (const [profile, expected] of cases) {
+    assert.equal(fitText(text, { columns: 10, charset: 'ascii', ...profile }), expected, JSON.stringify(profile));
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the encrypted token store
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import TokenStore from '../utils/tokenStore.js';
+
+logger.silent = true;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auralink-tokens-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Create a token file path in a fresh temporary directory
+ * @returns {string} The file path
+ */
+function tempTokenFile() {
+  return path.join(fs.mkdtempSync(path.join(tempDir, 'store-')), 'tokens.enc');
+}
+
+test('TokenStore encrypts tokens under the configured secret', () => {
+  const filePath = tempTokenFile();
+  const store = new TokenStore({ filePath, secret: 'correct horse battery staple' });
+  store.save('default', { refresh_token: 'refresh-123', access_token: 'access-456' });
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+  assert.ok(!contents.includes('refresh-123'));
+
+  const reopened = new TokenStore({ filePath, secret: 'correct horse battery staple' });
+  assert.equal(reopened.get('default').refresh_token, 'refresh-123');
+});
+
+test('TokenStore cannot read the file with another secret', () => {
+  const filePath = tempTokenFile();
+  new TokenStore({ filePath, secret: 'secret-a' }).save('default', { refresh_token: 'refresh-123' });
+
+  assert.equal(new TokenStore({ filePath, secret: 'secret-b' }).get('default'), null);
+});
+
+test('TokenStore keeps tokens in memory only without a secret', () => {
+  const filePath = tempTokenFile();
+  const store = new TokenStore({ filePath, secret: '' });
+  store.save('default', { refresh_token: 'refresh-123' });
+  store.saveSettings('me@example.com', 'imap', { host: 'imap.example.com', password: 'hunter2' });
+
+  assert.equal(store.get('default').refresh_token, 'refresh-123');
+  assert.equal(fs.existsSync(filePath), false);
+});
+
+test('TokenStore keeps the refresh token when a refresh omits it', () => {
+  const store = new TokenStore({ secret: 'secret' });
+  store.save('default', { refresh_token: 'refresh-123', access_token: 'old' });
+  store.save('default', { access_token: 'new', refresh_token: undefined });
+
+  assert.deepEqual(store.get('default'), { refresh_token: 'refresh-123', access_token: 'new' });
+});
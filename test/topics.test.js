@@ -0,0 +1,80 @@
+/**
+ * Tests for the MQTT topic utilities
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTopicFilter, topicMatchesFilter, parseSensorTopic } from '../utils/topics.js';
+
+test('topicMatchesFilter matches + against exactly one level', () => {
+  const cases = [
+    ['auralink/+/sensors/+', 'auralink/kitchen/sensors/temperature', true],
+    ['auralink/+/sensors/+', 'auralink/sensors/temperature', false],
+    ['auralink/+/sensors/+', 'auralink/kitchen/bedroom/sensors/temperature', false],
+    ['auralink/+/sensors/+', 'auralink/kitchen/sensors/temperature/raw', false],
+    ['auralink/+', 'auralink/', true],
+    ['+/+', '/status', true],
+    ['+', 'auralink', true],
+    ['+', 'auralink/status', false]
+  ];
+
+  for (const [filter, topic, expected] of cases) {
+    assert.equal(topicMatchesFilter(filter, topic), expected, `${filter} ${topic}`);
+  }
+});
+
+test('topicMatchesFilter matches # against the parent level and any child levels', () => {
+  const cases = [
+    ['auralink/#', 'auralink', true],
+    ['auralink/#', 'auralink/status', true],
+    ['auralink/#', 'auralink/kitchen/sensors/temperature', true],
+    ['auralink/#', 'auralinks/status', false],
+    ['auralink/+/sensors/#', 'auralink/kitchen/sensors', true],
+    ['auralink/+/sensors/#', 'auralink/kitchen/display/quote', false],
+    ['#', 'auralink/status', true],
+    ['#', '/', true]
+  ];
+
+  for (const [filter, topic, expected] of cases) {
+    assert.equal(topicMatchesFilter(filter, topic), expected, `${filter} ${topic}`);
+  }
+});
+
+test('topicMatchesFilter does not match $ topics with a leading wildcard', () => {
+  const cases = [
+    ['#', '$SYS/broker/uptime', false],
+    ['+/broker/uptime', '$SYS/broker/uptime', false],
+    ['$SYS/#', '$SYS/broker/uptime', true],
+    ['$SYS/+/uptime', '$SYS/broker/uptime', true],
+    ['$SYS/broker/uptime', '$SYS/broker/uptime', true],
+    ['auralink/#', 'auralink/$device/status', true]
+  ];
+
+  for (const [filter, topic, expected] of cases) {
+    assert.equal(topicMatchesFilter(filter, topic), expected, `${filter} ${topic}`);
+  }
+});
+
+test('isValidTopicFilter requires wildcards to fill a whole level and # to come last', () => {
+  const cases = [
+    ['auralink/+/sensors/+', true],
+    ['auralink/#', true],
+    ['#', true],
+    ['+', true],
+    ['$SYS/#', true],
+    ['auralink/#/sensors', false],
+    ['auralink/sensors#', false],
+    ['auralink/kitchen+/sensors', false],
+    ['', false],
+    [null, false]
+  ];
+
+  for (const [filter, expected] of cases) {
+    assert.equal(isValidTopicFilter(filter), expected, String(filter));
+  }
+});
+
+test('parseSensorTopic reads the device from per-device topics and defaults for legacy ones', () => {
+  assert.deepEqual(parseSensorTopic('auralink/kitchen/sensors/co2'), { deviceId: 'kitchen', sensorType: 'co2' });
+  assert.deepEqual(parseSensorTopic('auralink/sensors/co2'), { deviceId: 'default', sensorType: 'co2' });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for LLM usage accounting and the monthly budget
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import { parsePricing, getUsageDay, UsageTracker } from '../utils/usageTracker.js';
+
+logger.silent = true;
+
+const NOW = new Date();
+const MONTH = getUsageDay(NOW).slice(0, 7);
+const NEXT_MONTH = new Date(Date.UTC(NOW.getUTCFullYear(), NOW.getUTCMonth() + 1, 1, 12));
+
+/**
+ * Create a store that keeps usage rows in memory
+ * @param {Array} [rows] - Rows already recorded
+ * @returns {object} Store with recordLlmUsage and getLlmUsage; set
+ *   `failLoads` or `failRecords` to make the next calls fail
+ */
+function createStore(rows = []) {
+  return {
+    rows,
+    failLoads: 0,
+    failRecords: 0,
+    loads: 0,
+
+    async getLlmUsage({ from, to }) {
+      this.loads++;
+      if (this.failLoads > 0) {
+        this.failLoads--;
+        throw new Error('database is locked');
+      }
+      return this.rows.filter(row => row.day >= from && row.day <= to);
+    },
+
+    async recordLlmUsage(row) {
+      if (this.failRecords > 0) {
+        this.failRecords--;
+        throw new Error('disk full');
+      }
+      this.rows.push(row);
+    }
+  };
+}
+
+/**
+ * Create a usage row of the current month
+ * @param {number} cost - Cost in USD
+ * @returns {object} The row
+ */
+function usageRow(cost) {
+  return { day: `${MONTH}-01`, task: 'quote', model: 'gpt-4o', requests: 1, inputTokens: 0, outputTokens: 0, cost };
+}
+
+test('UsageTracker matches dated model versions to the longest priced base model', () => {
+  const tracker = new UsageTracker(createStore(), { pricing: ['llama3.1:0:0', 'gpt-4o:3:12'] });
+  const cases = [
+    ['gpt-4o', { input: 3, output: 12 }],
+    ['gpt-4o-2024-08-06', { input: 3, output: 12 }],
+    ['gpt-4o-mini', { input: 0.15, output: 0.6 }],
+    ['gpt-4o-mini-2024-07-18', { input: 0.15, output: 0.6 }],
+    ['claude-3-5-haiku-20241022', { input: 0.8, output: 4 }],
+    ['llama3.1', { input: 0, output: 0 }],
+    ['gpt-4oo', null],
+    ['mistral-large', null]
+  ];
+
+  for (const [model, prices] of cases) {
+    assert.deepEqual(tracker.getPrices(model), prices, model);
+  }
+
+  assert.equal(tracker.estimateCost('gpt-4o-mini', { inputTokens: 1000000, outputTokens: 500000 }), 0.45);
+  assert.equal(tracker.estimateCost('mistral-large', { inputTokens: 1000000, outputTokens: 1000000 }), 0);
+});
+
+test('parsePricing rejects malformed prices', () => {
+  for (const entry of ['gpt-4o', 'gpt-4o:1', ':1:2', 'gpt-4o:cheap:2']) {
+    assert.throws(() => parsePricing([entry]), /Invalid LLM price/, entry);
+  }
+});
+
+test('UsageTracker stops at the monthly budget including the cost recorded before a restart', async () => {
+  const store = createStore([usageRow(0.5)]);
+  const tracker = new UsageTracker(store, { monthlyBudget: 1 });
+
+  assert.equal(await tracker.isBudgetReached(NOW), false);
+
+  // 25000 output tokens of gpt-4o cost $0.25
+  assert.equal(await tracker.record('summary', 'gpt-4o', { inputTokens: 0, outputTokens: 25000 }, NOW), 0.25);
+  assert.equal(await tracker.isBudgetReached(NOW), false);
+
+  await tracker.record('summary', 'gpt-4o', { inputTokens: 0, outputTokens: 25000 }, NOW);
+  assert.equal(await tracker.isBudgetReached(NOW), true);
+
+  const report = await tracker.getReport(MONTH);
+  assert.deepEqual(report.budget, { monthly: 1, spent: 1, remaining: 0, reached: true });
+  assert.deepEqual(Object.keys(report.monthly.tasks).sort(), ['quote', 'summary']);
+});
+
+test('UsageTracker starts the budget from zero in a new month', async () => {
+  const tracker = new UsageTracker(createStore([usageRow(5)]), { monthlyBudget: 1 });
+
+  assert.equal(await tracker.isBudgetReached(NOW), true);
+  assert.equal(await tracker.isBudgetReached(NEXT_MONTH), false);
+  assert.equal(tracker.month, getUsageDay(NEXT_MONTH).slice(0, 7));
+  assert.equal(tracker.monthlyCost, 0);
+});
+
+test('UsageTracker treats the budget as reached while the monthly cost cannot be loaded', async (t) => {
+  const errors = t.mock.method(logger, 'error');
+  const store = createStore();
+  store.failLoads = 2;
+  const tracker = new UsageTracker(store, { monthlyBudget: 1 });
+
+  assert.equal(await tracker.isBudgetReached(NOW), true);
+  assert.equal(store.loads, 2);
+  assert.match(errors.mock.calls[0].arguments[0], /treating the monthly budget as reached: database is locked/);
+
+  // The next check loads the cost again
+  assert.equal(await tracker.isBudgetReached(NOW), false);
+  assert.equal(store.loads, 3);
+});
+
+test('UsageTracker does not block requests on an unknown cost without a budget', async () => {
+  const store = createStore();
+  store.failLoads = 1;
+  const tracker = new UsageTracker(store);
+
+  assert.equal(await tracker.isBudgetReached(NOW), false);
+});
+
+test('UsageTracker logs usage it could not save and still counts it', async (t) => {
+  const warnings = t.mock.method(logger, 'warn');
+  const store = createStore();
+  store.failRecords = 1;
+  const tracker = new UsageTracker(store, { monthlyBudget: 0.1 });
+
+  assert.equal(await tracker.record('quote', 'gpt-4o', { inputTokens: 0, outputTokens: 10000 }, NOW), 0.1);
+  assert.deepEqual(store.rows, []);
+  assert.ok(warnings.mock.calls.some(call => /not saved.*disk full/.test(call.arguments[0])));
+  assert.equal(await tracker.isBudgetReached(NOW), true);
+});
@@ -0,0 +1,75 @@
+/**
+ * Calendar Events
+ *
+ * Turns upcoming calendar events into display output:
+ * - Picks the next timed event (all-day events have no meaningful countdown)
+ * - Formats a countdown line for the display
+ * - Detects meetings that are about to start
+ */
+
+// Milliseconds per minute
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Find the event that is running now or starts next
+ * @param {Array} events - Events with ISO `start` and `end`, sorted by start
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {object|null} The next timed event, or null if there is none
+ */
+function getNextEvent(events, now = Date.now()) {
+  return events.find(event => !event.allDay && new Date(event.end).getTime() > now) || null;
+}
+
+/**
+ * Format a duration as minutes, or hours and minutes
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '12 min' or '1h 05m'
+ * @private
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / MINUTE_MS));
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Format the countdown line for the display
+ * @param {object|null} event - The next event (see getNextEvent)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} e.g. 'Standup in 12 min' or 'Now: Standup (ends in 5 min)'
+ */
+function formatCountdown(event, now = Date.now()) {
+  if (!event) {
+    return 'No upcoming events';
+  }
+
+  const start = new Date(event.start).getTime();
+  if (start <= now) {
+    return `Now: ${event.summary} (ends in ${formatDuration(new Date(event.end).getTime() - now)})`;
+  }
+
+  return `${event.summary} in ${formatDuration(start - now)}`;
+}
+
+/**
+ * Find the first meeting that starts within the imminent window
+ * @param {Array} events - Events with ISO `start` and `end`, sorted by start
+ * @param {number} windowMs - How far ahead a meeting counts as imminent
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {object|null} The imminent event, or null if there is none
+ */
+function findImminentEvent(events, windowMs, now = Date.now()) {
+  return events.find(event => {
+    const start = new Date(event.start).getTime();
+    return !event.allDay && start > now && start - now <= windowMs;
+  }) || null;
+}
+
+export {
+  getNextEvent,
+  formatCountdown,
+  findImminentEvent
+};
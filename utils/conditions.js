@@ -0,0 +1,46 @@
+/**
+ * Room Conditions
+ *
+ * Classifies sensor readings into coarse room conditions:
+ * - Temperature/humidity condition used in quote prompts (hot, cold, ideal, humid, dry)
+ * - Condition buckets used to detect meaningful changes between readings
+ */
+
+import { getSensorTypes, getComfortLevel } from './sensorRegistry.js';
+
+/**
+ * Describe the temperature/humidity condition of a room
+ * @param {object} sensorData - Object containing temperature and humidity
+ * @returns {string} Condition such as 'ideal', 'hot and humid' or 'neutral and dry'
+ */
+function getCondition({ temperature, humidity }) {
+  let condition = 'neutral';
+
+  if (temperature > 28) condition = 'hot';
+  else if (temperature < 16) condition = 'cold';
+  else if (temperature >= 22 && temperature <= 25 && humidity >= 40 && humidity <= 60) condition = 'ideal';
+
+  if (humidity > 65) condition += ' and humid';
+  else if (humidity < 30) condition += ' and dry';
+
+  return condition;
+}
+
+/**
+ * Build a key that only changes when the room condition or the comfort
+ * level of any sensor changes
+ * @param {object} sensorData - Object mapping sensor type names to readings
+ * @returns {string} Condition bucket key
+ */
+function getConditionBucket(sensorData) {
+  const comfortLevels = getSensorTypes()
+    .filter(sensorType => typeof sensorData[sensorType.name] === 'number')
+    .map(sensorType => `${sensorType.name}:${getComfortLevel(sensorType.name, sensorData[sensorType.name])}`);
+
+  return [getCondition(sensorData), ...comfortLevels].join('|');
+}
+
+export {
+  getCondition,
+  getConditionBucket
+};
@@ -26,6 +26,53 @@ function validateRequiredEnvVars(requiredVars) {
   }
 }
 
+/**
+ * Parse a comma separated list from an environment variable
+ * @param {string} value - The raw variable value
+ * @returns {Array<string>} The trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Output types published by the backend, each with its own QoS and retain setting
+const MQTT_PUBLISH_TYPES = ['quote', 'email', 'priority', 'auth', 'calendar', 'state', 'errors'];
+
+/**
+ * Parse an MQTT QoS level
+ * @param {string} value - The raw variable value
+ * @param {string} name - Variable name, for the error message
+ * @returns {number} 0, 1 or 2
+ * @throws {Error} If the value is not a QoS level
+ */
+function parseQos(value, name) {
+  const qos = parseInt(value, 10);
+  if (![0, 1, 2].includes(qos)) {
+    throw new Error(`${name} must be 0, 1 or 2`);
+  }
+  
+  return qos;
+}
+
+/**
+ * Load the QoS and retain setting of an output type
+ * 
+ * Display outputs default to MQTT_PUBLISH_QOS and MQTT_PUBLISH_RETAIN; error
+ * reports are fire-and-forget and never retained unless configured.
+ * 
+ * @param {string} type - Output type, e.g. 'quote'
+ * @returns {object} `{ qos, retain }`
+ */
+function loadPublishOptions(type) {
+  const name = type.toUpperCase();
+  const isDisplay = type !== 'errors';
+  
+  return {
+    qos: parseQos(process.env[`MQTT_${name}_QOS`] || (isDisplay ? process.env.MQTT_PUBLISH_QOS || '1' : '0'), `MQTT_${name}_QOS`),
+    retain: (process.env[`MQTT_${name}_RETAIN`] || (isDisplay ? process.env.MQTT_PUBLISH_RETAIN || 'true' : 'false')) === 'true'
+  };
+}
+
 /**
  * Load MQTT configuration from environment
  * @returns {object} MQTT configuration object
@@ -33,30 +80,111 @@ function validateRequiredEnvVars(requiredVars) {
 function loadMqttConfig() {
   validateRequiredEnvVars(['MQTT_BROKER_URL']);
   
+  const cleanSession = process.env.MQTT_CLEAN_SESSION !== 'false';
+  if (!cleanSession && !process.env.MQTT_CLIENT_ID) {
+    logger.warn('MQTT_CLEAN_SESSION=false needs a fixed MQTT_CLIENT_ID - the session is lost on every restart');
+  }
+  
   return {
     brokerUrl: process.env.MQTT_BROKER_URL,
     clientId: process.env.MQTT_CLIENT_ID || `auralink-backend-${Math.random().toString(16).slice(2, 8)}`,
     username: process.env.MQTT_USERNAME || '',
     password: process.env.MQTT_PASSWORD || '',
+    cleanSession,
+    subscribeQos: parseQos(process.env.MQTT_SUBSCRIBE_QOS || '1', 'MQTT_SUBSCRIBE_QOS'),
+    publish: Object.fromEntries(MQTT_PUBLISH_TYPES.map(type => [type, loadPublishOptions(type)])),
+    queue: {
+      maxSize: parseInt(process.env.MQTT_QUEUE_MAX_SIZE || '100', 10),
+      filePath: process.env.MQTT_QUEUE_FILE || ''
+    },
+    reconnectMinMs: parseInt(process.env.MQTT_RECONNECT_MIN_MS || '1000', 10),
+    reconnectMaxMs: parseInt(process.env.MQTT_RECONNECT_MAX_MS || '60000', 10),
     topics: {
       temperature: process.env.MQTT_TOPIC_TEMPERATURE || 'auralink/sensors/temperature',
       humidity: process.env.MQTT_TOPIC_HUMIDITY || 'auralink/sensors/humidity',
+      sensors: process.env.MQTT_TOPIC_SENSORS || 'auralink/+/sensors/+',
+      display: process.env.MQTT_TOPIC_DISPLAY || 'auralink/{deviceId}/display/{type}',
       quote: process.env.MQTT_TOPIC_QUOTE || 'auralink/display/quote',
       email: process.env.MQTT_TOPIC_EMAIL || 'auralink/display/email',
-      priority: process.env.MQTT_TOPIC_PRIORITY || 'auralink/display/priority'
+      priority: process.env.MQTT_TOPIC_PRIORITY || 'auralink/display/priority',
+      auth: process.env.MQTT_TOPIC_AUTH || 'auralink/display/auth',
+      calendar: process.env.MQTT_TOPIC_CALENDAR || 'auralink/display/calendar',
+      state: process.env.MQTT_TOPIC_STATE || 'auralink/display/state',
+      errors: process.env.MQTT_TOPIC_ERRORS || 'auralink/errors',
+      status: process.env.MQTT_TOPIC_STATUS || 'auralink/backend/status'
     }
   };
 }
 
+// LLM providers selectable with LLM_PROVIDER
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'anthropic', 'none'];
+
+/**
+ * Load the model settings of one LLM task from environment
+ * @param {string} name - Task name used in the variable names, e.g. 'QUOTE'
+ * @param {string} temperature - Default temperature
+ * @param {string} maxTokens - Default maximum number of generated tokens
+ * @returns {object} Task settings `{ model, temperature, maxTokens }`
+ */
+function loadLlmTaskConfig(name, temperature, maxTokens) {
+  return {
+    model: process.env[`LLM_${name}_MODEL`] || process.env.LLM_MODEL || '',
+    temperature: parseFloat(process.env[`LLM_${name}_TEMPERATURE`] || temperature),
+    maxTokens: parseInt(process.env[`LLM_${name}_MAX_TOKENS`] || maxTokens, 10)
+  };
+}
+
 /**
- * Load OpenAI configuration from environment
- * @returns {object} OpenAI configuration object
+ * Load LLM provider configuration from environment
+ * @returns {object} LLM configuration object
  */
-function loadOpenAiConfig() {
-  validateRequiredEnvVars(['OPENAI_API_KEY']);
+function loadLlmConfig() {
+  const provider = process.env.LLM_PROVIDER || 'openai';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM_PROVIDER ${provider} - expected one of ${LLM_PROVIDERS.join(', ')}`);
+  }
+  
+  // Only the hosted APIs need a key; local OpenAI-compatible servers do not
+  if (provider === 'openai' && !process.env.LLM_API_KEY) {
+    validateRequiredEnvVars(['OPENAI_API_KEY']);
+  }
+  
+  if (provider === 'anthropic' && !process.env.LLM_API_KEY) {
+    validateRequiredEnvVars(['ANTHROPIC_API_KEY']);
+  }
+  
+  if (provider === 'openai-compatible') {
+    validateRequiredEnvVars(['LLM_BASE_URL']);
+  }
+  
+  const providerKey = provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY;
   
   return {
-    apiKey: process.env.OPENAI_API_KEY
+    provider,
+    apiKey: process.env.LLM_API_KEY || providerKey || '',
+    baseUrl: process.env.LLM_BASE_URL || '',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10),
+    cache: {
+      enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+      filePath: process.env.LLM_CACHE_FILE || './data/llmCache.json',
+      ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS || '21600000', 10),
+      variety: parseFloat(process.env.LLM_CACHE_VARIETY || '0.2'),
+      maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '500', 10),
+      rounding: {
+        temperature: parseFloat(process.env.LLM_CACHE_TEMPERATURE_STEP || '1'),
+        humidity: parseFloat(process.env.LLM_CACHE_HUMIDITY_STEP || '5')
+      }
+    },
+    usage: {
+      enabled: process.env.LLM_USAGE_TRACKING !== 'false',
+      pricing: parseList(process.env.LLM_PRICING),
+      monthlyBudget: parseFloat(process.env.LLM_MONTHLY_BUDGET || '0')
+    },
+    tasks: {
+      quote: loadLlmTaskConfig('QUOTE', '0.7', '60'),
+      summary: loadLlmTaskConfig('SUMMARY', '0.3', '60'),
+      priority: loadLlmTaskConfig('PRIORITY', '0.1', '10')
+    }
   };
 }
 
@@ -75,7 +203,22 @@ function loadGmailConfig() {
     clientId: process.env.GMAIL_CLIENT_ID,
     clientSecret: process.env.GMAIL_CLIENT_SECRET,
     redirectUri: process.env.GMAIL_REDIRECT_URI,
-    refreshToken: process.env.GMAIL_REFRESH_TOKEN || ''
+    refreshToken: process.env.GMAIL_REFRESH_TOKEN || '',
+    pollIntervalMs: parseInt(process.env.GMAIL_POLL_INTERVAL_MS || '120000', 10),
+    maxResults: parseInt(process.env.GMAIL_MAX_RESULTS || '5', 10),
+    filters: {
+      query: process.env.GMAIL_QUERY || 'is:unread',
+      includeLabels: parseList(process.env.GMAIL_INCLUDE_LABELS),
+      excludeLabels: parseList(process.env.GMAIL_EXCLUDE_LABELS),
+      vipSenders: parseList(process.env.GMAIL_VIP_SENDERS),
+      scanLimit: parseInt(process.env.GMAIL_SCAN_LIMIT || '25', 10)
+    },
+    push: {
+      enabled: process.env.GMAIL_PUSH_ENABLED === 'true',
+      topicName: process.env.GMAIL_PUSH_TOPIC || '',
+      verificationToken: process.env.GMAIL_PUSH_TOKEN || '',
+      renewIntervalMs: parseInt(process.env.GMAIL_PUSH_RENEW_INTERVAL_MS || '86400000', 10)
+    }
   };
 }
 
@@ -86,7 +229,140 @@ function loadGmailConfig() {
 function loadServerConfig() {
   return {
     port: parseInt(process.env.PORT || '3000', 10),
-    dataFilePath: process.env.DATA_FILE_PATH || './data/sensorData.json'
+    dataFilePath: process.env.DATA_FILE_PATH || './data/sensorData.json',
+    sessionSecret: process.env.SESSION_SECRET || '',
+    adminToken: process.env.ADMIN_TOKEN || ''
+  };
+}
+
+/**
+ * Load storage configuration from environment
+ * @returns {object} Storage configuration object
+ */
+function loadStorageConfig() {
+  // Vercel's filesystem is read-only or ephemeral, so keep data in memory there
+  const defaultBackend = process.env.VERCEL === '1' ? 'memory' : 'sqlite';
+  
+  return {
+    backend: process.env.STORAGE_BACKEND || process.env.STORAGE || defaultBackend,
+    dataFilePath: process.env.DATA_FILE_PATH || '',
+    sqliteFilePath: process.env.SQLITE_FILE_PATH || '',
+    maxReadings: parseInt(process.env.STORAGE_MAX_READINGS || '1000', 10),
+    retentionDays: parseInt(process.env.STORAGE_RETENTION_DAYS || '7', 10),
+    rollupRetentionDays: parseInt(process.env.STORAGE_ROLLUP_RETENTION_DAYS || '365', 10),
+    batchSize: parseInt(process.env.STORAGE_BATCH_SIZE || '20', 10),
+    flushIntervalMs: parseInt(process.env.STORAGE_FLUSH_INTERVAL_MS || '5000', 10),
+    maxPending: parseInt(process.env.STORAGE_MAX_PENDING || '1000', 10),
+    maintenanceIntervalMs: parseInt(process.env.STORAGE_MAINTENANCE_INTERVAL_MS || '3600000', 10)
+  };
+}
+
+/**
+ * Load sensor configuration from environment
+ * @returns {object} Sensor configuration object
+ */
+function loadSensorConfig() {
+  return {
+    registryFile: process.env.SENSOR_REGISTRY_FILE || '',
+    maxClockSkewMs: parseInt(process.env.SENSOR_MAX_CLOCK_SKEW_MS || '300000', 10)
+  };
+}
+
+/**
+ * Load the IMAP account configured through the environment
+ * @returns {object} IMAP configuration object
+ */
+function loadImapConfig() {
+  const tls = process.env.IMAP_TLS !== 'false';
+  
+  return {
+    host: process.env.IMAP_HOST || '',
+    port: parseInt(process.env.IMAP_PORT || (tls ? '993' : '143'), 10),
+    tls,
+    rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    user: process.env.IMAP_USER || '',
+    password: process.env.IMAP_PASSWORD || '',
+    folder: process.env.IMAP_FOLDER || 'INBOX',
+    deviceId: process.env.IMAP_DEVICE_ID || 'default'
+  };
+}
+
+/**
+ * Load offline quote library configuration from environment
+ * @returns {object} Quote library configuration object
+ */
+function loadQuoteConfig() {
+  return {
+    files: parseList(process.env.QUOTE_LIBRARY_FILES || './config/quotes.json'),
+    hemisphere: process.env.QUOTE_HEMISPHERE || 'northern'
+  };
+}
+
+/**
+ * Load display configuration from environment
+ * @returns {object} Display configuration object
+ */
+function loadDisplayConfig() {
+  return {
+    profilesFile: process.env.DISPLAY_PROFILES_FILE || './config/displayProfiles.json'
+  };
+}
+
+/**
+ * Load calendar configuration from environment
+ * @returns {object} Calendar configuration object
+ */
+function loadCalendarConfig() {
+  return {
+    google: process.env.CALENDAR_GOOGLE_ENABLED === 'true',
+    calendarId: process.env.CALENDAR_GOOGLE_ID || 'primary',
+    icsUrl: process.env.CALENDAR_ICS_URL || '',
+    icsDeviceId: process.env.CALENDAR_ICS_DEVICE_ID || 'default',
+    pollIntervalMs: parseInt(process.env.CALENDAR_POLL_INTERVAL_MS || '300000', 10),
+    lookaheadMs: parseInt(process.env.CALENDAR_LOOKAHEAD_MS || '86400000', 10),
+    imminentMs: parseInt(process.env.CALENDAR_IMMINENT_MS || '900000', 10),
+    maxEvents: parseInt(process.env.CALENDAR_MAX_EVENTS || '10', 10)
+  };
+}
+
+/**
+ * Load OAuth token store configuration from environment
+ * @returns {object} Token store configuration object
+ */
+function loadTokenConfig() {
+  return {
+    filePath: process.env.TOKEN_STORE_FILE || './data/tokens.enc',
+    secret: process.env.TOKEN_STORE_SECRET || '',
+    refreshCheckIntervalMs: parseInt(process.env.TOKEN_REFRESH_CHECK_INTERVAL_MS || '60000', 10),
+    refreshMarginMs: parseInt(process.env.TOKEN_REFRESH_MARGIN_MS || '300000', 10)
+  };
+}
+
+/**
+ * Load priority configuration from environment
+ * @returns {object} Priority configuration object
+ */
+function loadPriorityConfig() {
+  return {
+    rulesFile: process.env.PRIORITY_RULES_FILE || './config/priorityRules.json',
+    useLlm: process.env.PRIORITY_USE_LLM !== 'false',
+    vipEmailPriority: process.env.PRIORITY_VIP_EMAIL || 'warning',
+    imminentEventPriority: process.env.PRIORITY_IMMINENT_EVENT || 'warning'
+  };
+}
+
+/**
+ * Load pipeline scheduling configuration from environment
+ * @returns {object} Scheduler configuration object
+ */
+function loadSchedulerConfig() {
+  return {
+    minIntervalMs: parseInt(process.env.PIPELINE_MIN_INTERVAL_MS || '60000', 10),
+    maxIntervalMs: parseInt(process.env.PIPELINE_MAX_INTERVAL_MS || '1800000', 10),
+    deltas: {
+      temperature: parseFloat(process.env.PIPELINE_TEMPERATURE_DELTA || '0.5'),
+      humidity: parseFloat(process.env.PIPELINE_HUMIDITY_DELTA || '3')
+    }
   };
 }
 
@@ -98,9 +374,18 @@ function loadConfig() {
   try {
     const config = {
       mqtt: loadMqttConfig(),
-      openai: loadOpenAiConfig(),
+      llm: loadLlmConfig(),
+      quotes: loadQuoteConfig(),
+      display: loadDisplayConfig(),
       gmail: loadGmailConfig(),
+      imap: loadImapConfig(),
+      calendar: loadCalendarConfig(),
+      tokens: loadTokenConfig(),
       server: loadServerConfig(),
+      storage: loadStorageConfig(),
+      sensors: loadSensorConfig(),
+      priority: loadPriorityConfig(),
+      scheduler: loadSchedulerConfig(),
       environment: process.env.NODE_ENV || 'development'
     };
     
@@ -114,5 +399,7 @@ function loadConfig() {
 
 export {
   loadConfig,
+  loadStorageConfig,
+  parseList,
   validateRequiredEnvVars
 };
\ No newline at end of file
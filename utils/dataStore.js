@@ -1,115 +1,276 @@
 /**
  * Data Storage Utility
- * 
+ *
  * Handles persistent storage of sensor data to:
- * - Store readings in JSON format
+ * - Store readings through a configurable storage backend (SQLite, LowDB or memory)
+ * - Batch writes and apply retention in the background
  * - Provide data access methods
+ * - Keep LLM usage totals per day, task and model
  */
 
-import path from 'path';
 import fs from 'fs';
+import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
 import logger from './logger.js';
+import { loadStorageConfig } from './configLoader.js';
+import LowdbStorage from './storage/lowdbStorage.js';
+import SqliteStorage from './storage/sqliteStorage.js';
+import MemoryAdapter from './memoryAdapter.js';
+import { AGGREGATION_INTERVALS } from './storage/readingQueries.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Flushes in a row that may fail to write anything before the buffered readings are dropped
+const MAX_FLUSH_ATTEMPTS = 3;
+
 class DataStore {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.db = null;
-    this._initialize();
+  /**
+   * @param {object} options - Storage configuration (see loadStorageConfig)
+   */
+  constructor(options) {
+    this.options = { maxPending: 1000, ...options };
+    this.storage = null;
+    this.backend = null;
+    this.pending = [];
+    this.failedFlushes = 0;
+    this.flushTimer = null;
+    this.maintenanceTimer = null;
+
+    // Initialization errors are logged here and surface again on first use
+    this.ready = this._initialize();
+    this.ready.catch(() => {});
   }
 
   /**
-   * Initialize the database
+   * Create the storage backend for a backend name
+   * @param {string} backend - 'sqlite', 'lowdb' or 'memory'
+   * @returns {object} The storage backend instance
+   * @private
+   */
+  _createStorage(backend) {
+    if (backend === 'sqlite') {
+      return new SqliteStorage({
+        filePath: this.options.sqliteFilePath,
+        retentionDays: this.options.retentionDays,
+        rollupRetentionDays: this.options.rollupRetentionDays
+      });
+    }
+
+    if (backend === 'lowdb') {
+      return new LowdbStorage({
+        filePath: this.options.dataFilePath,
+        maxReadings: this.options.maxReadings,
+        retentionDays: this.options.retentionDays
+      });
+    }
+
+    if (backend === 'memory') {
+      return new LowdbStorage({
+        adapter: new MemoryAdapter(null, { maxItems: this.options.maxReadings }),
+        maxReadings: this.options.maxReadings,
+        retentionDays: this.options.retentionDays
+      });
+    }
+
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  /**
+   * Initialize the storage backend, falling back to LowDB if SQLite is unavailable
    * @private
    */
   async _initialize() {
     try {
-      // Ensure directory exists
-      const dir = path.dirname(this.filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+      let backend = this.options.backend;
+      this.storage = this._createStorage(backend);
+
+      // A new SQLite database takes over the readings of the LowDB file once
+      const isNewDatabase = backend === 'sqlite' && !fs.existsSync(this.options.sqliteFilePath);
+
+      try {
+        await this.storage.initialize();
+      } catch (error) {
+        if (backend !== 'sqlite') {
+          throw error;
+        }
+
+        logger.warn(`SQLite storage unavailable (${error.message}) - falling back to LowDB`);
+        backend = 'lowdb';
+        this.storage = this._createStorage(backend);
+        await this.storage.initialize();
       }
-      
-      // Create default data
-      const defaultData = {
-        readings: [],
-        lastUpdated: new Date().toISOString()
-      };
-      
-      // Create file if it doesn't exist
-      if (!fs.existsSync(this.filePath)) {
-        fs.writeFileSync(this.filePath, JSON.stringify(defaultData));
+
+      this.backend = backend;
+      if (backend === 'sqlite' && isNewDatabase) {
+        await this._importLowdbFile();
       }
+      await this.storage.applyRetention();
 
-      // Initialize LowDB with default data
-      const adapter = new JSONFile(this.filePath);
-      this.db = new Low(adapter, defaultData);
-      
-      // Read initial data
-      await this.db.read();
-      
-      logger.info(`Data store initialized with file: ${this.filePath}`);
+      // Periodically downsample and expire old data
+      this.maintenanceTimer = setInterval(() => {
+        this.applyRetention().catch(() => {});
+      }, this.options.maintenanceIntervalMs);
+      this.maintenanceTimer.unref();
+
+      logger.info(`Data store initialized with ${backend} backend`);
     } catch (error) {
       logger.error('Failed to initialize data store:', error);
       throw error;
     }
   }
 
+  /**
+   * Copy the readings of the LowDB JSON file into the storage backend; the
+   * file itself is left in place
+   * @private
+   */
+  async _importLowdbFile() {
+    const filePath = this.options.dataFilePath;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return;
+    }
+
+    try {
+      const { readings = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const valid = readings.filter(reading => reading && reading.type && !Number.isNaN(Date.parse(reading.timestamp)));
+      await this.storage.insertReadings(valid);
+
+      const skipped = readings.length - valid.length;
+      logger.info(`Imported ${valid.length} reading(s) from ${filePath}${skipped > 0 ? ` (skipped ${skipped} without type or timestamp)` : ''}`);
+    } catch (error) {
+      logger.error(`Failed to import readings from ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for initialization and write out pending readings before a read
+   * @private
+   */
+  async _prepareRead() {
+    await this.ready;
+    await this.flush();
+  }
+
   /**
    * Store a new sensor reading
+   *
+   * Readings are buffered and written in batches once the batch size is
+   * reached or the flush interval has passed.
+   *
    * @param {object} reading - The sensor reading to store
    * @returns {Promise<void>}
    */
   async storeSensorReading(reading) {
     try {
-      if (!this.db) {
-        await this._initialize();
-      }
-      
+      await this.ready;
+
       // Add timestamp if not present
       if (!reading.timestamp) {
         reading.timestamp = new Date().toISOString();
       }
-      
-      // Add reading to database
-      this.db.data.readings.push(reading);
-      this.db.data.lastUpdated = new Date().toISOString();
-      
-      // Limit the array size to avoid excessive growth
-      if (this.db.data.readings.length > 1000) {
-        this.db.data.readings = this.db.data.readings.slice(-1000);
+
+      this.pending.push(reading);
+      logger.debug('Queued new sensor reading:', reading);
+
+      // While the backend keeps failing, the oldest readings make room for new ones
+      while (this.pending.length > this.options.maxPending) {
+        this._dropReading(this.pending.shift(), 'write buffer full');
+      }
+
+      if (this.pending.length >= this.options.batchSize) {
+        await this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => {
+          this.flushTimer = null;
+          this.flush().catch(() => {});
+        }, this.options.flushIntervalMs);
+        this.flushTimer.unref();
       }
-      
-      // Write to file
-      await this.db.write();
-      
-      logger.debug('Stored new sensor reading:', reading);
     } catch (error) {
       logger.error('Failed to store sensor reading:', error);
       throw error;
     }
   }
 
+  /**
+   * Write all buffered readings to the storage backend
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+
+    try {
+      await this.storage.insertReadings(batch);
+      this.failedFlushes = 0;
+      logger.debug(`Stored ${batch.length} sensor reading(s)`);
+      return;
+    } catch (error) {
+      logger.error(`Failed to write ${batch.length} sensor reading(s): ${error.message}`);
+    }
+
+    // Write one reading at a time so a single bad reading cannot block the others
+    const failed = [];
+    let lastError = null;
+    for (const reading of batch) {
+      try {
+        await this.storage.insertReadings([reading]);
+      } catch (error) {
+        failed.push(reading);
+        lastError = error;
+      }
+    }
+
+    if (failed.length < batch.length) {
+      // The backend works, so the remaining readings themselves cannot be stored
+      this.failedFlushes = 0;
+      failed.forEach(reading => this._dropReading(reading, lastError.message));
+      return;
+    }
+
+    this.failedFlushes += 1;
+    if (this.failedFlushes >= MAX_FLUSH_ATTEMPTS) {
+      this.failedFlushes = 0;
+      failed.forEach(reading => this._dropReading(reading, `${MAX_FLUSH_ATTEMPTS} failed writes: ${lastError.message}`));
+    } else {
+      // Keep the batch so the next flush retries it
+      this.pending = failed.concat(this.pending);
+    }
+    throw lastError;
+  }
+
+  /**
+   * Log a reading that is discarded without being stored
+   * @param {object} reading - The reading
+   * @param {string} reason - Why it is discarded
+   * @private
+   */
+  _dropReading(reading, reason) {
+    logger.warn(`Dropped sensor reading (${reason}): ${JSON.stringify(reading)}`);
+  }
+
   /**
    * Get the latest sensor readings
    * @param {number} count - Number of readings to return
+   * @param {string} [deviceId] - Only return readings from this device
    * @returns {Promise<Array>} Array of recent readings
    */
-  async getLatestReadings(count = 1) {
+  async getLatestReadings(count = 1, deviceId) {
     try {
-      if (!this.db) {
-        await this._initialize();
-      }
-      
-      const readings = this.db.data.readings;
-      return readings.slice(-count);
+      await this._prepareRead();
+      return await this.storage.getLatestReadings(count, deviceId);
     } catch (error) {
       logger.error('Failed to get latest readings:', error);
       throw error;
@@ -119,24 +280,13 @@ class DataStore {
   /**
    * Get the latest reading for a specific sensor type
    * @param {string} sensorType - The type of sensor (e.g., 'temperature', 'humidity')
+   * @param {string} [deviceId] - Only consider readings from this device
    * @returns {Promise<object>} The latest reading or null if none found
    */
-  async getLatestReadingByType(sensorType) {
+  async getLatestReadingByType(sensorType, deviceId) {
     try {
-      if (!this.db) {
-        await this._initialize();
-      }
-      
-      const readings = this.db.data.readings;
-      
-      // Find the latest reading of the specified type
-      for (let i = readings.length - 1; i >= 0; i--) {
-        if (readings[i].type === sensorType) {
-          return readings[i];
-        }
-      }
-      
-      return null;
+      await this._prepareRead();
+      return await this.storage.getLatestReadingByType(sensorType, deviceId);
     } catch (error) {
       logger.error(`Failed to get latest ${sensorType} reading:`, error);
       throw error;
@@ -147,28 +297,157 @@ class DataStore {
    * Get readings within a specific time range
    * @param {Date} startTime - Start of time range
    * @param {Date} endTime - End of time range
+   * @param {string} [deviceId] - Only return readings from this device
    * @returns {Promise<Array>} Array of readings within the range
    */
-  async getReadingsInTimeRange(startTime, endTime) {
+  async getReadingsInTimeRange(startTime, endTime, deviceId) {
     try {
-      if (!this.db) {
-        await this._initialize();
-      }
-      
-      const startISO = new Date(startTime).toISOString();
-      const endISO = new Date(endTime).toISOString();
-      
-      return this.db.data.readings.filter(reading => {
-        return reading.timestamp >= startISO && reading.timestamp <= endISO;
-      });
+      await this._prepareRead();
+      const { readings } = await this.storage.queryReadings({ from: startTime, to: endTime, deviceId });
+      return readings;
     } catch (error) {
       logger.error('Failed to get readings in time range:', error);
       throw error;
     }
   }
+
+  /**
+   * Query readings with optional filters and pagination
+   * @param {object} query - Query options
+   * @param {string} [query.type] - Only return readings of this sensor type
+   * @param {string} [query.deviceId] - Only return readings from this device
+   * @param {Date|string} [query.from] - Start of time range (inclusive)
+   * @param {Date|string} [query.to] - End of time range (inclusive)
+   * @param {number} [query.limit] - Maximum number of readings to return
+   * @param {number} [query.offset] - Number of matching readings to skip
+   * @returns {Promise<object>} Object with total match count and the page of readings, oldest first
+   */
+  async queryReadings({ type, deviceId, from, to, limit = 100, offset = 0 } = {}) {
+    try {
+      await this._prepareRead();
+      return await this.storage.queryReadings({ type, deviceId, from, to, limit, offset });
+    } catch (error) {
+      logger.error('Failed to query readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate readings into time buckets with min/max/avg per device and sensor type
+   * @param {object} query - Query options
+   * @param {string} query.interval - Bucket size, one of the AGGREGATION_INTERVALS keys
+   * @param {string} [query.type] - Only aggregate readings of this sensor type
+   * @param {string} [query.deviceId] - Only aggregate readings from this device
+   * @param {Date|string} [query.from] - Start of time range (inclusive)
+   * @param {Date|string} [query.to] - End of time range (inclusive)
+   * @returns {Promise<Array>} Buckets ordered by start time, then device and sensor type
+   */
+  async aggregateReadings({ interval, type, deviceId, from, to } = {}) {
+    try {
+      const bucketSize = AGGREGATION_INTERVALS[interval];
+      if (!bucketSize) {
+        throw new Error(`Unsupported aggregation interval: ${interval}`);
+      }
+
+      await this._prepareRead();
+      return await this.storage.aggregateReadings({ bucketSize, type, deviceId, from, to });
+    } catch (error) {
+      logger.error('Failed to aggregate readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of all devices that have stored readings
+   * @returns {Promise<Array<string>>} Array of device IDs
+   */
+  async getDeviceIds() {
+    try {
+      await this._prepareRead();
+      return await this.storage.getDeviceIds();
+    } catch (error) {
+      logger.error('Failed to get device IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add LLM usage to the totals of its day, task and model
+   * @param {object} usage - Usage to add
+   * @param {string} usage.day - UTC day (YYYY-MM-DD)
+   * @param {string} usage.task - LLM task, e.g. 'quote'
+   * @param {string} usage.model - Model name
+   * @param {number} usage.requests - Number of requests
+   * @param {number} usage.inputTokens - Prompt tokens
+   * @param {number} usage.outputTokens - Generated tokens
+   * @param {number} usage.cost - Estimated cost
+   * @returns {Promise<void>}
+   */
+  async recordLlmUsage(usage) {
+    try {
+      await this.ready;
+      await this.storage.recordLlmUsage(usage);
+    } catch (error) {
+      logger.error(`Failed to record LLM usage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the LLM usage totals of a range of days
+   * @param {object} [query] - Query options
+   * @param {string} [query.from] - First day (YYYY-MM-DD, inclusive)
+   * @param {string} [query.to] - Last day (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} Totals per day, task and model, ordered by day
+   */
+  async getLlmUsage({ from, to } = {}) {
+    try {
+      await this.ready;
+      return await this.storage.getLlmUsage({ from, to });
+    } catch (error) {
+      logger.error(`Failed to get LLM usage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the retention policy of the storage backend
+   * @returns {Promise<void>}
+   */
+  async applyRetention() {
+    try {
+      await this._prepareRead();
+      await this.storage.applyRetention();
+    } catch (error) {
+      logger.error('Failed to apply storage retention:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flush pending readings and close the storage backend
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.maintenanceTimer);
+
+    try {
+      await this._prepareRead();
+      await this.storage.close();
+      logger.info('Data store closed');
+    } catch (error) {
+      logger.error('Failed to close data store:', error);
+    }
+  }
 }
 
 // Create singleton instance
-const dataStore = new DataStore(process.env.DATA_FILE_PATH || path.join(__dirname, '../data/sensorData.json'));
+const storageConfig = loadStorageConfig();
+const dataStore = new DataStore({
+  ...storageConfig,
+  dataFilePath: storageConfig.dataFilePath || path.join(__dirname, '../data/sensorData.json'),
+  sqliteFilePath: storageConfig.sqliteFilePath || path.join(__dirname, '../data/sensorData.db')
+});
 
-export default dataStore;
\ No newline at end of file
+export { AGGREGATION_INTERVALS, DataStore };
+export default dataStore;
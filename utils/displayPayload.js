@@ -0,0 +1,49 @@
+/**
+ * Display Payload
+ *
+ * Combined JSON output of one processing cycle for displays that render
+ * structured data:
+ * - Carries a version so firmware can detect format changes
+ * - Holds the quote, email summary, priority and the sensor readings they were based on
+ * - Published retained next to the plain string topics
+ */
+
+// Bumped whenever fields are renamed or removed; added fields keep the version
+const DISPLAY_PAYLOAD_VERSION = 1;
+
+/**
+ * Build the display payload of a processing cycle
+ * @param {object} cycle - Outputs of the cycle
+ * @param {string} cycle.deviceId - Device the outputs are for
+ * @param {string} cycle.profile - Name of the display profile the text was fitted to
+ * @param {string} cycle.quote - The quote as shown on the display
+ * @param {string} cycle.source - Where the quote came from: 'llm', 'cache' or 'fallback'
+ * @param {string} cycle.summary - The email summary as shown on the display
+ * @param {number} cycle.emailCount - Number of unread emails
+ * @param {object} cycle.priorityResult - `{ priority, reasons }` from the priority engine
+ * @param {object} cycle.sensorSnapshot - Object mapping sensor type names to readings
+ * @param {Date} [cycle.generatedAt] - Time the cycle ran
+ * @returns {object} The versioned payload
+ */
+function buildDisplayPayload({
+  deviceId, profile, quote, source, summary, emailCount, priorityResult, sensorSnapshot, generatedAt = new Date()
+}) {
+  return {
+    version: DISPLAY_PAYLOAD_VERSION,
+    deviceId,
+    profile,
+    generatedAt: generatedAt.toISOString(),
+    source,
+    quote,
+    summary,
+    emailCount,
+    priority: priorityResult.priority,
+    reasons: priorityResult.reasons,
+    sensors: sensorSnapshot
+  };
+}
+
+export {
+  DISPLAY_PAYLOAD_VERSION,
+  buildDisplayPayload
+};
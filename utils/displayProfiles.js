@@ -0,0 +1,117 @@
+/**
+ * Display Profiles
+ *
+ * Describes what each device's display can show:
+ * - Named profiles with columns, rows, character set and overflow handling
+ * - Devices mapped to a profile by device ID, the rest use the default profile
+ * - Loaded from a JSON profiles file
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { CHARSETS, fitText } from './textFitting.js';
+
+// Ways to handle text that does not fit on one page
+const OVERFLOW_MODES = ['truncate', 'pages'];
+
+// Profile used when no profiles file exists: one 120 character ASCII line,
+// matching the length the prompts ask for
+const DEFAULT_PROFILE = {
+  columns: 120,
+  rows: 1,
+  charset: 'ascii',
+  overflow: 'truncate',
+  maxPages: 1
+};
+
+/**
+ * Check that a profile is usable
+ * @param {string} name - Profile name
+ * @param {object} profile - Profile to validate
+ * @throws {Error} If the profile is malformed
+ */
+function validateProfile(name, profile) {
+  for (const field of ['columns', 'rows', 'maxPages']) {
+    if (!Number.isInteger(profile[field]) || profile[field] < 0) {
+      throw new Error(`Display profile ${name} needs ${field} to be a non-negative integer`);
+    }
+  }
+
+  if (CHARSETS[profile.charset] === undefined) {
+    throw new Error(`Display profile ${name} has unknown charset ${profile.charset}`);
+  }
+
+  if (!OVERFLOW_MODES.includes(profile.overflow)) {
+    throw new Error(`Display profile ${name} has unknown overflow ${profile.overflow}`);
+  }
+}
+
+class DisplayProfiles {
+  /**
+   * @param {object} [options] - Profile options
+   * @param {object} [options.profiles] - Profiles `{ columns, rows, charset, overflow?, maxPages? }` keyed by name
+   * @param {object} [options.devices] - Profile names keyed by device ID
+   * @param {string} [options.default] - Name of the profile used by unmapped devices
+   */
+  constructor(options = {}) {
+    this.profiles = { default: DEFAULT_PROFILE };
+    for (const [name, profile] of Object.entries(options.profiles || {})) {
+      this.profiles[name] = { ...DEFAULT_PROFILE, ...profile };
+    }
+    this.devices = options.devices || {};
+    this.defaultProfile = options.default || 'default';
+
+    for (const [name, profile] of Object.entries(this.profiles)) {
+      validateProfile(name, profile);
+    }
+
+    for (const [deviceId, name] of Object.entries({ '(default)': this.defaultProfile, ...this.devices })) {
+      if (!this.profiles[name]) {
+        throw new Error(`Device ${deviceId} uses unknown display profile ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Create the profiles from a JSON file, falling back to the default profile
+   * when the file does not exist
+   * @param {string} filePath - Path to the profiles file
+   * @returns {DisplayProfiles} The profiles
+   */
+  static fromFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      logger.info('No display profiles file found - using the default display profile');
+      return new DisplayProfiles();
+    }
+
+    const profiles = new DisplayProfiles(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    logger.info(`Loaded ${Object.keys(profiles.profiles).length} display profile(s) from ${filePath}`);
+    return profiles;
+  }
+
+  /**
+   * Get the profile of a device
+   * @param {string} deviceId - The device ID
+   * @returns {object} The profile, including its `name`
+   */
+  getProfile(deviceId) {
+    const name = this.devices[deviceId] || this.defaultProfile;
+    return { name, ...this.profiles[name] };
+  }
+
+  /**
+   * Fit text to the display of a device
+   * @param {string} deviceId - The device ID
+   * @param {string} text - The text
+   * @returns {string} The fitted text (see fitText)
+   */
+  fit(deviceId, text) {
+    return fitText(text, this.getProfile(deviceId));
+  }
+}
+
+export {
+  DEFAULT_PROFILE,
+  OVERFLOW_MODES,
+  DisplayProfiles
+};
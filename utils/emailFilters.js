@@ -0,0 +1,112 @@
+/**
+ * Email Filters
+ *
+ * Selects which unread emails reach the display:
+ * - Label include/exclude lists using Gmail label IDs (e.g. CATEGORY_PROMOTIONS)
+ * - VIP senders and domains whose mail is always included and listed first
+ */
+
+/**
+ * Extract the lowercase email address from a From header
+ * @param {string} from - Header value such as 'Jane Doe <jane@example.com>'
+ * @returns {string} The address, or the lowercased header if it has no angle brackets
+ */
+function extractAddress(from = '') {
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim().toLowerCase();
+}
+
+/**
+ * Check whether an email comes from a VIP sender
+ *
+ * Entries containing a local part (`jane@example.com`) match that address;
+ * other entries (`example.com` or `@example.com`) match the domain and its
+ * subdomains.
+ *
+ * @param {object} email - Email with a `from` header
+ * @param {Array<string>} vipSenders - VIP addresses and domains
+ * @returns {boolean} True if the sender is a VIP
+ */
+function isVipEmail(email, vipSenders = []) {
+  const address = extractAddress(email.from);
+  const domain = address.split('@')[1] || '';
+
+  return vipSenders.some(entry => {
+    const vip = entry.trim().toLowerCase();
+    if (!vip) {
+      return false;
+    }
+
+    if (vip.includes('@') && !vip.startsWith('@')) {
+      return address === vip;
+    }
+
+    const vipDomain = vip.replace(/^@/, '');
+    return domain === vipDomain || domain.endsWith(`.${vipDomain}`);
+  });
+}
+
+/**
+ * Check an email against the label include and exclude lists
+ * @param {object} email - Email with `labelIds`
+ * @param {object} filters - Email filter settings
+ * @param {Array<string>} [filters.includeLabels] - Email must carry at least one of these labels
+ * @param {Array<string>} [filters.excludeLabels] - Email must carry none of these labels
+ * @returns {boolean} True if the email passes the label filters
+ */
+function matchesLabelFilters(email, { includeLabels = [], excludeLabels = [] } = {}) {
+  const labelIds = email.labelIds || [];
+
+  if (excludeLabels.some(label => labelIds.includes(label))) {
+    return false;
+  }
+
+  return includeLabels.length === 0 || includeLabels.some(label => labelIds.includes(label));
+}
+
+/**
+ * Build a Gmail search query that only matches mail from VIP senders
+ * @param {string} query - The base search query
+ * @param {Array<string>} vipSenders - VIP addresses and domains
+ * @returns {string|null} The VIP query, or null if there are no VIP senders
+ */
+function buildVipQuery(query, vipSenders = []) {
+  const terms = vipSenders
+    .map(entry => entry.trim().replace(/^@/, ''))
+    .filter(Boolean)
+    .map(entry => `from:${entry}`);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  // Curly braces combine terms with OR in Gmail search
+  return `${query} {${terms.join(' ')}}`;
+}
+
+/**
+ * Flag VIP emails, apply the label filters and keep the most relevant emails
+ *
+ * VIP emails bypass the label filters and come first; the remaining emails
+ * keep their original (newest first) order.
+ *
+ * @param {Array} emails - Candidate emails, newest first
+ * @param {object} filters - Email filter settings (labels and vipSenders)
+ * @param {number} maxResults - Maximum number of emails to keep
+ * @returns {Array} The selected emails with a `vip` flag
+ */
+function selectEmails(emails, filters, maxResults) {
+  const flagged = emails.map(email => ({ ...email, vip: isVipEmail(email, filters.vipSenders) }));
+  const vip = flagged.filter(email => email.vip);
+  const other = flagged.filter(email => !email.vip && matchesLabelFilters(email, filters));
+
+  return [...vip, ...other].slice(0, maxResults);
+}
+
+export {
+  extractAddress,
+  isVipEmail,
+  matchesLabelFilters,
+  buildVipQuery,
+  selectEmails
+};
@@ -0,0 +1,205 @@
+/**
+ * LLM Response Cache
+ *
+ * Avoids LLM calls for inputs that have barely changed:
+ * - Quotes are keyed by condition bucket plus every reading, rounded per sensor type
+ * - Email summaries and urgency are keyed by the set of email IDs
+ * - Entries expire after a TTL; a variety setting lets some quote lookups
+ *   skip the cache so the display still gets fresh quotes
+ * - Entries are kept in a JSON file so they survive restarts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import { getConditionBucket } from './conditions.js';
+import { getSensorTypes } from './sensorRegistry.js';
+
+/**
+ * Round a value to the nearest multiple of a step
+ * @param {number} value - The value
+ * @param {number} step - The step, or 0 to keep the value
+ * @returns {number} The rounded value
+ * @private
+ */
+function roundTo(value, step) {
+  return step > 0 ? Math.round(value / step) * step : value;
+}
+
+/**
+ * Build the cache key of a quote from the room conditions; every reading the
+ * prompt mentions is part of the key
+ * @param {object} sensorData - Object mapping sensor type names to readings
+ * @param {object} [rounding] - Rounding steps by sensor type name, overriding the registry's cacheStep
+ * @returns {string} The cache key
+ */
+function buildConditionKey(sensorData, rounding = {}) {
+  const parts = [getConditionBucket(sensorData)];
+
+  for (const sensorType of getSensorTypes()) {
+    const value = sensorData[sensorType.name];
+    if (typeof value === 'number') {
+      parts.push(`${sensorType.name}=${roundTo(value, rounding[sensorType.name] ?? sensorType.cacheStep)}`);
+    }
+  }
+
+  return parts.join('|');
+}
+
+/**
+ * Build the cache key of an email set from its email IDs
+ * @param {Array} emails - Emails with an `id`
+ * @returns {string} The cache key
+ */
+function buildEmailKey(emails) {
+  const ids = emails.map(email => email.id).sort().join(',');
+  return crypto.createHash('sha1').update(ids).digest('hex');
+}
+
+class LlmCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {string} [options.filePath] - JSON file the entries are persisted to
+   * @param {number} [options.ttlMs] - Time an entry stays valid (default 6h)
+   * @param {number} [options.variety] - Share (0-1) of quote lookups that skip the cache
+   * @param {number} [options.maxEntries] - Maximum number of entries kept
+   * @param {object} [options.rounding] - Rounding steps for quote keys `{ temperature, humidity }`
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.ttlMs = options.ttlMs || 6 * 60 * 60 * 1000;
+    this.variety = Math.min(Math.max(options.variety || 0, 0), 1);
+    this.maxEntries = options.maxEntries || 500;
+    this.rounding = { temperature: 1, humidity: 5, ...options.rounding };
+    this.entries = this._readFile();
+    this.stats = {};
+  }
+
+  /**
+   * Read the persisted entries
+   * @returns {Map} Entries keyed by `namespace:key`
+   * @private
+   */
+  _readFile() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return new Map();
+    }
+
+    try {
+      const entries = new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))));
+      logger.info(`Loaded ${entries.size} cached LLM response(s) from ${this.filePath}`);
+      return entries;
+    } catch (error) {
+      logger.error(`Failed to read LLM cache file ${this.filePath}: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Write all entries to the cache file
+   * @private
+   */
+  _writeFile() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (error) {
+      // Read-only filesystems (e.g. serverless) keep the cache in memory only
+      logger.warn(`Could not write LLM cache file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the counters of a namespace, creating them if needed
+   * @param {string} namespace - Cache namespace, e.g. 'quote'
+   * @returns {object} `{ hits, misses, fresh }`
+   * @private
+   */
+  _getStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, fresh: 0 };
+    }
+
+    return this.stats[namespace];
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} namespace - Cache namespace, e.g. 'quote' or 'summary'
+   * @param {string} key - Normalized input key
+   * @param {object} [options] - Lookup options
+   * @param {boolean} [options.allowFresh] - Let the variety setting skip a valid entry
+   * @returns {*} The cached value, or null on a miss
+   */
+  get(namespace, key, { allowFresh = false } = {}) {
+    const stats = this._getStats(namespace);
+    const entry = this.entries.get(`${namespace}:${key}`);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      stats.misses++;
+      return null;
+    }
+
+    if (allowFresh && Math.random() < this.variety) {
+      stats.fresh++;
+      return null;
+    }
+
+    stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a response, dropping expired and the oldest entries over the limit
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Normalized input key
+   * @param {*} value - JSON serializable response
+   */
+  set(namespace, key, value) {
+    const now = Date.now();
+    const entryKey = `${namespace}:${key}`;
+
+    // Re-insert so the Map keeps entries in write order
+    this.entries.delete(entryKey);
+    this.entries.set(entryKey, { value, expiresAt: now + this.ttlMs });
+
+    for (const [existingKey, entry] of this.entries) {
+      if (entry.expiresAt <= now || this.entries.size > this.maxEntries) {
+        this.entries.delete(existingKey);
+      }
+    }
+
+    this._writeFile();
+  }
+
+  /**
+   * Get cache statistics for status reporting
+   * @returns {object} Entry count, settings and hit/miss counters per namespace
+   */
+  getStats() {
+    const namespaces = {};
+    for (const [namespace, stats] of Object.entries(this.stats)) {
+      const lookups = stats.hits + stats.misses + stats.fresh;
+      namespaces[namespace] = { ...stats, hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) / 100 : null };
+    }
+
+    return {
+      enabled: true,
+      entries: this.entries.size,
+      ttlMs: this.ttlMs,
+      variety: this.variety,
+      ...namespaces
+    };
+  }
+}
+
+export {
+  buildConditionKey,
+  buildEmailKey,
+  LlmCache
+};
@@ -0,0 +1,49 @@
+/**
+ * Memory Adapter
+ *
+ * LowDB-compatible adapter that keeps data in process memory:
+ * - Used where the filesystem is read-only or ephemeral (e.g. Vercel)
+ * - Used for test runs that should not touch data files
+ * - Optionally caps the size of array collections
+ */
+
+class MemoryAdapter {
+  /**
+   * @param {object} [initialData] - Data returned by the first read
+   * @param {object} [options] - Adapter options
+   * @param {number} [options.maxItems] - Keep at most this many entries in each top-level array
+   */
+  constructor(initialData = null, options = {}) {
+    this.maxItems = options.maxItems || 0;
+    this.data = initialData === null ? null : structuredClone(initialData);
+  }
+
+  /**
+   * Read a copy of the stored data
+   * @returns {Promise<object|null>} The stored data, or null if nothing was written yet
+   */
+  async read() {
+    return this.data === null ? null : structuredClone(this.data);
+  }
+
+  /**
+   * Store a copy of the data, applying the size cap
+   * @param {object} data - Data to store
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    const copy = structuredClone(data);
+
+    if (this.maxItems && copy && typeof copy === 'object') {
+      for (const [key, value] of Object.entries(copy)) {
+        if (Array.isArray(value) && value.length > this.maxItems) {
+          copy[key] = value.slice(-this.maxItems);
+        }
+      }
+    }
+
+    this.data = copy;
+  }
+}
+
+export default MemoryAdapter;
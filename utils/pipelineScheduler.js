@@ -0,0 +1,258 @@
+/**
+ * Pipeline Scheduler
+ *
+ * Decides when the quote/email/priority pipeline runs for a device:
+ * - Enforces a minimum refresh interval
+ * - Only regenerates when conditions change meaningfully, or when output is stale
+ * - Prevents overlapping runs for the same device
+ * - Catches up on changes that arrived too early with one trailing run
+ * - Records skipped runs and their reasons
+ */
+
+import logger from './logger.js';
+import { getConditionBucket } from './conditions.js';
+
+// Number of recent skips kept for status reporting
+const RECENT_SKIP_LIMIT = 20;
+
+class PipelineScheduler {
+  /**
+   * @param {object} options - Scheduler options
+   * @param {number} [options.minIntervalMs] - Minimum time between runs for a device
+   * @param {number} [options.maxIntervalMs] - Run even without changes once output is this old
+   * @param {object} [options.deltas] - Minimum change per sensor type that counts as significant
+   */
+  constructor(options = {}) {
+    this.minIntervalMs = options.minIntervalMs || 0;
+    this.maxIntervalMs = options.maxIntervalMs || 0;
+    this.deltas = options.deltas || {};
+    this.devices = new Map();
+    this.stats = {
+      runs: 0,
+      skipped: {},
+      recentSkips: []
+    };
+  }
+
+  /**
+   * Get the scheduling state of a device, creating it if needed
+   * @param {string} deviceId - The device ID
+   * @returns {object} The device state
+   * @private
+   */
+  _getDevice(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        running: false,
+        lastRunAt: null,
+        lastRunReason: null,
+        lastSnapshot: null,
+        lastBucket: null,
+        // Latest readings skipped during a run or the minimum interval
+        pendingRun: null,
+        trailingTimer: null
+      });
+    }
+
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Find the first sensor whose value moved by at least its significant delta
+   * @param {object} previous - Snapshot of the last run
+   * @param {object} current - Current snapshot
+   * @returns {string|null} The sensor type name, or null if nothing changed significantly
+   * @private
+   */
+  _findSignificantChange(previous, current) {
+    for (const [type, value] of Object.entries(current)) {
+      const delta = this.deltas[type];
+      if (delta === undefined || typeof previous[type] !== 'number') {
+        continue;
+      }
+
+      if (Math.abs(value - previous[type]) >= delta) {
+        return type;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether the pipeline should run for a device
+   * @param {string} deviceId - The device ID
+   * @param {object} snapshot - Current readings, mapping sensor type names to values
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {object} `{ run, reason }`
+   */
+  evaluate(deviceId, snapshot, now = Date.now()) {
+    const device = this._getDevice(deviceId);
+
+    if (device.running) {
+      return { run: false, reason: 'in_progress' };
+    }
+
+    if (device.lastRunAt === null) {
+      return { run: true, reason: 'first_run' };
+    }
+
+    const elapsed = now - device.lastRunAt;
+    if (elapsed < this.minIntervalMs) {
+      return { run: false, reason: 'min_interval' };
+    }
+
+    if (getConditionBucket(snapshot) !== device.lastBucket) {
+      return { run: true, reason: 'condition_change' };
+    }
+
+    const changedType = this._findSignificantChange(device.lastSnapshot, snapshot);
+    if (changedType) {
+      return { run: true, reason: `${changedType}_change` };
+    }
+
+    if (this.maxIntervalMs && elapsed >= this.maxIntervalMs) {
+      return { run: true, reason: 'refresh_due' };
+    }
+
+    return { run: false, reason: 'no_significant_change' };
+  }
+
+  /**
+   * Run a task for a device if the scheduling rules allow it
+   * @param {string} deviceId - The device ID
+   * @param {object} snapshot - Current readings, mapping sensor type names to values
+   * @param {function} task - Async function running the pipeline
+   * @returns {Promise<boolean>} True if the task ran
+   */
+  async run(deviceId, snapshot, task) {
+    const now = Date.now();
+    const decision = this.evaluate(deviceId, snapshot, now);
+
+    if (!decision.run) {
+      this._recordSkip(deviceId, decision.reason, now);
+      if (decision.reason === 'in_progress' || decision.reason === 'min_interval') {
+        this._deferRun(deviceId, snapshot, task, now);
+      }
+      return false;
+    }
+
+    // This run covers any readings waiting for a trailing run
+    const device = this._getDevice(deviceId);
+    clearTimeout(device.trailingTimer);
+    device.trailingTimer = null;
+    device.pendingRun = null;
+
+    device.running = true;
+    device.lastRunAt = now;
+    device.lastRunReason = decision.reason;
+    device.lastSnapshot = { ...snapshot };
+    device.lastBucket = getConditionBucket(snapshot);
+
+    logger.debug(`Running pipeline for ${deviceId} (${decision.reason})`);
+
+    try {
+      await task();
+      this.stats.runs++;
+      return true;
+    } finally {
+      device.running = false;
+      if (device.pendingRun) {
+        this._scheduleTrailingRun(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Keep the latest readings of a skipped run for one trailing run
+   *
+   * Without it, a change arriving during a run or within the minimum interval
+   * would only be picked up by the next reading.
+   *
+   * @param {string} deviceId - The device ID
+   * @param {object} snapshot - Readings of the skipped run
+   * @param {function} task - Async function running the pipeline
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _deferRun(deviceId, snapshot, task, now) {
+    const device = this._getDevice(deviceId);
+    device.pendingRun = { snapshot: { ...snapshot }, task };
+
+    // A run in progress schedules the trailing run once it finishes
+    if (!device.running && !device.trailingTimer) {
+      this._scheduleTrailingRun(deviceId, now);
+    }
+  }
+
+  /**
+   * Schedule the trailing run of a device for the end of its minimum interval
+   *
+   * The trailing run is evaluated like any other, so it is skipped if the
+   * latest readings show no significant change.
+   *
+   * @param {string} deviceId - The device ID
+   * @param {number} [now] - Current time in milliseconds
+   * @private
+   */
+  _scheduleTrailingRun(deviceId, now = Date.now()) {
+    const device = this._getDevice(deviceId);
+    const delay = Math.max(device.lastRunAt + this.minIntervalMs - now, 0);
+
+    device.trailingTimer = setTimeout(() => {
+      const { snapshot, task } = device.pendingRun;
+      device.trailingTimer = null;
+      device.pendingRun = null;
+
+      this.run(deviceId, snapshot, task).catch((error) => {
+        logger.error(`Trailing pipeline run for ${deviceId} failed: ${error.message}`);
+      });
+    }, delay);
+    device.trailingTimer.unref();
+  }
+
+  /**
+   * Count a skipped run
+   * @param {string} deviceId - The device ID
+   * @param {string} reason - Why the run was skipped
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _recordSkip(deviceId, reason, now) {
+    this.stats.skipped[reason] = (this.stats.skipped[reason] || 0) + 1;
+    this.stats.recentSkips.push({ deviceId, reason, at: new Date(now).toISOString() });
+
+    if (this.stats.recentSkips.length > RECENT_SKIP_LIMIT) {
+      this.stats.recentSkips.shift();
+    }
+
+    logger.debug(`Skipped pipeline run for ${deviceId}: ${reason}`);
+  }
+
+  /**
+   * Get scheduler statistics for status reporting
+   * @returns {object} Run and skip counters plus per-device state
+   */
+  getStats() {
+    const devices = {};
+    for (const [deviceId, device] of this.devices) {
+      devices[deviceId] = {
+        running: device.running,
+        lastRunAt: device.lastRunAt ? new Date(device.lastRunAt).toISOString() : null,
+        lastRunReason: device.lastRunReason,
+        trailingRunPending: device.pendingRun !== null
+      };
+    }
+
+    return {
+      minIntervalMs: this.minIntervalMs,
+      maxIntervalMs: this.maxIntervalMs,
+      runs: this.stats.runs,
+      skipped: { ...this.stats.skipped },
+      recentSkips: [...this.stats.recentSkips],
+      devices
+    };
+  }
+}
+
+export default PipelineScheduler;
@@ -0,0 +1,251 @@
+/**
+ * Priority Engine
+ *
+ * Deterministic evaluation of environmental priority:
+ * - Threshold rules derived from the sensor registry
+ * - Additional rules loaded from a JSON rules file
+ * - Merging of priority levels so higher levels always win
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { getSensorType, getSensorTypes } from './sensorRegistry.js';
+
+// Priority levels ordered from lowest to highest
+const PRIORITY_LEVELS = ['normal', 'warning', 'urgent'];
+
+// Comparison operators supported in rules
+const OPERATORS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold
+};
+
+// Sensor registry thresholds a rule can use instead of a fixed value
+const REGISTRY_THRESHOLDS = ['comfort.min', 'comfort.max', 'extreme.min', 'extreme.max'];
+
+/**
+ * Return the higher of several priority levels, ignoring unknown values
+ * @param {...string} priorities - Priority levels to merge
+ * @returns {string} The highest priority level
+ */
+function mergePriorities(...priorities) {
+  let highest = 0;
+
+  for (const priority of priorities) {
+    highest = Math.max(highest, PRIORITY_LEVELS.indexOf(priority));
+  }
+
+  return PRIORITY_LEVELS[highest];
+}
+
+/**
+ * Look up the sensor registry threshold a rule refers to
+ * @param {object} rule - Rule with a `threshold` such as 'comfort.max'
+ * @returns {number|undefined} The current threshold, or undefined if the sensor type has none
+ */
+function resolveThreshold(rule) {
+  const sensorType = getSensorType(rule.sensor);
+  const [band, bound] = rule.threshold.split('.');
+  return sensorType && sensorType[band] ? sensorType[band][bound] : undefined;
+}
+
+/**
+ * Check that a rule is usable
+ * @param {object} rule - Rule to validate
+ * @throws {Error} If the rule is malformed
+ */
+function validateRule(rule) {
+  if (rule.sensor && rule.threshold !== undefined) {
+    if (!REGISTRY_THRESHOLDS.includes(rule.threshold)) {
+      throw new Error(`Priority rule ${rule.name || rule.sensor} has unknown threshold ${rule.threshold} - expected one of ${REGISTRY_THRESHOLDS.join(', ')}`);
+    }
+
+    if (typeof resolveThreshold(rule) !== 'number') {
+      throw new Error(`Priority rule ${rule.name || rule.sensor} uses ${rule.threshold}, which sensor type ${rule.sensor} does not define`);
+    }
+  } else if (!rule.sensor || typeof rule.value !== 'number') {
+    throw new Error(`Priority rule ${rule.name || ''} needs a sensor and a numeric value or registry threshold`);
+  }
+
+  if (!OPERATORS[rule.operator]) {
+    throw new Error(`Priority rule ${rule.name || rule.sensor} has unsupported operator ${rule.operator}`);
+  }
+
+  if (!PRIORITY_LEVELS.includes(rule.priority)) {
+    throw new Error(`Priority rule ${rule.name || rule.sensor} has unknown priority ${rule.priority}`);
+  }
+}
+
+/**
+ * Build threshold rules from the comfort and extreme bands of the sensor registry
+ * @returns {Array<object>} Array of rules
+ */
+function buildRegistryRules() {
+  const rules = [];
+
+  for (const sensorType of getSensorTypes()) {
+    const bands = [
+      { band: sensorType.comfort, priority: 'warning', adjective: 'outside comfort range' },
+      { band: sensorType.extreme, priority: 'urgent', adjective: 'extreme' }
+    ];
+
+    for (const { band, priority, adjective } of bands) {
+      if (band.min !== undefined) {
+        rules.push({
+          name: `${sensorType.name}-below-${band.min}`,
+          sensor: sensorType.name,
+          operator: '<',
+          value: band.min,
+          priority,
+          reason: `${sensorType.label} ${adjective} (below ${band.min}${sensorType.unit})`
+        });
+      }
+
+      if (band.max !== undefined) {
+        rules.push({
+          name: `${sensorType.name}-above-${band.max}`,
+          sensor: sensorType.name,
+          operator: '>',
+          value: band.max,
+          priority,
+          reason: `${sensorType.label} ${adjective} (above ${band.max}${sensorType.unit})`
+        });
+      }
+    }
+  }
+
+  return rules;
+}
+
+class PriorityEngine {
+  /**
+   * @param {object} options - Engine options
+   * @param {Array<object>} [options.rules] - Custom rules
+   * @param {boolean} [options.includeRegistryThresholds] - Also evaluate the sensor registry thresholds
+   * @param {string} [options.vipEmailPriority] - Minimum priority while VIP email is unread
+   * @param {string} [options.imminentEventPriority] - Minimum priority while a meeting is about to start
+   */
+  constructor(options = {}) {
+    this.customRules = options.rules || [];
+    this.includeRegistryThresholds = options.includeRegistryThresholds !== false;
+    this.vipEmailPriority = options.vipEmailPriority || 'warning';
+    this.imminentEventPriority = options.imminentEventPriority || 'warning';
+
+    this.customRules.forEach(validateRule);
+
+    if (!PRIORITY_LEVELS.includes(this.vipEmailPriority)) {
+      throw new Error(`Unknown VIP email priority ${this.vipEmailPriority}`);
+    }
+
+    if (!PRIORITY_LEVELS.includes(this.imminentEventPriority)) {
+      throw new Error(`Unknown imminent event priority ${this.imminentEventPriority}`);
+    }
+  }
+
+  /**
+   * Create an engine from a JSON rules file, falling back to registry thresholds
+   * when the file does not exist
+   * @param {string} filePath - Path to the rules file
+   * @param {object} [overrides] - Options taking precedence over the file
+   * @returns {PriorityEngine} The configured engine
+   */
+  static fromFile(filePath, overrides = {}) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      logger.info('No priority rules file found - using sensor registry thresholds');
+      return new PriorityEngine(overrides);
+    }
+
+    const options = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const engine = new PriorityEngine({ ...options, ...overrides });
+    logger.info(`Loaded ${engine.customRules.length} priority rule(s) from ${filePath}`);
+    return engine;
+  }
+
+  /**
+   * Get all rules currently evaluated by the engine
+   *
+   * Custom rules with a registry `threshold` get the current value of that
+   * threshold, so they follow changes to the sensor registry.
+   *
+   * @returns {Array<object>} Array of rules
+   */
+  getRules() {
+    const registryRules = this.includeRegistryThresholds ? buildRegistryRules() : [];
+    const customRules = this.customRules.map(rule => (
+      rule.threshold !== undefined ? { ...rule, value: resolveThreshold(rule) } : rule
+    ));
+    return [...registryRules, ...customRules];
+  }
+
+  /**
+   * Evaluate sensor readings against the rules
+   * 
+   * The resulting priority is the highest priority of all matching rules;
+   * only the rules at that level are reported as reasons.
+   * 
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @returns {object} Object with the resulting priority and the reasons for it
+   */
+  evaluate(sensorData) {
+    const matched = this.getRules().filter(rule => {
+      const value = sensorData[rule.sensor];
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return false;
+      }
+
+      return OPERATORS[rule.operator](value, rule.value);
+    });
+
+    const priority = mergePriorities('normal', ...matched.map(rule => rule.priority));
+    const reasons = matched
+      .filter(rule => rule.priority === priority)
+      .map(rule => rule.reason || `${rule.sensor} ${rule.operator} ${rule.value}`);
+
+    logger.debug(`Environmental priority: ${priority}${reasons.length ? ` (${reasons.join('; ')})` : ''}`);
+    return { priority, reasons };
+  }
+
+  /**
+   * Determine the overall priority from sensor readings, email and calendar signals
+   *
+   * Email urgency (as classified by the LLM), unread VIP email and a meeting
+   * that is about to start can raise the environmental priority but never
+   * lower it.
+   *
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @param {string|null} emailUrgency - Email urgency level, or null if unknown
+   * @param {Array} [vipEmails] - Unread emails from VIP senders
+   * @param {object|null} [imminentEvent] - Calendar event starting soon
+   * @returns {object} Object with the merged priority and the reasons for it
+   */
+  determinePriority(sensorData, emailUrgency, vipEmails = [], imminentEvent = null) {
+    const environment = this.evaluate(sensorData);
+    const vipPriority = vipEmails.length > 0 ? this.vipEmailPriority : null;
+    const eventPriority = imminentEvent ? this.imminentEventPriority : null;
+    const priority = mergePriorities(environment.priority, emailUrgency, vipPriority, eventPriority);
+    const reasons = priority === environment.priority ? [...environment.reasons] : [];
+
+    if (emailUrgency && emailUrgency !== 'normal' && emailUrgency === priority) {
+      reasons.push(`Email urgency: ${emailUrgency}`);
+    }
+
+    if (vipPriority && vipPriority !== 'normal' && vipPriority === priority) {
+      const senders = [...new Set(vipEmails.map(email => email.from))];
+      reasons.push(`VIP email from ${senders.join(', ')}`);
+    }
+
+    if (eventPriority && eventPriority !== 'normal' && eventPriority === priority) {
+      reasons.push(`Meeting starting soon: ${imminentEvent.summary}`);
+    }
+
+    return { priority, reasons };
+  }
+}
+
+export {
+  PRIORITY_LEVELS,
+  mergePriorities,
+  PriorityEngine
+};
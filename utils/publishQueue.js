@@ -0,0 +1,137 @@
+/**
+ * Publish Queue
+ *
+ * Buffers outbound MQTT messages while the broker is unreachable:
+ * - Keeps messages in publish order for flushing on reconnect
+ * - Collapses messages per topic so a display only receives the newest value
+ * - Bounded; the oldest messages are dropped when it is full
+ * - Optionally kept in a JSON file so queued messages survive restarts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+class PublishQueue {
+  /**
+   * @param {object} [options] - Queue options
+   * @param {number} [options.maxSize] - Maximum number of queued messages (default 100)
+   * @param {string} [options.filePath] - JSON file the queue is persisted to, none if empty
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 100;
+    this.filePath = options.filePath || null;
+    this.entries = this._readFile();
+    this.stats = { collapsed: 0, dropped: 0 };
+  }
+
+  /**
+   * Read the persisted queue
+   * @returns {Array} Queued entries, oldest first
+   * @private
+   */
+  _readFile() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      logger.info(`Loaded ${entries.length} queued MQTT message(s) from ${this.filePath}`);
+      return entries;
+    } catch (error) {
+      logger.error(`Failed to read MQTT queue file ${this.filePath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write the queue to the queue file
+   * @private
+   */
+  _writeFile() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries));
+    } catch (error) {
+      // Read-only filesystems (e.g. serverless) keep the queue in memory only
+      logger.warn(`Could not write MQTT queue file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of queued messages
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Queue a message
+   * @param {string} topic - Topic to publish to
+   * @param {string} message - Message payload
+   * @param {object} [options] - MQTT publish options
+   * @param {boolean} [collapse] - Replace queued messages for the same topic (default true)
+   */
+  enqueue(topic, message, options = {}, collapse = true) {
+    if (collapse) {
+      const before = this.entries.length;
+      this.entries = this.entries.filter(entry => !(entry.collapse && entry.topic === topic));
+      this.stats.collapsed += before - this.entries.length;
+    }
+
+    this.entries.push({ topic, message, options, collapse, queuedAt: new Date().toISOString() });
+
+    if (this.entries.length > this.maxSize) {
+      const dropped = this.entries.splice(0, this.entries.length - this.maxSize);
+      this.stats.dropped += dropped.length;
+      logger.warn(`MQTT publish queue full - dropped ${dropped.length} oldest message(s)`);
+    }
+
+    this._writeFile();
+  }
+
+  /**
+   * Get the oldest queued message without removing it
+   * @returns {object|null} `{ topic, message, options }`, or null if the queue is empty
+   */
+  peek() {
+    return this.entries[0] || null;
+  }
+
+  /**
+   * Remove a message after it was published
+   *
+   * Removal is by identity, as the message may already have been collapsed
+   * while it was being published.
+   *
+   * @param {object} entry - Entry returned by peek
+   */
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+      this._writeFile();
+    }
+  }
+
+  /**
+   * Get queue statistics for health reporting
+   * @returns {object} Depth, capacity and collapse/drop counters
+   */
+  getStats() {
+    return {
+      depth: this.entries.length,
+      maxSize: this.maxSize,
+      persisted: !!this.filePath,
+      ...this.stats
+    };
+  }
+}
+
+export default PublishQueue;
@@ -0,0 +1,212 @@
+/**
+ * Quote Library
+ *
+ * Offline quote corpus used when no LLM is available:
+ * - Quotes tagged by room condition, time of day and season (untagged means any)
+ * - Loaded from one or more JSON files, so the bundled corpus can be extended
+ * - Picks the most specific matching quote, rotating without repeats per device
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { getCondition } from './conditions.js';
+
+// Quote used when no corpus could be loaded
+const DEFAULT_QUOTE = 'The present moment is a gift, regardless of the weather outside or in.';
+
+// Tag fields of a quote and their allowed values
+const TAG_VALUES = {
+  conditions: ['hot', 'cold', 'ideal', 'neutral', 'humid', 'dry'],
+  times: ['morning', 'afternoon', 'evening', 'night'],
+  seasons: ['spring', 'summer', 'autumn', 'winter']
+};
+
+// Seasons by month (0 = January) on the northern hemisphere
+const NORTHERN_SEASONS = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'
+];
+
+// Season six months away, for the southern hemisphere
+const OPPOSITE_SEASONS = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+
+/**
+ * Check that a quote is usable
+ * @param {object} quote - Quote to validate
+ * @throws {Error} If the quote is malformed
+ */
+function validateQuote(quote) {
+  if (!quote || typeof quote.text !== 'string' || quote.text.trim() === '') {
+    throw new Error('Quote needs a non-empty text');
+  }
+
+  for (const [field, allowed] of Object.entries(TAG_VALUES)) {
+    const tags = quote[field] || [];
+    if (!Array.isArray(tags)) {
+      throw new Error(`Quote "${quote.text}" needs ${field} to be an array`);
+    }
+
+    const unknown = tags.filter(tag => !allowed.includes(tag));
+    if (unknown.length > 0) {
+      throw new Error(`Quote "${quote.text}" has unknown ${field}: ${unknown.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Get the time of day of a date
+ * @param {Date} date - The date
+ * @returns {string} 'morning', 'afternoon', 'evening' or 'night'
+ */
+function getTimeOfDay(date) {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+}
+
+/**
+ * Get the season of a date
+ * @param {Date} date - The date
+ * @param {string} [hemisphere] - 'northern' or 'southern'
+ * @returns {string} 'spring', 'summer', 'autumn' or 'winter'
+ */
+function getSeason(date, hemisphere = 'northern') {
+  const season = NORTHERN_SEASONS[date.getMonth()];
+  return hemisphere === 'southern' ? OPPOSITE_SEASONS[season] : season;
+}
+
+class QuoteLibrary {
+  /**
+   * @param {object} options - Library options
+   * @param {Array<object>} [options.quotes] - Quotes `{ text, conditions?, times?, seasons? }`
+   * @param {string} [options.hemisphere] - 'northern' or 'southern', for seasons
+   */
+  constructor(options = {}) {
+    this.quotes = options.quotes && options.quotes.length > 0 ? options.quotes : [{ text: DEFAULT_QUOTE }];
+    this.hemisphere = options.hemisphere || 'northern';
+    this.quotes.forEach(validateQuote);
+
+    // Indices of the quotes shown in the current rotation, per device
+    this.shown = new Map();
+  }
+
+  /**
+   * Create a library from JSON files, skipping files that cannot be loaded
+   * @param {Array<string>} filePaths - Paths of files holding quote arrays
+   * @param {object} [options] - Further library options
+   * @returns {QuoteLibrary} The library
+   */
+  static fromFiles(filePaths, options = {}) {
+    const quotes = [];
+
+    for (const filePath of filePaths) {
+      try {
+        const fileQuotes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(fileQuotes)) {
+          throw new Error('file must contain an array');
+        }
+
+        fileQuotes.forEach(validateQuote);
+        quotes.push(...fileQuotes);
+        logger.info(`Loaded ${fileQuotes.length} quote(s) from ${filePath}`);
+      } catch (error) {
+        logger.error(`Failed to load quote file ${filePath}: ${error.message}`);
+      }
+    }
+
+    return new QuoteLibrary({ ...options, quotes });
+  }
+
+  /**
+   * Get the tags describing the current conditions
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @param {Date} [date] - Current time
+   * @returns {object} `{ conditions, times, seasons }`, each an array of tags
+   */
+  getTags(sensorData, date = new Date()) {
+    const conditions = typeof sensorData.temperature === 'number' && typeof sensorData.humidity === 'number'
+      ? getCondition(sensorData).split(' and ')
+      : [];
+
+    return {
+      conditions,
+      times: [getTimeOfDay(date)],
+      seasons: [getSeason(date, this.hemisphere)]
+    };
+  }
+
+  /**
+   * Score how well a quote fits the current tags
+   * @param {object} quote - The quote
+   * @param {object} tags - Current tags (see getTags)
+   * @returns {number} Number of matching tag fields, or -1 if a tagged field does not match
+   * @private
+   */
+  _score(quote, tags) {
+    let score = 0;
+
+    for (const field of Object.keys(TAG_VALUES)) {
+      const quoteTags = quote[field] || [];
+      if (quoteTags.length === 0) {
+        continue;
+      }
+
+      if (!quoteTags.some(tag => tags[field].includes(tag))) {
+        return -1;
+      }
+      score++;
+    }
+
+    return score;
+  }
+
+  /**
+   * Pick a quote for the current conditions
+   *
+   * The most specific matching quotes come first; a quote is not repeated
+   * for a device until every matching quote has been shown.
+   *
+   * @param {object} sensorData - Object mapping sensor type names to readings
+   * @param {string} [deviceId] - Device the quote is for
+   * @param {Date} [date] - Current time
+   * @returns {string} The quote text
+   */
+  pick(sensorData, deviceId = 'default', date = new Date()) {
+    const tags = this.getTags(sensorData, date);
+    const candidates = this.quotes
+      .map((quote, index) => ({ index, score: this._score(quote, tags) }))
+      .filter(candidate => candidate.score >= 0);
+
+    if (candidates.length === 0) {
+      return DEFAULT_QUOTE;
+    }
+
+    if (!this.shown.has(deviceId)) {
+      this.shown.set(deviceId, new Set());
+    }
+    const shown = this.shown.get(deviceId);
+
+    // Start a new rotation once every matching quote has been shown
+    let unseen = candidates.filter(candidate => !shown.has(candidate.index));
+    if (unseen.length === 0) {
+      candidates.forEach(candidate => shown.delete(candidate.index));
+      unseen = candidates;
+    }
+
+    const bestScore = Math.max(...unseen.map(candidate => candidate.score));
+    const best = unseen.filter(candidate => candidate.score === bestScore);
+    const { index } = best[Math.floor(Math.random() * best.length)];
+
+    shown.add(index);
+    return this.quotes[index].text;
+  }
+}
+
+export {
+  DEFAULT_QUOTE,
+  getTimeOfDay,
+  getSeason,
+  QuoteLibrary
+};
@@ -0,0 +1,117 @@
+/**
+ * Reading Validator
+ *
+ * Validates raw sensor payloads before they are stored or processed:
+ * - Value must be numeric and within the sensor type's valid range
+ * - Optional device timestamp must be within the allowed clock skew
+ * - Only whitelisted extra fields are kept
+ */
+
+import { getSensorType, isValueInRange } from './sensorRegistry.js';
+
+// Extra payload fields accepted for every sensor type
+const DEFAULT_EXTRA_FIELDS = ['battery', 'rssi', 'firmware', 'sensorId'];
+
+/**
+ * Build a rejection result
+ * @param {string} reason - Short machine readable reason
+ * @param {string} message - Human readable explanation
+ * @returns {object} Rejection result
+ * @private
+ */
+function reject(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Parse a device timestamp given as ISO string or epoch milliseconds
+ * @param {string|number} timestamp - The device timestamp
+ * @returns {Date|null} The parsed date, or null if it is not a valid timestamp
+ * @private
+ */
+function parseDeviceTimestamp(timestamp) {
+  if (typeof timestamp !== 'string' && typeof timestamp !== 'number') {
+    return null;
+  }
+
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a raw sensor payload
+ *
+ * Accepts either a plain number (`22.5`) or a JSON object with a numeric
+ * `value`, an optional `timestamp` and whitelisted extra fields.
+ *
+ * @param {string} sensorType - Sensor type derived from the topic
+ * @param {string} payload - Raw MQTT message
+ * @param {object} [options] - Validation options
+ * @param {number} [options.maxClockSkewMs] - Maximum allowed difference between device and server time
+ * @param {Date} [options.now] - Current time, for testing
+ * @returns {object} `{ valid: true, value, fields, deviceTimestamp }` or `{ valid: false, reason, message }`
+ */
+function validateSensorPayload(sensorType, payload, options = {}) {
+  const { maxClockSkewMs = 5 * 60 * 1000, now = new Date() } = options;
+
+  const sensorDefinition = getSensorType(sensorType);
+  if (!sensorDefinition) {
+    return reject('unknown_type', `Unknown sensor type: ${sensorType}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (error) {
+    return reject('malformed', 'Payload is neither a number nor a JSON object');
+  }
+
+  // Plain numeric payloads parse to a number
+  if (typeof data === 'number') {
+    data = { value: data };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return reject('malformed', 'Payload is neither a number nor a JSON object');
+  }
+
+  const { value, timestamp } = data;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return reject('invalid_value', 'Payload has no numeric value');
+  }
+
+  if (!isValueInRange(sensorType, value)) {
+    const { min, max } = sensorDefinition.range;
+    return reject('out_of_range', `${sensorType} value ${value} outside valid range [${min}, ${max}]`);
+  }
+
+  let deviceTimestamp = null;
+  if (timestamp !== undefined) {
+    const date = parseDeviceTimestamp(timestamp);
+    if (!date) {
+      return reject('invalid_timestamp', `Invalid device timestamp: ${timestamp}`);
+    }
+
+    if (Math.abs(now.getTime() - date.getTime()) > maxClockSkewMs) {
+      return reject('clock_skew', `Device timestamp ${date.toISOString()} exceeds allowed clock skew`);
+    }
+
+    deviceTimestamp = date.toISOString();
+  }
+
+  // Copy only whitelisted extra fields
+  const allowedFields = [...DEFAULT_EXTRA_FIELDS, ...(sensorDefinition.extraFields || [])];
+  const fields = {};
+  for (const field of allowedFields) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  }
+
+  return { valid: true, value, fields, deviceTimestamp };
+}
+
+export {
+  DEFAULT_EXTRA_FIELDS,
+  validateSensorPayload
+};
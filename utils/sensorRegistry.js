@@ -0,0 +1,286 @@
+/**
+ * Sensor Registry
+ *
+ * Central definition of the sensor types AuraLink understands:
+ * - Topic, unit and valid range for each type
+ * - Comfort and extreme thresholds used for quotes and priority
+ * - Rounding step of the readings in quote cache keys
+ * - Registration of additional types from code or a JSON file
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+
+// Registered sensor types, keyed by type name
+const sensorTypes = new Map();
+
+// Sensor types available out of the box
+const BUILTIN_SENSOR_TYPES = [
+  {
+    name: 'temperature',
+    label: 'Temperature',
+    unit: '°C',
+    required: true,
+    range: { min: -40, max: 85 },
+    comfort: { min: 18, max: 26 },
+    extreme: { min: 10, max: 35 },
+    cacheStep: 1
+  },
+  {
+    name: 'humidity',
+    label: 'Humidity',
+    unit: '%',
+    required: true,
+    range: { min: 0, max: 100 },
+    comfort: { min: 30, max: 65 },
+    extreme: { min: 20, max: 85 },
+    cacheStep: 5
+  },
+  {
+    name: 'co2',
+    label: 'CO2',
+    unit: 'ppm',
+    range: { min: 0, max: 10000 },
+    comfort: { max: 1000 },
+    extreme: { max: 2000 },
+    cacheStep: 100
+  },
+  {
+    name: 'light',
+    label: 'Light level',
+    unit: 'lux',
+    range: { min: 0, max: 100000 },
+    comfort: { min: 100, max: 2000 },
+    extreme: {},
+    cacheStep: 100
+  },
+  {
+    name: 'noise',
+    label: 'Noise',
+    unit: 'dB',
+    range: { min: 0, max: 140 },
+    comfort: { max: 55 },
+    extreme: { max: 85 },
+    cacheStep: 5
+  },
+  {
+    name: 'pm25',
+    label: 'PM2.5',
+    unit: 'µg/m³',
+    range: { min: 0, max: 1000 },
+    comfort: { max: 12 },
+    extreme: { max: 55 },
+    cacheStep: 5
+  }
+];
+
+/**
+ * Check whether a value lies within an optional min/max band
+ * @param {object} band - Object with optional min and max
+ * @param {number} value - Value to check
+ * @returns {boolean} True if the value is inside the band
+ * @private
+ */
+function isWithinBand(band, value) {
+  if (!band) {
+    return true;
+  }
+
+  if (band.min !== undefined && value < band.min) {
+    return false;
+  }
+
+  if (band.max !== undefined && value > band.max) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe a min/max band for use in prompts and logs
+ * @param {object} band - Object with optional min and max
+ * @param {string} unit - Unit of the values
+ * @returns {string} Human readable band, e.g. "18-26°C" or "at most 1000ppm"
+ * @private
+ */
+function describeBand(band, unit) {
+  if (band.min !== undefined && band.max !== undefined) {
+    return `${band.min}-${band.max}${unit}`;
+  }
+
+  if (band.min !== undefined) {
+    return `at least ${band.min}${unit}`;
+  }
+
+  return `at most ${band.max}${unit}`;
+}
+
+/**
+ * Describe extreme limits for use in prompts and logs
+ * @param {object} band - Object with optional min and max
+ * @param {string} unit - Unit of the values
+ * @returns {string} Human readable limits, e.g. "below 10°C or above 35°C"
+ * @private
+ */
+function describeLimits(band, unit) {
+  const limits = [];
+
+  if (band.min !== undefined) {
+    limits.push(`below ${band.min}${unit}`);
+  }
+
+  if (band.max !== undefined) {
+    limits.push(`above ${band.max}${unit}`);
+  }
+
+  return limits.join(' or ');
+}
+
+/**
+ * Register a sensor type, replacing any existing type with the same name
+ * @param {object} definition - Sensor type definition
+ * @param {string} definition.name - Type name, used as the last topic segment
+ * @param {string} definition.unit - Unit of the readings
+ * @param {object} definition.range - Valid range ({min, max})
+ * @param {object} [definition.comfort] - Comfortable band ({min, max})
+ * @param {object} [definition.extreme] - Readings beyond these limits are extreme
+ * @param {number} [definition.cacheStep] - Readings this close share a cached quote (default 1)
+ * @param {string} [definition.topic] - Legacy topic, defaults to auralink/sensors/<name>
+ * @returns {object} The registered definition
+ * @throws {Error} If the definition is incomplete
+ */
+function registerSensorType(definition) {
+  if (!definition || !definition.name || !definition.unit || !definition.range) {
+    throw new Error('Sensor type definitions need a name, unit and range');
+  }
+
+  const sensorType = {
+    label: definition.name,
+    topic: `auralink/sensors/${definition.name}`,
+    required: false,
+    comfort: {},
+    extreme: {},
+    cacheStep: 1,
+    ...definition
+  };
+
+  sensorTypes.set(sensorType.name, sensorType);
+  logger.debug(`Registered sensor type: ${sensorType.name} (${sensorType.unit})`);
+  return sensorType;
+}
+
+/**
+ * Register additional sensor types from a JSON file containing an array of definitions
+ * @param {string} filePath - Path to the JSON file
+ * @returns {number} Number of registered types
+ */
+function loadSensorTypesFromFile(filePath) {
+  const definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Sensor registry file ${filePath} must contain an array`);
+  }
+
+  definitions.forEach(registerSensorType);
+  logger.info(`Loaded ${definitions.length} sensor type(s) from ${filePath}`);
+  return definitions.length;
+}
+
+/**
+ * Get a sensor type definition
+ * @param {string} name - Sensor type name
+ * @returns {object|null} The definition or null if unknown
+ */
+function getSensorType(name) {
+  return sensorTypes.get(name) || null;
+}
+
+/**
+ * Get all registered sensor types
+ * @returns {Array<object>} Array of sensor type definitions
+ */
+function getSensorTypes() {
+  return [...sensorTypes.values()];
+}
+
+/**
+ * Check whether a reading lies within the valid range of its sensor type
+ * @param {string} name - Sensor type name
+ * @param {number} value - The reading
+ * @returns {boolean} True if the type is known and the value is plausible
+ */
+function isValueInRange(name, value) {
+  const sensorType = getSensorType(name);
+  if (!sensorType || typeof value !== 'number' || Number.isNaN(value)) {
+    return false;
+  }
+
+  return isWithinBand(sensorType.range, value);
+}
+
+/**
+ * Determine how comfortable a reading is
+ * @param {string} name - Sensor type name
+ * @param {number} value - The reading
+ * @returns {string} 'comfortable', 'uncomfortable', 'extreme' or 'unknown'
+ */
+function getComfortLevel(name, value) {
+  const sensorType = getSensorType(name);
+  if (!sensorType || typeof value !== 'number' || Number.isNaN(value)) {
+    return 'unknown';
+  }
+
+  if (!isWithinBand(sensorType.extreme, value)) {
+    return 'extreme';
+  }
+
+  if (!isWithinBand(sensorType.comfort, value)) {
+    return 'uncomfortable';
+  }
+
+  return 'comfortable';
+}
+
+/**
+ * Describe a set of readings, one line per known sensor type with a value
+ * @param {object} sensorData - Object mapping sensor type names to values
+ * @returns {Array<string>} Lines such as "CO2: 1400ppm (uncomfortable)"
+ */
+function describeReadings(sensorData) {
+  return getSensorTypes()
+    .filter(sensorType => typeof sensorData[sensorType.name] === 'number')
+    .map(sensorType => {
+      const value = sensorData[sensorType.name];
+      return `${sensorType.label}: ${value}${sensorType.unit} (${getComfortLevel(sensorType.name, value)})`;
+    });
+}
+
+/**
+ * Describe the comfort and extreme thresholds of all sensor types
+ * @returns {Array<string>} Lines such as "Temperature: comfortable 18-26°C, extreme below 10°C or above 35°C"
+ */
+function describeThresholds() {
+  return getSensorTypes()
+    .filter(sensorType => Object.keys(sensorType.comfort).length > 0)
+    .map(sensorType => {
+      let line = `${sensorType.label}: comfortable ${describeBand(sensorType.comfort, sensorType.unit)}`;
+      if (Object.keys(sensorType.extreme).length > 0) {
+        line += `, extreme ${describeLimits(sensorType.extreme, sensorType.unit)}`;
+      }
+      return line;
+    });
+}
+
+BUILTIN_SENSOR_TYPES.forEach(registerSensorType);
+
+export {
+  registerSensorType,
+  loadSensorTypesFromFile,
+  getSensorType,
+  getSensorTypes,
+  isValueInRange,
+  getComfortLevel,
+  describeReadings,
+  describeThresholds
+};
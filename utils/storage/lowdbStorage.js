@@ -0,0 +1,232 @@
+/**
+ * LowDB Storage Backend
+ *
+ * Keeps all readings in a single JSON document:
+ * - Simple and dependency free, suited to small installations
+ * - Bounded by a maximum number of readings and a retention period
+ * - LLM usage totals per day, task and model
+ * - Stored in a JSON file, or through any LowDB adapter (e.g. in memory)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import logger from '../logger.js';
+import { filterReadings, bucketReadings, finalizeBuckets } from './readingQueries.js';
+
+class LowdbStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} [options.filePath] - Path to the JSON file
+   * @param {object} [options.adapter] - LowDB adapter to use instead of the JSON file
+   * @param {number} [options.maxReadings] - Maximum number of readings kept
+   * @param {number} [options.retentionDays] - Readings older than this are removed
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.adapter = options.adapter || null;
+    this.maxReadings = options.maxReadings || 1000;
+    this.retentionDays = options.retentionDays || 0;
+    this.db = null;
+  }
+
+  /**
+   * Create the JSON file if needed and load it
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Create default data
+    const defaultData = {
+      readings: [],
+      llmUsage: [],
+      lastUpdated: new Date().toISOString()
+    };
+
+    if (this.adapter) {
+      this.db = new Low(this.adapter, defaultData);
+      await this.db.read();
+      this.db.data.llmUsage = this.db.data.llmUsage || [];
+      logger.info(`LowDB storage initialized with ${this.adapter.constructor.name}`);
+      return;
+    }
+
+    // Ensure directory exists
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Create file if it doesn't exist
+    if (!fs.existsSync(this.filePath)) {
+      fs.writeFileSync(this.filePath, JSON.stringify(defaultData));
+    }
+
+    // Initialize LowDB with default data
+    const adapter = new JSONFile(this.filePath);
+    this.db = new Low(adapter, defaultData);
+
+    // Read initial data
+    await this.db.read();
+
+    // Files written before usage tracking have no usage collection
+    this.db.data.llmUsage = this.db.data.llmUsage || [];
+
+    logger.info(`LowDB storage initialized with file: ${this.filePath}`);
+  }
+
+  /**
+   * Append a batch of readings and write the file once
+   * @param {Array} readings - Readings to store
+   * @returns {Promise<void>}
+   */
+  async insertReadings(readings) {
+    const previous = this.db.data.readings;
+    this.db.data.readings = previous.concat(readings);
+    this.db.data.lastUpdated = new Date().toISOString();
+
+    // Limit the array size to avoid excessive growth
+    if (this.db.data.readings.length > this.maxReadings) {
+      this.db.data.readings = this.db.data.readings.slice(-this.maxReadings);
+    }
+
+    try {
+      await this.db.write();
+    } catch (error) {
+      // Leave nothing behind that a retry of the same readings would duplicate
+      this.db.data.readings = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent readings, oldest first
+   * @param {number} count - Number of readings to return
+   * @param {string} [deviceId] - Only return readings from this device
+   * @returns {Promise<Array>} Array of readings
+   */
+  async getLatestReadings(count, deviceId) {
+    return filterReadings(this.db.data.readings, { deviceId }).slice(-count);
+  }
+
+  /**
+   * Get the latest reading of a sensor type
+   * @param {string} type - Sensor type
+   * @param {string} [deviceId] - Only consider readings from this device
+   * @returns {Promise<object|null>} The latest reading or null
+   */
+  async getLatestReadingByType(type, deviceId) {
+    const readings = this.db.data.readings;
+
+    for (let i = readings.length - 1; i >= 0; i--) {
+      if (readings[i].type === type && (!deviceId || readings[i].deviceId === deviceId)) {
+        return readings[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Query readings, oldest first
+   * @param {object} query - Filters plus optional limit and offset
+   * @returns {Promise<object>} Object with total match count and the page of readings
+   */
+  async queryReadings({ limit, offset = 0, ...filters }) {
+    const matching = filterReadings(this.db.data.readings, filters);
+    const end = limit === undefined ? matching.length : offset + limit;
+
+    return {
+      total: matching.length,
+      readings: matching.slice(offset, end)
+    };
+  }
+
+  /**
+   * Aggregate readings into time buckets
+   * @param {object} query - Filters plus the bucket size in milliseconds
+   * @returns {Promise<Array>} Buckets with start, deviceId, type, count, min, max and avg
+   */
+  async aggregateReadings({ bucketSize, ...filters }) {
+    const matching = filterReadings(this.db.data.readings, filters);
+    return finalizeBuckets(bucketReadings(matching, bucketSize));
+  }
+
+  /**
+   * Get the IDs of all devices that have stored readings
+   * @returns {Promise<Array<string>>} Array of device IDs
+   */
+  async getDeviceIds() {
+    const deviceIds = new Set();
+    for (const reading of this.db.data.readings) {
+      if (reading.deviceId) {
+        deviceIds.add(reading.deviceId);
+      }
+    }
+
+    return [...deviceIds];
+  }
+
+  /**
+   * Add LLM usage to the totals of its day, task and model
+   * @param {object} usage - `{ day, task, model, requests, inputTokens, outputTokens, cost }`
+   * @returns {Promise<void>}
+   */
+  async recordLlmUsage(usage) {
+    const { day, task, model } = usage;
+    const totals = this.db.data.llmUsage.find(row => row.day === day && row.task === task && row.model === model);
+
+    if (totals) {
+      totals.requests += usage.requests;
+      totals.inputTokens += usage.inputTokens;
+      totals.outputTokens += usage.outputTokens;
+      totals.cost += usage.cost;
+    } else {
+      this.db.data.llmUsage.push({ ...usage });
+    }
+
+    await this.db.write();
+  }
+
+  /**
+   * Get the LLM usage totals of a range of days
+   * @param {object} query - Optional `from` and `to` days (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} Totals per day, task and model, ordered by day
+   */
+  async getLlmUsage({ from, to } = {}) {
+    return this.db.data.llmUsage
+      .filter(row => (!from || row.day >= from) && (!to || row.day <= to))
+      .sort((a, b) => a.day.localeCompare(b.day) || a.task.localeCompare(b.task) || a.model.localeCompare(b.model))
+      .map(row => ({ ...row }));
+  }
+
+  /**
+   * Remove readings older than the retention period
+   * @returns {Promise<void>}
+   */
+  async applyRetention() {
+    if (!this.retentionDays) {
+      return;
+    }
+
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const kept = this.db.data.readings.filter(reading => reading.timestamp >= cutoff);
+    const removed = this.db.data.readings.length - kept.length;
+
+    if (removed > 0) {
+      this.db.data.readings = kept;
+      await this.db.write();
+      logger.info(`Removed ${removed} reading(s) older than ${this.retentionDays} day(s)`);
+    }
+  }
+
+  /**
+   * Release resources held by the backend
+   * @returns {Promise<void>}
+   */
+  async close() {
+    // Nothing to release - every batch is written immediately
+  }
+}
+
+export default LowdbStorage;
@@ -0,0 +1,106 @@
+/**
+ * Reading Query Helpers
+ *
+ * In-memory filtering and aggregation of sensor readings, shared by the
+ * storage backends that keep readings as a plain array.
+ */
+
+// Bucket sizes supported for aggregated queries, in milliseconds
+const AGGREGATION_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Filter readings by type, device and time range
+ * @param {Array} readings - Readings to filter
+ * @param {object} filters - Optional type, deviceId, from and to filters
+ * @returns {Array} Filtered readings
+ */
+function filterReadings(readings, { type, deviceId, from, to } = {}) {
+  const fromISO = from ? new Date(from).toISOString() : null;
+  const toISO = to ? new Date(to).toISOString() : null;
+
+  return readings.filter(reading => {
+    if (type && reading.type !== type) {
+      return false;
+    }
+
+    if (deviceId && reading.deviceId !== deviceId) {
+      return false;
+    }
+
+    if (fromISO && reading.timestamp < fromISO) {
+      return false;
+    }
+
+    return !toISO || reading.timestamp <= toISO;
+  });
+}
+
+/**
+ * Aggregate readings into time buckets with count/min/max/sum per device and sensor type
+ * @param {Array} readings - Readings to aggregate
+ * @param {number} bucketSize - Bucket size in milliseconds
+ * @returns {Array} Buckets with numeric start, deviceId, type, count, min, max and sum
+ */
+function bucketReadings(readings, bucketSize) {
+  const buckets = new Map();
+
+  for (const reading of readings) {
+    if (typeof reading.value !== 'number' || Number.isNaN(reading.value)) {
+      continue;
+    }
+
+    const start = Math.floor(new Date(reading.timestamp).getTime() / bucketSize) * bucketSize;
+    // Readings of different rooms are never averaged together
+    const deviceId = reading.deviceId || null;
+    const key = `${start}|${deviceId || ''}|${reading.type}`;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        start,
+        deviceId,
+        type: reading.type,
+        count: 0,
+        min: reading.value,
+        max: reading.value,
+        sum: 0
+      });
+    }
+
+    const bucket = buckets.get(key);
+    bucket.count++;
+    bucket.min = Math.min(bucket.min, reading.value);
+    bucket.max = Math.max(bucket.max, reading.value);
+    bucket.sum += reading.value;
+  }
+
+  return [...buckets.values()];
+}
+
+/**
+ * Turn raw buckets into the API shape, ordered by start time, device and sensor type
+ * @param {Array} buckets - Buckets with numeric start and a running sum
+ * @returns {Array} Buckets with ISO start, deviceId (null for readings without one) and avg instead of sum
+ */
+function finalizeBuckets(buckets) {
+  return buckets
+    .map(bucket => ({ ...bucket, deviceId: bucket.deviceId || null }))
+    .sort((a, b) => a.start - b.start
+      || (a.deviceId || '').localeCompare(b.deviceId || '')
+      || a.type.localeCompare(b.type))
+    .map(({ start, sum, ...bucket }) => ({
+      start: new Date(start).toISOString(),
+      ...bucket,
+      avg: sum / bucket.count
+    }));
+}
+
+export {
+  AGGREGATION_INTERVALS,
+  filterReadings,
+  bucketReadings,
+  finalizeBuckets
+};
@@ -0,0 +1,339 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Time-series storage for sensor readings:
+ * - Raw readings indexed by timestamp, type and device
+ * - Raw readings past the retention period are downsampled into hourly rollups
+ * - Rollups past their own retention period are removed
+ * - LLM usage totals per day, task and model
+ */
+
+import path from 'path';
+import fs from 'fs';
+import logger from '../logger.js';
+import { AGGREGATION_INTERVALS, finalizeBuckets } from './readingQueries.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    device_id TEXT,
+    value REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_readings_ts ON readings (ts);
+  CREATE INDEX IF NOT EXISTS idx_readings_type_device_ts ON readings (type, device_id, ts);
+
+  CREATE TABLE IF NOT EXISTS rollups (
+    bucket_start INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    device_id TEXT NOT NULL DEFAULT '',
+    count INTEGER NOT NULL,
+    min REAL NOT NULL,
+    max REAL NOT NULL,
+    sum REAL NOT NULL,
+    PRIMARY KEY (bucket_start, type, device_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS llm_usage (
+    day TEXT NOT NULL,
+    task TEXT NOT NULL,
+    model TEXT NOT NULL,
+    requests INTEGER NOT NULL,
+    input_tokens INTEGER NOT NULL,
+    output_tokens INTEGER NOT NULL,
+    cost REAL NOT NULL,
+    PRIMARY KEY (day, task, model)
+  );
+`;
+
+class SqliteStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.filePath - Path to the SQLite database file
+   * @param {number} [options.retentionDays] - Raw readings older than this are rolled up
+   * @param {number} [options.rollupRetentionDays] - Hourly rollups older than this are removed
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.retentionDays = options.retentionDays || 0;
+    this.rollupRetentionDays = options.rollupRetentionDays || 0;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the schema
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Loaded lazily so the native module is only required when this backend is used
+    const { default: Database } = await import('better-sqlite3');
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.insertStatement = this.db.prepare(
+      'INSERT INTO readings (ts, type, device_id, value, data) VALUES (@ts, @type, @deviceId, @value, @data)'
+    );
+    this.insertMany = this.db.transaction((rows) => {
+      for (const row of rows) {
+        this.insertStatement.run(row);
+      }
+    });
+
+    logger.info(`SQLite storage initialized with file: ${this.filePath}`);
+  }
+
+  /**
+   * Insert a batch of readings in a single transaction
+   * @param {Array} readings - Readings to store
+   * @returns {Promise<void>}
+   */
+  async insertReadings(readings) {
+    this.insertMany(readings.map(reading => ({
+      ts: new Date(reading.timestamp).getTime(),
+      type: String(reading.type),
+      deviceId: reading.deviceId || null,
+      value: typeof reading.value === 'number' && !Number.isNaN(reading.value) ? reading.value : null,
+      data: JSON.stringify(reading)
+    })));
+  }
+
+  /**
+   * Build a WHERE clause for the common reading filters
+   * @param {object} filters - Optional type, deviceId, from and to filters
+   * @param {string} timeColumn - Column holding the timestamp
+   * @returns {object} Object with the clause and its named parameters
+   * @private
+   */
+  _buildWhere({ type, deviceId, from, to }, timeColumn = 'ts') {
+    const clauses = [];
+    const params = {};
+
+    if (type) {
+      clauses.push('type = @type');
+      params.type = type;
+    }
+
+    if (deviceId) {
+      clauses.push('device_id = @deviceId');
+      params.deviceId = deviceId;
+    }
+
+    if (from) {
+      clauses.push(`${timeColumn} >= @from`);
+      params.from = new Date(from).getTime();
+    }
+
+    if (to) {
+      clauses.push(`${timeColumn} <= @to`);
+      params.to = new Date(to).getTime();
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Get the most recent readings, oldest first
+   * @param {number} count - Number of readings to return
+   * @param {string} [deviceId] - Only return readings from this device
+   * @returns {Promise<Array>} Array of readings
+   */
+  async getLatestReadings(count, deviceId) {
+    const { where, params } = this._buildWhere({ deviceId });
+    const rows = this.db
+      .prepare(`SELECT data FROM readings ${where} ORDER BY ts DESC, id DESC LIMIT @count`)
+      .all({ ...params, count });
+
+    return rows.reverse().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Get the latest reading of a sensor type
+   * @param {string} type - Sensor type
+   * @param {string} [deviceId] - Only consider readings from this device
+   * @returns {Promise<object|null>} The latest reading or null
+   */
+  async getLatestReadingByType(type, deviceId) {
+    const { where, params } = this._buildWhere({ type, deviceId });
+    const row = this.db
+      .prepare(`SELECT data FROM readings ${where} ORDER BY ts DESC, id DESC LIMIT 1`)
+      .get(params);
+
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Query readings, oldest first
+   * @param {object} query - Filters plus optional limit and offset
+   * @returns {Promise<object>} Object with total match count and the page of readings
+   */
+  async queryReadings({ limit, offset = 0, ...filters }) {
+    const { where, params } = this._buildWhere(filters);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM readings ${where}`).get(params);
+    const rows = this.db
+      .prepare(`SELECT data FROM readings ${where} ORDER BY ts, id LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: limit === undefined ? -1 : limit, offset });
+
+    return {
+      total,
+      readings: rows.map(row => JSON.parse(row.data))
+    };
+  }
+
+  /**
+   * Aggregate readings into time buckets, including hourly rollups for
+   * buckets of an hour or more
+   * @param {object} query - Filters plus the bucket size in milliseconds
+   * @returns {Promise<Array>} Buckets with start, deviceId, type, count, min, max and avg
+   */
+  async aggregateReadings({ bucketSize, ...filters }) {
+    const raw = this._buildWhere(filters);
+    const buckets = this.db.prepare(`
+      SELECT CAST(ts / @bucketSize AS INTEGER) * @bucketSize AS start, COALESCE(device_id, '') AS deviceId, type,
+        COUNT(value) AS count, MIN(value) AS min, MAX(value) AS max, SUM(value) AS sum
+      FROM readings ${raw.where ? `${raw.where} AND` : 'WHERE'} value IS NOT NULL
+      GROUP BY start, deviceId, type
+    `).all({ ...raw.params, bucketSize });
+
+    if (bucketSize >= AGGREGATION_INTERVALS['1h']) {
+      const rolled = this._buildWhere(filters, 'bucket_start');
+      const rollups = this.db.prepare(`
+        SELECT CAST(bucket_start / @bucketSize AS INTEGER) * @bucketSize AS start, device_id AS deviceId, type,
+          SUM(count) AS count, MIN(min) AS min, MAX(max) AS max, SUM(sum) AS sum
+        FROM rollups ${rolled.where}
+        GROUP BY start, deviceId, type
+      `).all({ ...rolled.params, bucketSize });
+
+      for (const rollup of rollups) {
+        const bucket = buckets.find(b => b.start === rollup.start && b.deviceId === rollup.deviceId && b.type === rollup.type);
+        if (bucket) {
+          bucket.count += rollup.count;
+          bucket.min = Math.min(bucket.min, rollup.min);
+          bucket.max = Math.max(bucket.max, rollup.max);
+          bucket.sum += rollup.sum;
+        } else {
+          buckets.push(rollup);
+        }
+      }
+    }
+
+    return finalizeBuckets(buckets);
+  }
+
+  /**
+   * Get the IDs of all devices that have stored readings or rollups
+   * @returns {Promise<Array<string>>} Array of device IDs
+   */
+  async getDeviceIds() {
+    const rows = this.db.prepare(`
+      SELECT device_id FROM readings WHERE device_id IS NOT NULL
+      UNION
+      SELECT device_id FROM rollups WHERE device_id != ''
+    `).all();
+
+    return rows.map(row => row.device_id);
+  }
+
+  /**
+   * Add LLM usage to the totals of its day, task and model
+   * @param {object} usage - `{ day, task, model, requests, inputTokens, outputTokens, cost }`
+   * @returns {Promise<void>}
+   */
+  async recordLlmUsage(usage) {
+    this.db.prepare(`
+      INSERT INTO llm_usage (day, task, model, requests, input_tokens, output_tokens, cost)
+      VALUES (@day, @task, @model, @requests, @inputTokens, @outputTokens, @cost)
+      ON CONFLICT (day, task, model) DO UPDATE SET
+        requests = llm_usage.requests + excluded.requests,
+        input_tokens = llm_usage.input_tokens + excluded.input_tokens,
+        output_tokens = llm_usage.output_tokens + excluded.output_tokens,
+        cost = llm_usage.cost + excluded.cost
+    `).run(usage);
+  }
+
+  /**
+   * Get the LLM usage totals of a range of days
+   * @param {object} query - Optional `from` and `to` days (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} Totals per day, task and model, ordered by day
+   */
+  async getLlmUsage({ from, to } = {}) {
+    return this.db.prepare(`
+      SELECT day, task, model, requests, input_tokens AS inputTokens, output_tokens AS outputTokens, cost
+      FROM llm_usage
+      WHERE day >= @from AND day <= @to
+      ORDER BY day, task, model
+    `).all({ from: from || '', to: to || '9999-12-31' });
+  }
+
+  /**
+   * Downsample raw readings past the retention period into hourly rollups
+   * and remove expired rollups
+   * @returns {Promise<void>}
+   */
+  async applyRetention() {
+    const now = Date.now();
+
+    if (this.retentionDays) {
+      const cutoff = now - this.retentionDays * DAY_MS;
+      const hour = AGGREGATION_INTERVALS['1h'];
+
+      const rolledUp = this.db.transaction(() => {
+        this.db.prepare(`
+          INSERT INTO rollups (bucket_start, type, device_id, count, min, max, sum)
+          SELECT CAST(ts / @hour AS INTEGER) * @hour, type, COALESCE(device_id, ''),
+            COUNT(value), MIN(value), MAX(value), SUM(value)
+          FROM readings
+          WHERE ts < @cutoff AND value IS NOT NULL
+          GROUP BY 1, 2, 3
+          ON CONFLICT (bucket_start, type, device_id) DO UPDATE SET
+            count = rollups.count + excluded.count,
+            min = MIN(rollups.min, excluded.min),
+            max = MAX(rollups.max, excluded.max),
+            sum = rollups.sum + excluded.sum
+        `).run({ hour, cutoff });
+
+        return this.db.prepare('DELETE FROM readings WHERE ts < @cutoff').run({ cutoff }).changes;
+      })();
+
+      if (rolledUp > 0) {
+        logger.info(`Downsampled ${rolledUp} reading(s) older than ${this.retentionDays} day(s) into hourly rollups`);
+      }
+    }
+
+    if (this.rollupRetentionDays) {
+      const cutoff = now - this.rollupRetentionDays * DAY_MS;
+      const removed = this.db.prepare('DELETE FROM rollups WHERE bucket_start < @cutoff').run({ cutoff }).changes;
+
+      if (removed > 0) {
+        logger.info(`Removed ${removed} hourly rollup(s) older than ${this.rollupRetentionDays} day(s)`);
+      }
+    }
+  }
+
+  /**
+   * Close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteStorage;
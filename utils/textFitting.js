@@ -0,0 +1,166 @@
+/**
+ * Text Fitting
+ *
+ * Prepares generated text for small displays:
+ * - Transliterates to the character set the display font supports
+ * - Word-wraps into lines of a fixed number of columns
+ * - Splits lines into pages and truncates the overflow with an ellipsis
+ */
+
+// Character sets a display can declare, with the highest code point each one renders
+const CHARSETS = {
+  ascii: 0x7f,
+  latin1: 0xff,
+  unicode: 0x10ffff
+};
+
+// Replacements for characters that have no plain form after removing accents
+const REPLACEMENTS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '«': '"', '»': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '…': '...', '•': '*', '·': '.', '×': 'x',
+  '\u00a0': ' ', '\u2009': ' ', '\u202f': ' ',
+  '°': '', '©': '(c)', '®': '(R)', '™': 'TM', '€': 'EUR', '£': 'GBP',
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE',
+  'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D',
+  'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th'
+};
+
+/**
+ * Map a character to one the display can render
+ * @param {string} char - A single code point
+ * @param {number} maxCodePoint - Highest code point of the character set
+ * @returns {string} The character, a replacement, or '' if it cannot be shown
+ * @private
+ */
+function transliterateChar(char, maxCodePoint) {
+  if (char.codePointAt(0) <= maxCodePoint) {
+    return char;
+  }
+
+  if (REPLACEMENTS[char] !== undefined) {
+    return REPLACEMENTS[char];
+  }
+
+  // é -> e, ñ -> n; emoji and other symbols have no base character and are dropped
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return [...base].every(c => c.codePointAt(0) <= maxCodePoint) ? base : '';
+}
+
+/**
+ * Transliterate text to a character set and collapse whitespace
+ * @param {string} text - The text
+ * @param {string} [charset] - 'ascii', 'latin1' or 'unicode'
+ * @returns {string} The text using only characters of the set
+ */
+function transliterate(text, charset = 'unicode') {
+  const maxCodePoint = CHARSETS[charset];
+  if (maxCodePoint === undefined) {
+    throw new Error(`Unknown display charset: ${charset}`);
+  }
+
+  const mapped = [...String(text)].map(char => transliterateChar(char, maxCodePoint)).join('');
+  return mapped.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Word-wrap text into lines, splitting words longer than a line
+ * @param {string} text - Text without line breaks
+ * @param {number} columns - Characters per line, 0 for a single unbounded line
+ * @returns {Array<string>} The lines
+ */
+function wrapText(text, columns) {
+  if (!columns) {
+    return text ? [text] : [];
+  }
+
+  const lines = [];
+  let line = '';
+
+  for (let word of text.split(' ').filter(Boolean)) {
+    if (line && line.length + 1 + word.length <= columns) {
+      line += ` ${word}`;
+      continue;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    while (word.length > columns) {
+      lines.push(word.slice(0, columns));
+      word = word.slice(columns);
+    }
+    line = word;
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * End a line with an ellipsis to show that text was cut off
+ * @param {string} line - The last line that is shown
+ * @param {number} columns - Characters per line, 0 for unbounded
+ * @param {string} ellipsis - The ellipsis to append
+ * @returns {string} The line ending in the ellipsis, cut at a word boundary where possible
+ * @private
+ */
+function addEllipsis(line, columns, ellipsis) {
+  let kept = line;
+
+  if (columns && kept.length + ellipsis.length > columns) {
+    kept = kept.slice(0, Math.max(columns - ellipsis.length, 0));
+    const lastSpace = kept.lastIndexOf(' ');
+    if (lastSpace > 0) {
+      kept = kept.slice(0, lastSpace);
+    }
+  }
+
+  return `${kept.replace(/[\s.,;:!?-]+$/, '')}${ellipsis}`.slice(0, columns || undefined);
+}
+
+/**
+ * Fit text to a display profile
+ *
+ * Lines are separated by '\n' and pages by '\f'. Text that does not fit on
+ * the allowed pages is truncated with an ellipsis.
+ *
+ * @param {string} text - The text
+ * @param {object} profile - Display profile
+ * @param {number} profile.columns - Characters per line, 0 for unbounded
+ * @param {number} profile.rows - Lines per page, 0 for unbounded
+ * @param {string} profile.charset - 'ascii', 'latin1' or 'unicode'
+ * @param {string} [profile.overflow] - 'truncate' (one page) or 'pages'
+ * @param {number} [profile.maxPages] - Maximum number of pages when paging
+ * @returns {string} The fitted text
+ */
+function fitText(text, profile) {
+  const lines = wrapText(transliterate(text, profile.charset), profile.columns);
+  const rows = profile.rows || lines.length || 1;
+  const maxPages = profile.overflow === 'pages' ? profile.maxPages || 1 : 1;
+
+  if (lines.length > rows * maxPages) {
+    lines.length = rows * maxPages;
+    lines[lines.length - 1] = addEllipsis(lines[lines.length - 1], profile.columns, profile.charset === 'unicode' ? '…' : '...');
+  }
+
+  const pages = [];
+  for (let start = 0; start < lines.length; start += rows) {
+    pages.push(lines.slice(start, start + rows).join('\n'));
+  }
+
+  return pages.join('\f');
+}
+
+export {
+  CHARSETS,
+  transliterate,
+  wrapText,
+  fitText
+};
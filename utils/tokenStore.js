@@ -0,0 +1,193 @@
+/**
+ * Token Store
+ *
+ * Persists credentials of linked email accounts outside of .env:
+ * - OAuth tokens of Gmail accounts and settings (including passwords) of IMAP accounts
+ * - Encrypts all accounts with AES-256-GCM in a file under data/
+ * - Records which device (display) owns each account
+ * - Merges updates so a refresh without a new refresh token keeps the old one
+ * - Falls back to memory only when no secret or file path is configured, or the file cannot be written
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import { DEFAULT_DEVICE_ID } from './topics.js';
+
+// Salt for deriving the file key from the configured secret
+const KEY_SALT = 'auralink-token-store';
+
+// Account ID used for tokens that predate multi-account support
+const DEFAULT_ACCOUNT_ID = 'default';
+
+class TokenStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} [options.filePath] - Path of the encrypted token file
+   * @param {string} [options.secret] - Secret the encryption key is derived from; without one nothing is persisted
+   */
+  constructor(options) {
+    // A built-in or guessable key would leave the file readable by anyone, so
+    // credentials are only written under a configured secret
+    if (!options.secret) {
+      logger.warn('TOKEN_STORE_SECRET not set - OAuth tokens and IMAP passwords are kept in memory only and lost on restart');
+    }
+
+    this.filePath = options.secret ? options.filePath || null : null;
+    this.key = options.secret ? crypto.scryptSync(options.secret, KEY_SALT, 32) : null;
+    this.accounts = this._readFile();
+  }
+
+  /**
+   * Read and decrypt the token file
+   * @returns {object} Accounts keyed by account ID
+   * @private
+   */
+  _readFile() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      const { iv, tag, data } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      const contents = JSON.parse(plaintext.toString('utf8'));
+      logger.info(`Loaded OAuth tokens from ${this.filePath}`);
+
+      // Single-account files hold the tokens at the top level
+      if (!contents.accounts) {
+        const { updatedAt, ...tokens } = contents;
+        return { [DEFAULT_ACCOUNT_ID]: { deviceId: DEFAULT_DEVICE_ID, tokens, updatedAt } };
+      }
+
+      return contents.accounts;
+    } catch (error) {
+      logger.error(`Failed to read token file ${this.filePath} - wrong secret or corrupt file: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Encrypt and write all accounts to the token file
+   * @private
+   */
+  _writeFile() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+      const plaintext = JSON.stringify({ accounts: this.accounts });
+      const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }), { mode: 0o600 });
+    } catch (error) {
+      // Read-only filesystems (e.g. serverless) keep the tokens in memory only
+      logger.warn(`Could not write token file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the stored accounts without their credentials
+   * @returns {Array<object>} Array of `{ accountId, provider, deviceId, updatedAt }`
+   */
+  getAccounts() {
+    return Object.entries(this.accounts).map(([accountId, account]) => ({
+      accountId,
+      provider: account.provider || 'gmail',
+      deviceId: account.deviceId || null,
+      updatedAt: account.updatedAt || null
+    }));
+  }
+
+  /**
+   * Get the stored tokens of an account
+   * @param {string} accountId - The account ID
+   * @returns {object|null} The tokens, or null if none are stored
+   */
+  get(accountId) {
+    const account = this.accounts[accountId];
+    return account && account.tokens ? { ...account.tokens } : null;
+  }
+
+  /**
+   * Merge new tokens into an account, creating it if needed, and persist them
+   * @param {string} accountId - The account ID
+   * @param {object} tokens - OAuth tokens (refresh_token, access_token, expiry_date, ...)
+   * @returns {object} The stored tokens after merging
+   */
+  save(accountId, tokens) {
+    const updates = Object.fromEntries(
+      Object.entries(tokens).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    const account = this.accounts[accountId] || {};
+    this.accounts[accountId] = {
+      ...account,
+      tokens: { ...account.tokens, ...updates },
+      updatedAt: new Date().toISOString()
+    };
+
+    this._writeFile();
+    return this.get(accountId);
+  }
+
+  /**
+   * Get the stored provider settings of an account
+   * @param {string} accountId - The account ID
+   * @returns {object|null} The settings, or null if none are stored
+   */
+  getSettings(accountId) {
+    const account = this.accounts[accountId];
+    return account && account.settings ? { ...account.settings } : null;
+  }
+
+  /**
+   * Store the provider and its settings for an account, creating it if needed
+   * @param {string} accountId - The account ID
+   * @param {string} provider - Provider name, e.g. 'imap'
+   * @param {object} settings - Provider settings such as host and credentials
+   */
+  saveSettings(accountId, provider, settings) {
+    this.accounts[accountId] = {
+      ...this.accounts[accountId],
+      provider,
+      settings,
+      updatedAt: new Date().toISOString()
+    };
+    this._writeFile();
+  }
+
+  /**
+   * Assign an account to a device
+   * @param {string} accountId - The account ID
+   * @param {string} deviceId - The device that should receive the account's email
+   */
+  setDevice(accountId, deviceId) {
+    this.accounts[accountId] = { ...this.accounts[accountId], deviceId };
+    this._writeFile();
+  }
+
+  /**
+   * Remove an account and its tokens
+   * @param {string} accountId - The account ID
+   */
+  remove(accountId) {
+    delete this.accounts[accountId];
+    this._writeFile();
+  }
+}
+
+export { DEFAULT_ACCOUNT_ID };
+export default TokenStore;
@@ -0,0 +1,135 @@
+/**
+ * MQTT Topic Utilities
+ *
+ * Helpers for working with AuraLink topic conventions:
+ * - Matching topics against subscription filters (+ and # wildcards)
+ * - Extracting device ID and sensor type from sensor topics
+ * - Building per-device display topics
+ */
+
+// Device ID used for readings on the legacy single-device topics
+const DEFAULT_DEVICE_ID = 'default';
+
+/**
+ * Check whether a device ID can be used as a single topic level
+ * @param {string} deviceId - Device ID to validate
+ * @returns {boolean} True if the ID only contains letters, digits, '-' and '_'
+ */
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && /^[A-Za-z0-9_-]+$/.test(deviceId);
+}
+
+/**
+ * Check whether a subscription filter is well formed
+ *
+ * Wildcards must occupy a whole topic level and `#` may only appear
+ * as the last level.
+ *
+ * @param {string} filter - Subscription filter to validate
+ * @returns {boolean} True if the filter is valid
+ */
+function isValidTopicFilter(filter) {
+  if (typeof filter !== 'string' || filter.length === 0) {
+    return false;
+  }
+
+  const levels = filter.split('/');
+
+  return levels.every((level, index) => {
+    if (level === '#') {
+      return index === levels.length - 1;
+    }
+
+    if (level === '+') {
+      return true;
+    }
+
+    return !level.includes('#') && !level.includes('+');
+  });
+}
+
+/**
+ * Check whether a topic matches an MQTT subscription filter
+ *
+ * Follows the MQTT 3.1.1 rules: `+` matches exactly one level, `#` matches
+ * the parent level and any number of child levels, and topics starting
+ * with `$` are never matched by a filter starting with a wildcard.
+ *
+ * @param {string} filter - Subscription filter, may contain + and # wildcards
+ * @param {string} topic - Concrete topic a message was received on
+ * @returns {boolean} True if the topic matches the filter
+ */
+function topicMatchesFilter(filter, topic) {
+  if (filter === topic) {
+    return true;
+  }
+
+  if (topic.startsWith('$') && (filter.startsWith('+') || filter.startsWith('#'))) {
+    return false;
+  }
+
+  const filterParts = filter.split('/');
+  const topicParts = topic.split('/');
+
+  for (let i = 0; i < filterParts.length; i++) {
+    if (filterParts[i] === '#') {
+      return true;
+    }
+
+    if (i >= topicParts.length) {
+      return false;
+    }
+
+    if (filterParts[i] !== '+' && filterParts[i] !== topicParts[i]) {
+      return false;
+    }
+  }
+
+  return filterParts.length === topicParts.length;
+}
+
+/**
+ * Extract the device ID and sensor type from a sensor topic
+ *
+ * Supports both `auralink/<deviceId>/sensors/<type>` and the legacy
+ * `auralink/sensors/<type>` layout, which maps to the default device.
+ *
+ * @param {string} topic - The MQTT topic the reading arrived on
+ * @returns {object} Object with deviceId and sensorType
+ */
+function parseSensorTopic(topic) {
+  const parts = topic.split('/');
+  const sensorType = parts[parts.length - 1];
+  const sensorsIndex = parts.lastIndexOf('sensors');
+
+  const deviceId = sensorsIndex > 1 ? parts[sensorsIndex - 1] : DEFAULT_DEVICE_ID;
+
+  return { deviceId, sensorType };
+}
+
+/**
+ * Build the display topic for a given output type and device
+ * @param {object} topics - The mqtt.topics configuration object
+ * @param {string} type - Output type (quote, email, priority)
+ * @param {string} deviceId - Target device ID
+ * @returns {string} The topic to publish to
+ */
+function getDisplayTopic(topics, type, deviceId = DEFAULT_DEVICE_ID) {
+  // The default device keeps publishing on the legacy topics
+  if (deviceId === DEFAULT_DEVICE_ID && topics[type]) {
+    return topics[type];
+  }
+
+  return topics.display
+    .replace('{deviceId}', deviceId)
+    .replace('{type}', type);
+}
+
+export {
+  DEFAULT_DEVICE_ID,
+  isValidDeviceId,
+  isValidTopicFilter,
+  topicMatchesFilter,
+  parseSensorTopic,
+  getDisplayTopic
+};
@@ -0,0 +1,289 @@
+/**
+ * LLM Usage Tracker
+ *
+ * Accounts for what the LLM provider costs:
+ * - Tokens, requests and estimated cost per task, kept in the data store per UTC day
+ * - Cost estimated from per-model prices in USD per million tokens
+ * - A monthly budget; once it is reached the LLM handler uses its fallbacks
+ */
+
+import logger from './logger.js';
+
+// USD per million input and output tokens of the default models
+const DEFAULT_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+/**
+ * Parse model prices of the form `model:input:output`
+ * @param {Array<string>} entries - Price entries, in USD per million tokens
+ * @returns {object} Prices `{ input, output }` keyed by model
+ * @throws {Error} If an entry is malformed
+ */
+function parsePricing(entries) {
+  const pricing = {};
+
+  for (const entry of entries) {
+    const [model, input, output] = entry.split(':').map(part => part.trim());
+    const prices = { input: parseFloat(input), output: parseFloat(output) };
+
+    if (!model || Number.isNaN(prices.input) || Number.isNaN(prices.output)) {
+      throw new Error(`Invalid LLM price "${entry}" - expected model:input:output`);
+    }
+    pricing[model] = prices;
+  }
+
+  return pricing;
+}
+
+/**
+ * Get the UTC day of a date
+ * @param {Date} date - The date
+ * @returns {string} The day as YYYY-MM-DD
+ */
+function getUsageDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Create empty usage totals
+ * @returns {object} `{ requests, inputTokens, outputTokens, cost }`
+ * @private
+ */
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Add usage to totals, both overall and per task
+ * @param {object} totals - Totals with a `tasks` map
+ * @param {object} row - Usage of one day, task and model
+ * @private
+ */
+function addToTotals(totals, row) {
+  if (!totals.tasks[row.task]) {
+    totals.tasks[row.task] = emptyTotals();
+  }
+
+  for (const target of [totals, totals.tasks[row.task]]) {
+    target.requests += row.requests;
+    target.inputTokens += row.inputTokens;
+    target.outputTokens += row.outputTokens;
+    target.cost += row.cost;
+  }
+}
+
+/**
+ * Round a cost for reporting
+ * @param {number} cost - Cost in USD
+ * @returns {number} The cost rounded to a millionth
+ * @private
+ */
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+class UsageTracker {
+  /**
+   * @param {object} store - Data store with recordLlmUsage and getLlmUsage
+   * @param {object} [options] - Tracker options
+   * @param {Array<string>} [options.pricing] - Extra prices `model:input:output` in USD per million tokens
+   * @param {number} [options.monthlyBudget] - Monthly budget in USD, 0 for no limit
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.pricing = { ...DEFAULT_PRICING, ...parsePricing(options.pricing || []) };
+    this.monthlyBudget = options.monthlyBudget || 0;
+
+    // Cost of the current UTC month, loaded from the store and kept up to date
+    this.month = getUsageDay(new Date()).slice(0, 7);
+    this.monthlyCost = 0;
+    // Until the cost is loaded, the budget counts as reached rather than unused
+    this.isCostKnown = false;
+    this.ready = this._loadMonthlyCost();
+  }
+
+  /**
+   * Load the cost recorded so far in the current month
+   *
+   * Failures are logged and leave the cost unknown.
+   * @private
+   */
+  async _loadMonthlyCost() {
+    const month = this.month;
+
+    try {
+      const rows = await this.store.getLlmUsage({ from: `${month}-01`, to: `${month}-31` });
+      if (month === this.month) {
+        this.monthlyCost = rows.reduce((sum, row) => sum + row.cost, 0);
+        this.isCostKnown = true;
+      }
+    } catch (error) {
+      logger.error(`Failed to load the LLM usage of ${month} - treating the monthly budget as reached: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start counting from zero when a new month begins
+   * @param {Date} now - Current time
+   * @private
+   */
+  _rollMonth(now) {
+    const month = getUsageDay(now).slice(0, 7);
+    if (month !== this.month) {
+      // Everything spent in the new month goes through this tracker
+      this.month = month;
+      this.monthlyCost = 0;
+      this.isCostKnown = true;
+    }
+  }
+
+  /**
+   * Get the prices of a model, matching dated versions to their base model
+   * @param {string} model - Model name
+   * @returns {object|null} Prices `{ input, output }`, or null if the model has none
+   */
+  getPrices(model) {
+    if (this.pricing[model]) {
+      return this.pricing[model];
+    }
+
+    // e.g. gpt-4o-2024-08-06 uses the gpt-4o price; the longest match wins
+    const base = Object.keys(this.pricing)
+      .filter(name => model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return base ? this.pricing[base] : null;
+  }
+
+  /**
+   * Estimate the cost of a request
+   * @param {string} model - Model name
+   * @param {object} usage - `{ inputTokens, outputTokens }`
+   * @returns {number} The cost in USD, 0 for models without a price
+   */
+  estimateCost(model, usage) {
+    const prices = this.getPrices(model);
+    if (!prices) {
+      return 0;
+    }
+
+    return (usage.inputTokens * prices.input + usage.outputTokens * prices.output) / 1e6;
+  }
+
+  /**
+   * Check whether the monthly budget has been used up
+   *
+   * While the cost of the month cannot be loaded, the budget counts as reached;
+   * every check tries to load it again.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<boolean>} True if requests should not be sent
+   */
+  async isBudgetReached(now = new Date()) {
+    if (!this.monthlyBudget) {
+      return false;
+    }
+
+    await this.ready;
+    this._rollMonth(now);
+    if (!this.isCostKnown) {
+      this.ready = this._loadMonthlyCost();
+      await this.ready;
+    }
+
+    return !this.isCostKnown || this.monthlyCost >= this.monthlyBudget;
+  }
+
+  /**
+   * Record the usage of a completed request
+   *
+   * Store failures are logged and do not fail the request; the cost still
+   * counts towards the budget until the process restarts.
+   *
+   * @param {string} task - LLM task, e.g. 'quote'
+   * @param {string} model - Model name
+   * @param {object} usage - `{ inputTokens, outputTokens }`
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} The estimated cost of the request
+   */
+  async record(task, model, usage, now = new Date()) {
+    const cost = this.estimateCost(model, usage);
+
+    await this.ready;
+    this._rollMonth(now);
+
+    const wasWithinBudget = this.monthlyCost < this.monthlyBudget;
+    this.monthlyCost += cost;
+    if (this.monthlyBudget && wasWithinBudget && this.monthlyCost >= this.monthlyBudget) {
+      logger.warn(`Monthly LLM budget of $${this.monthlyBudget} reached - using fallbacks until ${this.month} ends`);
+    }
+
+    try {
+      await this.store.recordLlmUsage({
+        day: getUsageDay(now),
+        task,
+        model,
+        requests: 1,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cost
+      });
+    } catch (error) {
+      logger.warn(`LLM usage of a ${task} request was not saved - its cost of $${roundCost(cost)} is missing from the usage report: ${error.message}`);
+    }
+
+    return cost;
+  }
+
+  /**
+   * Build a usage report for a month
+   * @param {string} [month] - UTC month (YYYY-MM), default the current month
+   * @returns {Promise<object>} Monthly totals, daily totals and the budget state, each split by task
+   */
+  async getReport(month = getUsageDay(new Date()).slice(0, 7)) {
+    const rows = await this.store.getLlmUsage({ from: `${month}-01`, to: `${month}-31` });
+
+    const monthly = { ...emptyTotals(), tasks: {} };
+    const days = new Map();
+    for (const row of rows) {
+      if (!days.has(row.day)) {
+        days.set(row.day, { day: row.day, ...emptyTotals(), tasks: {} });
+      }
+      addToTotals(days.get(row.day), row);
+      addToTotals(monthly, row);
+    }
+
+    // Costs are summed unrounded and rounded once for the report
+    for (const totals of [monthly, ...days.values()]) {
+      totals.cost = roundCost(totals.cost);
+      for (const taskTotals of Object.values(totals.tasks)) {
+        taskTotals.cost = roundCost(taskTotals.cost);
+      }
+    }
+
+    const isBudgetReached = await this.isBudgetReached();
+    const isCurrentMonth = month === this.month;
+
+    return {
+      month,
+      currency: 'USD',
+      monthly,
+      daily: [...days.values()],
+      budget: {
+        monthly: this.monthlyBudget || null,
+        spent: monthly.cost,
+        remaining: this.monthlyBudget ? roundCost(Math.max(this.monthlyBudget - monthly.cost, 0)) : null,
+        reached: isCurrentMonth && isBudgetReached
+      }
+    };
+  }
+}
+
+export {
+  DEFAULT_PRICING,
+  parsePricing,
+  getUsageDay,
+  UsageTracker
+};